@@ -5,18 +5,38 @@ const cors = require('cors');
 const config = require('./env');
 const Database = require('./database');
 const PanitenBot = require('./bot');
-const { validateAlertPayload, formatUptime, formatAlertMessage } = require('./utils');
+const OutboxWorker = require('./outbox');
+const EscalationWorker = require('./escalation');
+const SnoozeWorker = require('./snooze');
+const ReminderWorker = require('./reminder');
+const ReportScheduler = require('./scheduler');
+const { validateAlertPayload, formatUptime, formatAlertMessage, isAlertTruncated, createFingerprint, createAlertFingerprint, isResolvedNotification, parseDuration, getAlertStatus } = require('./utils');
+const { validateMatchers, describeMatchers, matchesAlert } = require('./matchers');
+const { getOnCallSummary, validateRotation } = require('./oncall');
+const { resolveRoutes, getRoutingRules } = require('./routing');
+const { ROLES, DEFAULT_ROLE, isValidRole, parseUserReference, describeUser, isLastAdmin } = require('./roles');
+const { isNoteRequired, getRootCauseCategories, isValidRootCause, getResolutionPayload } = require('./resolution');
+const { parseReportPeriod, validatePeriod, buildReport } = require('./reports');
+const { SAMPLE_ALERT, validateTemplate, validateTemplateBody, loadTemplates, selectTemplate } = require('./templates');
+const { getRenderContext } = require('./settings');
 
 const app = express();
 
 let db = null;
 let bot = null;
+let outbox = null;
+let escalation = null;
+let snooze = null;
+let reminder = null;
+let scheduler = null;
 
 async function initializeApp() {
     try {
         console.log('Initializing database...');
         db = new Database();
         await db.waitForInit();
+        await db.seedUsers(config.AUTHORIZED_USERS);
+        await loadTemplates(db);
         console.log('Database ready');
 
         if (config.BOT_TOKEN) {
@@ -34,6 +54,19 @@ async function initializeApp() {
             console.warn('BOT_TOKEN not configured - running in webhook-only mode');
         }
 
+        outbox = new OutboxWorker(db, bot);
+        escalation = new EscalationWorker(db, bot);
+        snooze = new SnoozeWorker(db, bot);
+        reminder = new ReminderWorker(db, bot);
+        scheduler = new ReportScheduler(db, bot);
+        if (bot) {
+            outbox.start();
+            escalation.start();
+            snooze.start();
+            reminder.start();
+            scheduler.start();
+        }
+
         startServer();
         
     } catch (error) {
@@ -100,96 +133,109 @@ function detectAndTransformWebhook(payload) {
     }
     
     if (payload.alerts && Array.isArray(payload.alerts) && payload.receiver) {
-        console.log('Detected Grafana webhook format');
+        console.log(`Detected Grafana webhook format (${payload.alerts.length} alerts)`);
         return transformGrafanaWebhook(payload);
     }
     
     if (payload.alerts && Array.isArray(payload.alerts) && payload.groupKey) {
-        console.log('Detected Prometheus Alertmanager webhook format');
+        console.log(`Detected Prometheus Alertmanager webhook format (${payload.alerts.length} alerts)`);
         return transformPrometheusWebhook(payload);
     }
     
     if (payload.trigger && (payload.event || payload.problem)) {
         console.log('Detected Zabbix webhook format');
-        return transformZabbixWebhook(payload);
+        return [transformZabbixWebhook(payload)];
     }
     
     if (payload.message && (payload.status || payload.level || payload.priority)) {
         console.log('Detected generic webhook format');
-        return transformGenericWebhook(payload);
+        return [transformGenericWebhook(payload)];
     }
     
     return null;
 }
 
 function transformGrafanaWebhook(payload) {
-    const firstAlert = payload.alerts[0];
+    return payload.alerts.map(alert => transformGrafanaAlert(alert, payload));
+}
+
+function transformGrafanaAlert(alert, payload) {
+    const status = alert.status || payload.status || 'firing';
     
     const metadata = {
-        status: payload.status || 'firing',
-        labels: firstAlert.labels || {},
-        annotations: firstAlert.annotations || {},
-        values: firstAlert.values || {},
-        urls: {}
+        status: status,
+        labels: alert.labels || {},
+        annotations: alert.annotations || {},
+        values: alert.values || {},
+        urls: collectUrls({
+            source: alert.generatorURL || payload.externalURL,
+            dashboard: alert.dashboardURL,
+            panel: alert.panelURL,
+            silence: alert.silenceURL,
+            runbook: alert.annotations?.runbook_url
+        })
     };
     
-    if (payload.externalURL) {
-        metadata.urls.source = payload.externalURL;
-    }
-    
-    if (firstAlert.labels && payload.externalURL) {
-        const matchers = Object.entries(firstAlert.labels)
+    if (!metadata.urls.silence && alert.labels && payload.externalURL) {
+        const matchers = Object.entries(alert.labels)
             .map(([key, value]) => `matcher=${encodeURIComponent(key)}%3D${encodeURIComponent(value)}`)
             .join('&');
         metadata.urls.silence = `${payload.externalURL}/alerting/silence/new?alertmanager=grafana&${matchers}`;
     }
     
     return {
-        title: firstAlert.annotations?.summary || 
+        title: alert.annotations?.summary || 
                payload.commonAnnotations?.summary || 
-               firstAlert.labels?.alertname || 
+               alert.labels?.alertname || 
                'Grafana Alert',
-        source: firstAlert.labels?.instance || 
-               firstAlert.labels?.job || 
+        source: alert.labels?.instance || 
+               alert.labels?.job || 
                payload.receiver || 
                'Grafana',
-        severity: mapSeverity(firstAlert.labels?.severity, payload.status, 'grafana'),
-        message: firstAlert.annotations?.description || 
-                firstAlert.annotations?.summary ||
-                `Alert: ${firstAlert.labels?.alertname}`,
-        timestamp: firstAlert.startsAt ? new Date(firstAlert.startsAt).getTime() : Date.now(),
+        severity: mapSeverity(alert.labels?.severity, status, 'grafana'),
+        message: alert.annotations?.description || 
+                alert.annotations?.summary ||
+                `Alert: ${alert.labels?.alertname}`,
+        timestamp: alert.startsAt ? new Date(alert.startsAt).getTime() : Date.now(),
+        fingerprint: alert.fingerprint || createFingerprint(alert.labels),
+        provider: 'grafana',
         metadata: metadata
     };
 }
 
 function transformPrometheusWebhook(payload) {
-    const firstAlert = payload.alerts[0];
+    return payload.alerts.map(alert => transformPrometheusAlert(alert, payload));
+}
+
+function transformPrometheusAlert(alert, payload) {
+    const status = alert.status || payload.status || 'firing';
     
     const metadata = {
-        status: payload.status || firstAlert.status || 'firing',
-        labels: firstAlert.labels || {},
-        annotations: firstAlert.annotations || {},
-        values: firstAlert.values || {},
-        urls: {}
+        status: status,
+        labels: alert.labels || {},
+        annotations: alert.annotations || {},
+        values: alert.values || {},
+        urls: collectUrls({
+            source: alert.generatorURL || payload.externalURL,
+            runbook: alert.annotations?.runbook_url
+        })
     };
     
-    if (payload.externalURL) {
-        metadata.urls.source = payload.externalURL;
-    }
-    
     return {
-        title: firstAlert.annotations?.summary || firstAlert.labels?.alertname || 'Prometheus Alert',
-        source: firstAlert.labels?.instance || firstAlert.labels?.job || 'Prometheus',
-        severity: mapSeverity(firstAlert.labels?.severity, payload.status, 'prometheus'),
-        message: firstAlert.annotations?.description || firstAlert.annotations?.summary || 'Prometheus alert triggered',
-        timestamp: firstAlert.startsAt ? new Date(firstAlert.startsAt).getTime() : Date.now(),
+        title: alert.annotations?.summary || alert.labels?.alertname || 'Prometheus Alert',
+        source: alert.labels?.instance || alert.labels?.job || 'Prometheus',
+        severity: mapSeverity(alert.labels?.severity, status, 'prometheus'),
+        message: alert.annotations?.description || alert.annotations?.summary || 'Prometheus alert triggered',
+        timestamp: alert.startsAt ? new Date(alert.startsAt).getTime() : Date.now(),
+        fingerprint: alert.fingerprint || createFingerprint(alert.labels),
+        provider: 'prometheus',
         metadata: metadata
     };
 }
 
 function transformZabbixWebhook(payload) {
     const metadata = {
-        status: payload.event?.value === '1' ? 'Problem' : 'OK',
+        status: String(payload.event?.value) === '0' ? 'OK' : 'Problem',
         labels: {
             trigger: payload.trigger?.name,
             host: payload.host?.name,
@@ -199,19 +245,22 @@ function transformZabbixWebhook(payload) {
             description: payload.trigger?.description
         },
         values: {},
-        urls: {}
+        urls: collectUrls({
+            source: payload.trigger?.url || payload.event?.url || payload.url
+        })
     };
     
-    if (payload.trigger?.url) {
-        metadata.urls.source = payload.trigger.url;
-    }
-    
     return {
         title: payload.trigger.name || payload.event?.name || 'Zabbix Alert',
         source: payload.host?.name || payload.trigger?.host || 'Zabbix',
         severity: mapSeverity(payload.trigger?.priority, payload.event?.value, 'zabbix'),
         message: payload.trigger?.description || payload.event?.description || 'Zabbix trigger activated',
         timestamp: payload.event?.clock ? payload.event.clock * 1000 : Date.now(),
+        fingerprint: createFingerprint({
+            trigger: payload.trigger?.id || payload.trigger?.name,
+            host: payload.host?.name || payload.trigger?.host
+        }),
+        provider: 'zabbix',
         metadata: metadata
     };
 }
@@ -237,10 +286,23 @@ function transformGenericWebhook(payload) {
         severity: mapSeverity(payload.severity || payload.level || payload.priority, payload.status, 'generic'),
         message: payload.message || payload.description || 'Alert received',
         timestamp: payload.timestamp ? new Date(payload.timestamp).getTime() : Date.now(),
+        provider: 'webhook',
         metadata: metadata
     };
 }
 
+function collectUrls(urls) {
+    const collected = {};
+    
+    Object.entries(urls).forEach(([type, url]) => {
+        if (url) {
+            collected[type] = url;
+        }
+    });
+    
+    return collected;
+}
+
 function mapSeverity(severity, status, source) {
     if (!severity && !status) return 'info';
     
@@ -284,6 +346,59 @@ function mapSeverity(severity, status, source) {
     }
 }
 
+async function deliverAlert(alert) {
+    const routes = resolveRoutes(alert);
+    
+    if (routes.length === 0) {
+        console.warn(`Alert ${alert.id} not sent: no routing rule matched and CHAT_ID not configured`);
+        return { status: 'failed', routes };
+    }
+    
+    if (!bot) {
+        console.warn(`Alert ${alert.id} queued: Telegram bot not initialized`);
+    }
+    
+    const statuses = [];
+    for (const route of routes) {
+        statuses.push(await outbox.enqueue(alert, route.chatId, route.threadId));
+    }
+    
+    return { status: combineDeliveryStatuses(statuses), routes };
+}
+
+function combineDeliveryStatuses(statuses) {
+    if (statuses.includes('failed')) return 'failed';
+    if (statuses.includes('queued')) return 'queued';
+    if (statuses.every(status => status === 'silenced')) return 'silenced';
+    return 'sent';
+}
+
+async function resolveFromSource(alertData) {
+    if (!alertData.fingerprint) {
+        console.log(`Resolved notification without fingerprint ignored: ${alertData.title} from ${alertData.source}`);
+        return null;
+    }
+    
+    const openAlert = await db.findOpenAlertByFingerprint(alertData.fingerprint);
+    if (!openAlert) {
+        console.log(`No open alert matches resolved notification: ${alertData.title} (${alertData.fingerprint})`);
+        return null;
+    }
+    
+    const provider = alertData.provider || 'webhook';
+    const success = await db.resolveAlert(openAlert.id, null, { source: provider });
+    if (!success) {
+        return null;
+    }
+    
+    console.log(`Alert ${openAlert.id} resolved by source (${provider})`);
+    await recordAlertEvent(openAlert.id, 'resolved', `source (${provider})`);
+    
+    syncAlertMessage(openAlert.id);
+    
+    return openAlert;
+}
+
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -304,8 +419,9 @@ app.use((req, res, next) => {
 
 app.get('/api/health', async (req, res) => {
     try {
-        const [unackCount, botInfo] = await Promise.all([
+        const [unackCount, deliveryCounts, botInfo] = await Promise.all([
             db.getUnacknowledgedCount(),
+            db.getDeliveryCounts(),
             bot ? bot.getBotInfo() : Promise.resolve(null)
         ]);
         
@@ -316,6 +432,10 @@ app.get('/api/health', async (req, res) => {
             alerts: {
                 unacknowledged: unackCount
             },
+            outbox: {
+                queued: deliveryCounts.queued,
+                failed: deliveryCounts.failed
+            },
             bot: botInfo ? {
                 connected: true,
                 username: botInfo.username
@@ -325,8 +445,9 @@ app.get('/api/health', async (req, res) => {
             },
             config: {
                 chat_id_configured: !!config.CHAT_ID,
+                routing_rules_count: getRoutingRules().length,
                 webhook_auth_enabled: !!config.WEBHOOK_SECRET,
-                authorized_users_count: config.AUTHORIZED_USERS.length
+                authorized_users_count: await db.countUsers()
             }
         });
     } catch (error) {
@@ -340,13 +461,23 @@ app.get('/api/health', async (req, res) => {
 
 app.post('/api/alert', authenticateToken, async (req, res) => {
     try {
-        let alertData;
+        let alertsData;
         
         const transformed = detectAndTransformWebhook(req.body);
         
         if (transformed) {
-            console.log(`Transformed webhook: ${transformed.title} (${transformed.severity}) from ${transformed.source}`);
-            alertData = transformed;
+            if (transformed.length === 0) {
+                console.log('Validation failed: webhook payload contains no alerts');
+                return res.status(400).json({
+                    error: 'Invalid payload',
+                    details: 'Webhook payload contains no alerts'
+                });
+            }
+            
+            transformed.forEach(alertData => {
+                console.log(`Transformed webhook: ${alertData.title} (${alertData.severity}) from ${alertData.source}`);
+            });
+            alertsData = transformed;
         } else {
             const validation = validateAlertPayload(req.body);
             if (!validation.valid) {
@@ -371,42 +502,101 @@ app.post('/api/alert', authenticateToken, async (req, res) => {
             }
             
             console.log(`Using original Paniten format: ${req.body.title} (${req.body.severity}) from ${req.body.source}`);
-            alertData = {
+            alertsData = [{
                 title: req.body.title.trim(),
                 source: req.body.source.trim(),
                 severity: req.body.severity.toLowerCase(),
                 message: req.body.message.trim(),
-                timestamp: req.body.timestamp || Date.now()
-            };
+                timestamp: req.body.timestamp || Date.now(),
+                provider: 'paniten'
+            }];
         }
 
-        const alert = await db.createAlert(alertData);
-        alert.original_message = formatAlertMessage(alertData);
+        const alerts = [];
+        const resolvedAlerts = [];
+        let unmatchedResolutions = 0;
         
-        console.log(`Alert created: ID=${alert.id}, ${alert.severity}/${alert.source}/${alert.title}`);
-        
-        if (bot && config.CHAT_ID) {
-            bot.sendAlert(alert).catch(error => {
-                console.error(`Failed to send alert ${alert.id} to Telegram:`, error.message);
-            });
-        } else {
-            if (!bot) {
-                console.warn(`Alert ${alert.id} not sent: Telegram bot not initialized`);
-            } else if (!config.CHAT_ID) {
-                console.warn(`Alert ${alert.id} not sent: CHAT_ID not configured`);
+        for (const alertData of alertsData) {
+            alertData.fingerprint = alertData.fingerprint || createAlertFingerprint(alertData);
+            
+            if (isResolvedNotification(alertData)) {
+                const resolvedAlert = await resolveFromSource(alertData);
+                if (resolvedAlert) {
+                    resolvedAlerts.push(resolvedAlert.id);
+                } else {
+                    unmatchedResolutions++;
+                }
+                continue;
             }
-        }
-
-        res.status(201).json({
-            success: true,
-            alert: {
+            
+            const duplicate = await db.findOpenAlertByFingerprint(alertData.fingerprint);
+            if (duplicate) {
+                await db.recordOccurrence(duplicate.id);
+                await recordAlertEvent(duplicate.id, 'repeated', null, {
+                    occurrence_count: (duplicate.occurrence_count || 1) + 1
+                });
+                console.log(`Duplicate of open alert ${duplicate.id} (${alertData.fingerprint}) - occurrence recorded`);
+                
+                const deliveryStatus = await db.getLatestDeliveryStatus(duplicate.id);
+                let delivery = null;
+                
+                if (deliveryStatus === 'silenced' && !duplicate.telegram_message_id && !await isSilenced(duplicate)) {
+                    console.log(`Silence of alert ${duplicate.id} has ended - sending it now`);
+                    delivery = await deliverAlert(await db.getAlertById(duplicate.id));
+                } else {
+                    syncAlertMessage(duplicate.id);
+                }
+                
+                alerts.push({
+                    id: duplicate.id,
+                    title: duplicate.title,
+                    source: duplicate.source,
+                    severity: duplicate.severity,
+                    timestamp: duplicate.timestamp,
+                    deduplicated: true,
+                    occurrence_count: (duplicate.occurrence_count || 1) + 1,
+                    telegram_sent: delivery ? delivery.status : deliveryStatus || 
+                        (duplicate.telegram_message_id ? 'sent' : 'failed')
+                });
+                continue;
+            }
+            
+            const alert = await db.createAlert(alertData);
+            await recordAlertEvent(alert.id, 'created', null, {
+                severity: alert.severity,
+                source: alert.source,
+                provider: alertData.provider || null,
+                fingerprint: alertData.fingerprint
+            });
+            
+            console.log(`Alert created: ID=${alert.id}, ${alert.severity}/${alert.source}/${alert.title}`);
+            
+            const delivery = await deliverAlert(alert);
+            
+            alerts.push({
                 id: alert.id,
                 title: alert.title,
                 source: alert.source,
                 severity: alert.severity,
-                timestamp: alert.timestamp
-            },
-            telegram_sent: !!(bot && config.CHAT_ID)
+                timestamp: alert.timestamp,
+                deduplicated: false,
+                occurrence_count: 1,
+                telegram_sent: delivery.status,
+                routed_to: delivery.routes.map(route => ({
+                    chat_id: route.chatId,
+                    thread_id: route.threadId
+                }))
+            });
+        }
+
+        res.status(alerts.some(alert => !alert.deduplicated) ? 201 : 200).json({
+            success: true,
+            alert: alerts[0],
+            alerts: alerts,
+            alert_ids: alerts.map(alert => alert.id),
+            resolved_ids: resolvedAlerts,
+            unmatched_resolutions: unmatchedResolutions,
+            telegram_sent: alerts.length > 0 ? alerts[0].telegram_sent : null
         });
 
     } catch (error) {
@@ -438,7 +628,26 @@ app.get('/api/alert', (req, res) => {
         },
         endpoints: {
             'POST /api/alert': 'Submit alert (multiple formats supported)',
-            'GET /api/alerts': 'Get alert statistics (auth required if configured)',
+            'GET /api/alerts': 'List alerts, filter with ?status=&severity=&source=&from=&to=&label=key=value&q=&root_cause=&cursor=',
+            'GET /api/alerts/stats': 'Get weekly alert statistics',
+            'GET /api/reports': 'Report with MTTA/MTTR, noisiest alerts and previous-period comparison, ?from=&to= or ?period=24h|7d|30d',
+            'GET /api/alerts/:id': 'Get an alert with metadata, event log and history',
+            'POST /api/alerts/:id/comments': 'Add a comment to an alert timeline',
+            'POST /api/alerts/:id/acknowledge|resolve': 'Acknowledge or resolve an alert',
+
+            'GET /api/outbox': 'List Telegram deliveries, filter with ?status=queued|sent|silenced|failed',
+            'POST /api/outbox/:id/replay': 'Requeue a dead-lettered delivery',
+            'GET /api/silences': 'List active silences (?all=true includes expired)',
+            'POST /api/silences': 'Create a silence from matchers and a duration',
+            'DELETE /api/silences/:id': 'Expire a silence',
+            'GET /api/oncall': 'Who is on call now and next',
+            'GET|POST /api/oncall/rotations': 'List or create on-call rotations',
+            'POST /api/oncall/overrides': 'Create an on-call override',
+            'GET|POST /api/users': 'List or add bot users',
+            'PATCH|DELETE /api/users/:user': 'Change the role of or remove a bot user',
+            'GET|POST /api/templates': 'List or create message templates',
+            'PATCH|DELETE /api/templates/:id': 'Update or delete a message template',
+            'POST /api/templates/preview': 'Render a template against a sample alert payload',
             'GET /api/health': 'Health check and system status'
         },
         example_curl: `curl -X POST ${req.protocol}://${req.get('host')}/api/alert ${config.WEBHOOK_SECRET ? '-H "Authorization: Bearer YOUR_TOKEN"' : ''} -H "Content-Type: application/json" -d '{"title":"Test","source":"manual","severity":"info","message":"Test message"}'`
@@ -447,10 +656,21 @@ app.get('/api/alert', (req, res) => {
 
 app.get('/api/alerts', authenticateToken, async (req, res) => {
     try {
-        const stats = await db.getWeeklyReport();
+        const { filters, error } = parseAlertFilters(req.query);
+        
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid filter',
+                details: error,
+                example: '/api/alerts?status=resolved&severity=critical&source=db-01&from=2025-08-01T00:00:00Z&label=team=payments&q=disk&root_cause=capacity&limit=50'
+            });
+        }
+        
+        const { alerts, nextCursor } = await db.queryAlerts(filters);
         res.json({
             success: true,
-            stats
+            alerts: alerts.map(serializeAlert),
+            next_cursor: nextCursor
         });
     } catch (error) {
         console.error('Error fetching alerts:', error);
@@ -460,29 +680,1043 @@ app.get('/api/alerts', authenticateToken, async (req, res) => {
     }
 });
 
-app.use('*', (req, res) => {
-    if (config.LOG_LEVEL === 'debug') {
-        console.log(`404 - ${req.method} ${req.originalUrl} from ${req.ip}`);
+app.get('/api/alerts/stats', authenticateToken, async (req, res) => {
+    try {
+        const { period } = parseReportPeriod('7d');
+        const [stats, rootCauses] = await Promise.all([
+            db.getReportStats(period.from, period.to),
+            db.getRootCauseBreakdown(period.from, period.to)
+        ]);
+        res.json({
+            success: true,
+            stats,
+            root_causes: rootCauses
+        });
+    } catch (error) {
+        console.error('Error fetching alert stats:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alert stats'
+        });
     }
-    res.status(404).json({
-        error: 'Not found',
-        message: 'Endpoint not found',
-        available_endpoints: ['/api/health', '/api/alert', '/api/alerts']
-    });
 });
 
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: config.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
+app.get('/api/reports', authenticateToken, async (req, res) => {
+    const { period, error } = parseReportQuery(req.query);
+    
+    if (error) {
+        return res.status(400).json({
+            error: 'Invalid report period',
+            details: error,
+            example: '/api/reports?from=2025-08-01T00:00:00Z&to=2025-08-08T00:00:00Z or /api/reports?period=30d'
+        });
+    }
+    
+    try {
+        const report = await buildReport(db, period);
+        res.json({
+            success: true,
+            report
+        });
+    } catch (error) {
+        console.error('Error building report:', error);
+        res.status(500).json({
+            error: 'Failed to build report'
+        });
+    }
 });
 
-function gracefulShutdown(signal) {
-    console.log(`${signal} received. Shutting down gracefully...`);
+app.get('/api/alerts/:id', authenticateToken, async (req, res) => {
+    try {
+        const alert = await db.getAlertById(parseInt(req.params.id));
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        const [escalations, deliveries, messages, events] = await Promise.all([
+            db.getEscalations(alert.id),
+            db.getDeliveriesForAlert(alert.id),
+            db.getAlertMessages(alert.id),
+            db.getAlertEvents(alert.id)
+        ]);
+        
+        res.json({
+            success: true,
+            alert: serializeAlert(alert),
+            messages,
+            events,
+            history: buildAlertHistory(alert, escalations, deliveries)
+        });
+    } catch (error) {
+        console.error('Error fetching alert:', error);
+        res.status(500).json({
+            error: 'Failed to fetch alert'
+        });
+    }
+});
+
+app.post('/api/alerts/:id/comments', authenticateToken, async (req, res) => {
+    const text = req.body && typeof req.body.text === 'string' ? req.body.text.trim() : '';
     
-    const shutdownPromises = [];
+    if (!text || text.length > 2000) {
+        return res.status(400).json({
+            error: 'Invalid comment',
+            details: 'text is required (max 2000 characters)',
+            example: { actor: 'jane', text: 'Vendor confirmed the outage' }
+        });
+    }
+    
+    try {
+        const alert = await db.getAlertById(parseInt(req.params.id));
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        const actor = getApiActor(req);
+        const eventId = await db.recordAlertEvent(alert.id, 'comment', {
+            actor: actor.displayName,
+            payload: { text }
+        });
+        
+        console.log(`Comment added to alert ${alert.id} by ${actor.displayName}`);
+        
+        res.status(201).json({
+            success: true,
+            event: { id: eventId, alert_id: alert.id, event_type: 'comment', actor: actor.displayName, payload: { text } }
+        });
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        res.status(500).json({
+            error: 'Failed to add comment'
+        });
+    }
+});
+
+app.post('/api/alerts/:id/acknowledge', authenticateToken, async (req, res) => {
+    try {
+        const alert = await db.getAlertById(parseInt(req.params.id));
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        if (alert.acknowledged) {
+            return res.status(409).json({
+                error: 'Alert already acknowledged',
+                acknowledged_by: alert.acknowledged_by_name || alert.acknowledged_by
+            });
+        }
+        
+        const actor = getApiActor(req);
+        const acknowledged = await db.acknowledgeAlert(alert.id, actor);
+        if (!acknowledged) {
+            return res.status(409).json({ error: 'Alert already acknowledged' });
+        }
+        
+        console.log(`Alert ${alert.id} acknowledged by ${actor.displayName}`);
+        await recordAlertEvent(alert.id, 'acknowledged', actor.displayName);
+        syncAlertMessage(alert.id);
+        
+        res.json({
+            success: true,
+            alert: serializeAlert(await db.getAlertById(alert.id))
+        });
+    } catch (error) {
+        console.error('Error acknowledging alert:', error);
+        res.status(500).json({
+            error: 'Failed to acknowledge alert'
+        });
+    }
+});
+
+app.post('/api/alerts/:id/resolve', authenticateToken, async (req, res) => {
+    try {
+        const alert = await db.getAlertById(parseInt(req.params.id));
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        
+        if (alert.resolved) {
+            return res.status(409).json({
+                error: 'Alert already resolved',
+                resolved_by: alert.resolved_by_name || alert.resolved_by || alert.resolved_by_source
+            });
+        }
+        
+        if (!alert.acknowledged) {
+            return res.status(409).json({
+                error: 'Alert must be acknowledged before resolving',
+                details: `POST /api/alerts/${alert.id}/acknowledge first`
+            });
+        }
+        
+        const note = req.body && req.body.note ? String(req.body.note).trim() : null;
+        const rootCause = req.body && req.body.root_cause ? String(req.body.root_cause).trim().toLowerCase() : null;
+        
+        if (!note && isNoteRequired(alert.severity)) {
+            return res.status(400).json({
+                error: 'Resolution note required',
+                details: `A note is required to resolve ${alert.severity} alerts`,
+                example: { actor: 'jane', note: 'Restarted the replica', root_cause: getRootCauseCategories()[0] }
+            });
+        }
+        
+        if (rootCause && !isValidRootCause(rootCause)) {
+            return res.status(400).json({
+                error: 'Invalid root cause',
+                details: `Must be one of: ${getRootCauseCategories().join(', ')}`,
+                example: { actor: 'jane', note: 'Restarted the replica', root_cause: getRootCauseCategories()[0] }
+            });
+        }
+        
+        const actor = getApiActor(req);
+        const resolved = await db.resolveAlert(alert.id, actor, { note, rootCause });
+        if (!resolved) {
+            return res.status(409).json({ error: 'Alert already resolved' });
+        }
+        
+        console.log(`Alert ${alert.id} resolved by ${actor.displayName}`);
+        await recordAlertEvent(alert.id, 'resolved', actor.displayName, getResolutionPayload(note, rootCause));
+        syncAlertMessage(alert.id);
+        
+        res.json({
+            success: true,
+            alert: serializeAlert(await db.getAlertById(alert.id))
+        });
+    } catch (error) {
+        console.error('Error resolving alert:', error);
+        res.status(500).json({
+            error: 'Failed to resolve alert'
+        });
+    }
+});
+
+function parseAlertFilters(query) {
+    const filters = {};
+    const toList = (value) => [].concat(value || []).join(',').split(',').map(item => item.trim()).filter(Boolean);
+    
+    filters.statuses = toList(query.status).map(status => status.toLowerCase());
+    const invalidStatus = filters.statuses.find(status => !['open', 'acked', 'resolved'].includes(status));
+    if (invalidStatus) {
+        return { error: `Invalid status "${invalidStatus}". Must be one of: open, acked, resolved` };
+    }
+    
+    filters.severities = toList(query.severity).map(severity => severity.toLowerCase());
+    const invalidSeverity = filters.severities.find(severity => !['critical', 'warning', 'info'].includes(severity));
+    if (invalidSeverity) {
+        return { error: `Invalid severity "${invalidSeverity}". Must be one of: critical, warning, info` };
+    }
+    
+    filters.sources = toList(query.source);
+    
+    filters.rootCauses = toList(query.root_cause).map(category => category.toLowerCase());
+    
+    if (query.q !== undefined) {
+        filters.q = String(query.q).trim();
+        if (!filters.q || filters.q.length > 200) {
+            return { error: 'q must be between 1 and 200 characters' };
+        }
+    }
+    
+    for (const field of ['from', 'to']) {
+        if (!query[field]) continue;
+        
+        filters[field] = parseTimeParam(query[field]);
+        if (!filters[field]) {
+            return { error: `Invalid ${field} time "${query[field]}". Use ISO 8601 or epoch seconds` };
+        }
+    }
+    
+    filters.labels = {};
+    for (const label of [].concat(query.label || [])) {
+        if (typeof label !== 'string') {
+            return { error: 'Invalid label filter, expected label=key=value' };
+        }
+        
+        const separator = label.indexOf('=');
+        const key = label.substring(0, separator);
+        
+        if (separator <= 0 || !/^[\w.-]+$/.test(key)) {
+            return { error: `Invalid label filter "${label}", expected key=value` };
+        }
+        
+        filters.labels[key] = label.substring(separator + 1);
+    }
+    
+    if (query.limit !== undefined) {
+        filters.limit = parseInt(query.limit);
+        if (!filters.limit || filters.limit < 1 || filters.limit > 200) {
+            return { error: 'limit must be between 1 and 200' };
+        }
+    }
+    
+    if (query.cursor !== undefined) {
+        filters.cursor = parseInt(query.cursor);
+        if (!filters.cursor || filters.cursor < 1) {
+            return { error: 'cursor must be the next_cursor value of a previous page' };
+        }
+    }
+    
+    return { filters, error: null };
+}
+
+function parseReportQuery(query) {
+    if (!query.from && !query.to) {
+        return parseReportPeriod(query.period);
+    }
+    
+    if (query.period) {
+        return { period: null, error: 'Use either period or from/to, not both' };
+    }
+    
+    const period = {
+        from: query.from ? parseTimeParam(query.from) : null,
+        to: query.to ? parseTimeParam(query.to) : Math.floor(Date.now() / 1000) + 1
+    };
+    
+    if (!period.from || !period.to) {
+        return { period: null, error: 'from is required; from and to must be ISO 8601 or epoch seconds' };
+    }
+    
+    const error = validatePeriod(period);
+    return error ? { period: null, error } : { period, error: null };
+}
+
+function parseTimeParam(value) {
+    if (/^\d+$/.test(value)) {
+        const number = parseInt(value);
+        return number > 1e12 ? Math.floor(number / 1000) : number;
+    }
+    
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function serializeAlert(alert) {
+    return {
+        ...alert,
+        status: getAlertStatus(alert),
+        acknowledged: !!alert.acknowledged,
+        resolved: !!alert.resolved
+    };
+}
+
+function buildAlertHistory(alert, escalations, deliveries) {
+    const history = [{ at: alert.created_at, event: 'created', details: `${alert.severity} alert from ${alert.source}` }];
+    
+    deliveries.forEach(delivery => {
+        history.push({
+            at: delivery.sent_at || delivery.updated_at || delivery.created_at,
+            event: `delivery_${delivery.status}`,
+            details: `chat ${delivery.chat_id}${delivery.message_thread_id ? ` topic ${delivery.message_thread_id}` : ''}` +
+                (delivery.last_error ? `: ${delivery.last_error}` : '')
+        });
+    });
+    
+    if (alert.occurrence_count > 1) {
+        history.push({ at: alert.last_seen_at, event: 'repeated', details: `seen ${alert.occurrence_count} times` });
+    }
+    
+    escalations.forEach(escalation => {
+        history.push({ at: escalation.created_at, event: 'escalated', details: `step ${escalation.step + 1}: ${escalation.action} ${escalation.target || ''}`.trim() });
+    });
+    
+    if (alert.acknowledged) {
+        history.push({ at: alert.acknowledged_at, event: 'acknowledged', by: alert.acknowledged_by_name || alert.acknowledged_by || null });
+    }
+    
+    if (alert.resolved) {
+        history.push({
+            at: alert.resolved_at,
+            event: 'resolved',
+            by: alert.resolved_by_source ? `source (${alert.resolved_by_source})` : (alert.resolved_by_name || alert.resolved_by || null),
+            details: [alert.root_cause && `root cause: ${alert.root_cause}`, alert.resolution_note].filter(Boolean).join(' - ') || undefined
+        });
+    }
+    
+    return history.sort((a, b) => a.at - b.at);
+}
+
+function getApiActor(req) {
+    const actor = String((req.body && req.body.actor) || 'api').trim().substring(0, 64) || 'api';
+    return { username: null, id: null, displayName: `${actor} (API)` };
+}
+
+function recordAlertEvent(alertId, eventType, actor = null, payload = null) {
+    return db.recordAlertEvent(alertId, eventType, { actor, payload }).catch(error => {
+        console.error(`Failed to record ${eventType} event for alert ${alertId}:`, error.message);
+    });
+}
+
+async function isSilenced(alert) {
+    const silences = await db.getActiveSilences();
+    return silences.some(silence => matchesAlert(alert, silence.matchers));
+}
+
+function syncAlertMessage(alertId) {
+    if (!bot) return;
+    
+    bot.updateAlertMessage(alertId).catch(error => {
+        console.error(`Failed to update Telegram message for alert ${alertId}:`, error.message);
+    });
+}
+
+app.get('/api/outbox', authenticateToken, async (req, res) => {
+    const status = req.query.status;
+    
+    if (status && !['queued', 'sent', 'silenced', 'failed'].includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid status',
+            details: 'Status must be one of: queued, sent, silenced, failed'
+        });
+    }
+    
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const deliveries = await db.getDeliveries(status, limit);
+        res.json({
+            success: true,
+            deliveries
+        });
+    } catch (error) {
+        console.error('Error fetching outbox:', error);
+        res.status(500).json({
+            error: 'Failed to fetch outbox'
+        });
+    }
+});
+
+app.post('/api/outbox/:id/replay', authenticateToken, async (req, res) => {
+    try {
+        const deliveryId = parseInt(req.params.id);
+        const delivery = await db.getDeliveryById(deliveryId);
+        
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        
+        if (delivery.status !== 'failed') {
+            return res.status(409).json({
+                error: 'Delivery not in dead-letter state',
+                status: delivery.status
+            });
+        }
+        
+        await outbox.replay(deliveryId);
+        
+        res.json({
+            success: true,
+            delivery: await db.getDeliveryById(deliveryId)
+        });
+    } catch (error) {
+        console.error('Error replaying delivery:', error);
+        res.status(500).json({
+            error: 'Failed to replay delivery'
+        });
+    }
+});
+
+app.get('/api/silences', authenticateToken, async (req, res) => {
+    try {
+        const silences = await db.getSilences(req.query.all === 'true');
+        res.json({
+            success: true,
+            silences
+        });
+    } catch (error) {
+        console.error('Error fetching silences:', error);
+        res.status(500).json({
+            error: 'Failed to fetch silences'
+        });
+    }
+});
+
+app.post('/api/silences', authenticateToken, async (req, res) => {
+    const { matchers, duration, starts_at, ends_at, created_by, comment } = req.body || {};
+    
+    const matcherError = validateMatchers(matchers);
+    if (matcherError) {
+        return res.status(400).json({
+            error: 'Invalid silence',
+            details: matcherError,
+            example: {
+                matchers: { source: 'db-01', severity: 'warning', title: '^Disk', labels: { team: 'payments' } },
+                duration: '2h',
+                created_by: 'deploy-pipeline',
+                comment: 'Planned maintenance'
+            }
+        });
+    }
+    
+    const startsAt = starts_at ? Math.floor(new Date(starts_at).getTime() / 1000) : Math.floor(Date.now() / 1000);
+    let endsAt = ends_at ? Math.floor(new Date(ends_at).getTime() / 1000) : null;
+    
+    if (!endsAt && duration) {
+        const durationSeconds = parseDuration(duration);
+        endsAt = durationSeconds ? startsAt + durationSeconds : null;
+    }
+    
+    if (isNaN(startsAt) || !endsAt || isNaN(endsAt) || endsAt <= startsAt) {
+        return res.status(400).json({
+            error: 'Invalid silence',
+            details: 'Provide a duration (e.g. "2h") or an ends_at later than starts_at'
+        });
+    }
+    
+    try {
+        const silence = await db.createSilence({
+            matchers,
+            startsAt,
+            endsAt,
+            createdBy: created_by || 'api',
+            comment
+        });
+        
+        console.log(`Silence ${silence.id} created via API by ${silence.created_by}: ${describeMatchers(matchers)}`);
+        
+        res.status(201).json({
+            success: true,
+            silence
+        });
+    } catch (error) {
+        console.error('Error creating silence:', error);
+        res.status(500).json({
+            error: 'Failed to create silence'
+        });
+    }
+});
+
+app.delete('/api/silences/:id', authenticateToken, async (req, res) => {
+    try {
+        const silenceId = parseInt(req.params.id);
+        const silence = await db.getSilenceById(silenceId);
+        
+        if (!silence) {
+            return res.status(404).json({ error: 'Silence not found' });
+        }
+        
+        const expired = await db.expireSilence(silenceId);
+        if (expired) {
+            console.log(`Silence ${silenceId} expired via API`);
+        }
+        
+        res.json({
+            success: true,
+            silence: await db.getSilenceById(silenceId)
+        });
+    } catch (error) {
+        console.error('Error expiring silence:', error);
+        res.status(500).json({
+            error: 'Failed to expire silence'
+        });
+    }
+});
+
+app.get('/api/oncall', authenticateToken, async (req, res) => {
+    try {
+        const summary = await getOnCallSummary(db);
+        res.json({
+            success: true,
+            oncall: summary.map(({ rotation, current, next }) => ({
+                rotation: rotation.name,
+                timezone: rotation.timezone,
+                current: {
+                    user: current.user,
+                    override: current.override,
+                    until: new Date(current.until).toISOString()
+                },
+                next: {
+                    user: next.user,
+                    override: next.override,
+                    until: new Date(next.until).toISOString()
+                }
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching on-call schedule:', error);
+        res.status(500).json({
+            error: 'Failed to fetch on-call schedule'
+        });
+    }
+});
+
+app.get('/api/oncall/rotations', authenticateToken, async (req, res) => {
+    try {
+        const summary = await getOnCallSummary(db);
+        res.json({
+            success: true,
+            rotations: summary.map(({ rotation, overrides }) => ({ ...rotation, overrides }))
+        });
+    } catch (error) {
+        console.error('Error fetching rotations:', error);
+        res.status(500).json({
+            error: 'Failed to fetch rotations'
+        });
+    }
+});
+
+app.post('/api/oncall/rotations', authenticateToken, async (req, res) => {
+    const rotation = {
+        name: req.body?.name,
+        users: Array.isArray(req.body?.users) ? req.body.users.map(String) : req.body?.users,
+        start_date: req.body?.start_date,
+        handoff_time: req.body?.handoff_time,
+        timezone: req.body?.timezone,
+        shift_days: req.body?.shift_days !== undefined ? parseInt(req.body.shift_days) : 7,
+        created_by: req.body?.created_by || 'api'
+    };
+    
+    const validationError = validateRotation(rotation);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid rotation',
+            details: validationError,
+            example: {
+                name: 'ops',
+                users: ['@alice', '@bob', '123456789'],
+                start_date: '2025-08-18',
+                handoff_time: '09:00',
+                timezone: 'Asia/Jakarta',
+                shift_days: 7
+            }
+        });
+    }
+    
+    try {
+        if (await db.getRotation(rotation.name)) {
+            return res.status(409).json({ error: `Rotation ${rotation.name} already exists` });
+        }
+        
+        const created = await db.createRotation(rotation);
+        console.log(`Rotation ${created.name} created via API`);
+        
+        res.status(201).json({
+            success: true,
+            rotation: created
+        });
+    } catch (error) {
+        console.error('Error creating rotation:', error);
+        res.status(500).json({
+            error: 'Failed to create rotation'
+        });
+    }
+});
+
+app.delete('/api/oncall/rotations/:id', authenticateToken, async (req, res) => {
+    try {
+        const rotation = await db.getRotation(req.params.id);
+        if (!rotation) {
+            return res.status(404).json({ error: 'Rotation not found' });
+        }
+        
+        await db.deleteRotation(rotation.id);
+        console.log(`Rotation ${rotation.name} deleted via API`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting rotation:', error);
+        res.status(500).json({
+            error: 'Failed to delete rotation'
+        });
+    }
+});
+
+app.post('/api/oncall/overrides', authenticateToken, async (req, res) => {
+    const { rotation: rotationRef, user, starts_at, ends_at, created_by } = req.body || {};
+    
+    const startsAt = Math.floor(new Date(starts_at || Date.now()).getTime() / 1000);
+    const endsAt = Math.floor(new Date(ends_at).getTime() / 1000);
+    
+    if (!rotationRef || !user || isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+        return res.status(400).json({
+            error: 'Invalid override',
+            details: 'rotation, user and ends_at (later than starts_at) are required',
+            example: {
+                rotation: 'ops',
+                user: '@bob',
+                starts_at: '2025-08-20T09:00:00+07:00',
+                ends_at: '2025-08-21T09:00:00+07:00'
+            }
+        });
+    }
+    
+    try {
+        const rotation = await db.getRotation(rotationRef);
+        if (!rotation) {
+            return res.status(404).json({ error: 'Rotation not found' });
+        }
+        
+        const override = await db.createOverride({
+            rotation_id: rotation.id,
+            user: String(user),
+            starts_at: startsAt,
+            ends_at: endsAt,
+            created_by: created_by || 'api'
+        });
+        console.log(`Override ${override.id} for rotation ${rotation.name} created via API`);
+        
+        res.status(201).json({
+            success: true,
+            override
+        });
+    } catch (error) {
+        console.error('Error creating override:', error);
+        res.status(500).json({
+            error: 'Failed to create override'
+        });
+    }
+});
+
+app.delete('/api/oncall/overrides/:id', authenticateToken, async (req, res) => {
+    try {
+        const deleted = await db.deleteOverride(parseInt(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting override:', error);
+        res.status(500).json({
+            error: 'Failed to delete override'
+        });
+    }
+});
+
+app.get('/api/users', authenticateToken, async (req, res) => {
+    try {
+        const users = await db.getUsers();
+        res.json({
+            success: true,
+            public_access: users.length === 0,
+            users
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({
+            error: 'Failed to fetch users'
+        });
+    }
+});
+
+app.post('/api/users', authenticateToken, async (req, res) => {
+    const { user: userRef, role = DEFAULT_ROLE, created_by } = req.body || {};
+    const reference = parseUserReference(userRef);
+    
+    if (!reference || !isValidRole(role)) {
+        return res.status(400).json({
+            error: 'Invalid user',
+            details: `user must be a Telegram user ID or @username, role one of: ${ROLES.join(', ')}`,
+            example: {
+                user: '@alice',
+                role: 'responder'
+            }
+        });
+    }
+    
+    try {
+        if (await db.findUser(reference)) {
+            return res.status(409).json({ error: 'User already exists' });
+        }
+        
+        if (role !== 'admin' && await db.countUsers() === 0) {
+            return res.status(409).json({ error: 'The first user must be an admin' });
+        }
+        
+        const user = await db.createUser({ ...reference, role, createdBy: created_by || 'api' });
+        console.log(`User ${describeUser(user)} added as ${role} via API`);
+        
+        res.status(201).json({
+            success: true,
+            user
+        });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({
+            error: 'Failed to create user'
+        });
+    }
+});
+
+app.patch('/api/users/:user', authenticateToken, async (req, res) => {
+    const reference = parseUserReference(req.params.user);
+    const { role } = req.body || {};
+    
+    if (!reference || !isValidRole(role)) {
+        return res.status(400).json({
+            error: 'Invalid role',
+            details: `role must be one of: ${ROLES.join(', ')}`,
+            example: { role: 'admin' }
+        });
+    }
+    
+    try {
+        const user = await db.findUser(reference);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (role !== 'admin' && await isLastAdmin(db, user)) {
+            return res.status(409).json({ error: 'Cannot demote the last admin' });
+        }
+        
+        await db.updateUserRole(user.id, role);
+        console.log(`User ${describeUser(user)} role changed from ${user.role} to ${role} via API`);
+        
+        res.json({
+            success: true,
+            user: { ...user, role }
+        });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({
+            error: 'Failed to update user'
+        });
+    }
+});
+
+app.delete('/api/users/:user', authenticateToken, async (req, res) => {
+    const reference = parseUserReference(req.params.user);
+    
+    try {
+        const user = reference ? await db.findUser(reference) : null;
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (await isLastAdmin(db, user)) {
+            return res.status(409).json({ error: 'Cannot remove the last admin' });
+        }
+        
+        await db.deleteUser(user.id);
+        console.log(`User ${describeUser(user)} removed via API`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            error: 'Failed to delete user'
+        });
+    }
+});
+
+const TEMPLATE_EXAMPLE = {
+    name: 'kubernetes',
+    matchers: { provider: 'prometheus' },
+    priority: 10,
+    body: '<b>{{severity_label}}</b> {{title}}\n{{#if labels.pod}}<code>{{labels.namespace}}/{{labels.pod}}</code>\n{{/if}}{{annotations.summary}}'
+};
+
+app.get('/api/templates', authenticateToken, async (req, res) => {
+    try {
+        const templates = await db.getTemplates();
+        res.json({
+            success: true,
+            templates
+        });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({
+            error: 'Failed to fetch templates'
+        });
+    }
+});
+
+app.post('/api/templates/preview', authenticateToken, async (req, res) => {
+    const { name, body, alert: payload, chat_id } = req.body || {};
+    
+    if (body !== undefined) {
+        const bodyError = validateTemplateBody(body);
+        if (bodyError) {
+            return res.status(400).json({
+                error: 'Invalid template',
+                details: bodyError,
+                example: { body: TEMPLATE_EXAMPLE.body, alert: SAMPLE_ALERT }
+            });
+        }
+    }
+    
+    try {
+        const transformed = payload ? detectAndTransformWebhook(payload) : null;
+        const alert = transformed && transformed.length > 0 ? transformed[0] : { ...SAMPLE_ALERT, ...payload };
+        
+        let template;
+        if (body !== undefined) {
+            template = { name: null, body };
+        } else if (name) {
+            template = await db.getTemplate(name);
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+        } else {
+            template = selectTemplate(alert);
+        }
+        
+        const context = await getRenderContext(db, { chatId: chat_id });
+        const message = formatAlertMessage(alert, { context, template });
+        
+        res.json({
+            success: true,
+            template: template ? template.name : null,
+            alert,
+            message,
+            length: message.length,
+            truncated: isAlertTruncated(alert, context, template)
+        });
+    } catch (error) {
+        console.error('Error previewing template:', error);
+        res.status(500).json({
+            error: 'Failed to preview template'
+        });
+    }
+});
+
+app.post('/api/templates', authenticateToken, async (req, res) => {
+    const template = {
+        name: req.body?.name,
+        matchers: req.body?.matchers || null,
+        body: req.body?.body,
+        priority: req.body?.priority !== undefined ? parseInt(req.body.priority) : 0,
+        created_by: req.body?.created_by || 'api'
+    };
+    
+    const validationError = validateTemplate(template);
+    if (validationError) {
+        return res.status(400).json({
+            error: 'Invalid template',
+            details: validationError,
+            example: TEMPLATE_EXAMPLE
+        });
+    }
+    
+    try {
+        if (await db.getTemplate(template.name)) {
+            return res.status(409).json({ error: `Template ${template.name} already exists` });
+        }
+        
+        const created = await db.createTemplate(template);
+        await loadTemplates(db);
+        console.log(`Template ${created.name} created via API by ${created.created_by}: ${describeMatchers(created.matchers)}`);
+        
+        res.status(201).json({
+            success: true,
+            template: created
+        });
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({
+            error: 'Failed to create template'
+        });
+    }
+});
+
+app.patch('/api/templates/:id', authenticateToken, async (req, res) => {
+    try {
+        const existing = await db.getTemplate(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        const changes = req.body || {};
+        const template = {
+            ...existing,
+            name: changes.name !== undefined ? changes.name : existing.name,
+            matchers: changes.matchers !== undefined ? changes.matchers || null : existing.matchers,
+            body: changes.body !== undefined ? changes.body : existing.body,
+            priority: changes.priority !== undefined ? parseInt(changes.priority) : existing.priority
+        };
+        
+        const validationError = validateTemplate(template);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid template',
+                details: validationError,
+                example: TEMPLATE_EXAMPLE
+            });
+        }
+        
+        const conflict = template.name !== existing.name ? await db.getTemplate(template.name) : null;
+        if (conflict && conflict.id !== existing.id) {
+            return res.status(409).json({ error: `Template ${template.name} already exists` });
+        }
+        
+        await db.updateTemplate(existing.id, template);
+        await loadTemplates(db);
+        console.log(`Template ${template.name} updated via API`);
+        
+        res.json({
+            success: true,
+            template: await db.getTemplate(existing.id)
+        });
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({
+            error: 'Failed to update template'
+        });
+    }
+});
+
+app.delete('/api/templates/:id', authenticateToken, async (req, res) => {
+    try {
+        const template = await db.getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        
+        await db.deleteTemplate(template.id);
+        await loadTemplates(db);
+        console.log(`Template ${template.name} deleted via API`);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            error: 'Failed to delete template'
+        });
+    }
+});
+
+app.use('*', (req, res) => {
+    if (config.LOG_LEVEL === 'debug') {
+        console.log(`404 - ${req.method} ${req.originalUrl} from ${req.ip}`);
+    }
+    res.status(404).json({
+        error: 'Not found',
+        message: 'Endpoint not found',
+        available_endpoints: ['/api/health', '/api/alert', '/api/alerts', '/api/reports', '/api/outbox', '/api/silences', '/api/oncall', '/api/users', '/api/templates']
+    });
+});
+
+app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: config.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    });
+});
+
+function gracefulShutdown(signal) {
+    console.log(`${signal} received. Shutting down gracefully...`);
+    
+    const shutdownPromises = [];
+    
+    if (outbox) {
+        outbox.stop();
+    }
+    
+    if (escalation) {
+        escalation.stop();
+    }
+    
+    if (snooze) {
+        snooze.stop();
+    }
+    
+    if (reminder) {
+        reminder.stop();
+    }
+    
+    if (scheduler) {
+        scheduler.stop();
+    }
     
     if (bot) {
         shutdownPromises.push(bot.close());
@@ -516,8 +1750,9 @@ function startServer() {
         console.log(`- Database: Connected (${config.DATABASE_PATH})`);
         console.log(`- Telegram Bot: ${bot ? 'Connected' : 'Disabled'}`);
         console.log(`- Chat ID: ${config.CHAT_ID ? 'Configured' : 'Not set'}`);
+        console.log(`- Routing Rules: ${getRoutingRules().length} configured`);
         console.log(`- Webhook Auth: ${config.WEBHOOK_SECRET ? 'Enabled' : 'Disabled'}`);
-        console.log(`- Authorized Users: ${config.AUTHORIZED_USERS.length} configured`);
+        console.log(`- Authorized Users: ${config.AUTHORIZED_USERS.length} in AUTHORIZED_USERS (seeds the users table)`);
         console.log(`- Request Timeout: ${config.WEBHOOK_TIMEOUT}ms`);
         console.log(`- Telegram Timeout: ${config.TELEGRAM_TIMEOUT}ms`);
         
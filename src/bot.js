@@ -1,15 +1,82 @@
 const TelegramBot = require('node-telegram-bot-api');
+const crypto = require('crypto');
 const config = require('./env');
 const Database = require('./database');
 const {
     formatAlertMessage,
     formatAcknowledgedMessage,
+    formatSnoozedMessage,
     formatResolvedMessage,
-    formatWeeklyReport,
+    formatReport,
+    formatDailyDigest,
+    formatScheduleList,
+    formatSettings,
+    formatSearchResults,
+    formatAlertTimeline,
+    formatReminderMessage,
+    formatStaleSummary,
+    formatAlertDetails,
+    getMessageLink,
     createAcknowledgeKeyboard,
     createResolveKeyboard,
-    extractAlertIdFromCallback
+    createReopenKeyboard,
+    createAssignKeyboard,
+    createSnoozeKeyboard,
+    createSnoozedKeyboard,
+    addAlertButtons,
+    isSnoozed,
+    SNOOZE_DURATIONS,
+    formatAlertList,
+    createAlertListKeyboard,
+    parseListCallback,
+    formatSilenceList,
+    formatUserList,
+    formatOnCallSummary,
+    formatRotationList,
+    formatDuration,
+    formatTimestamp,
+    formatMention,
+    escapeHtml,
+    truncateHtml,
+    splitMessage,
+    parseDuration,
+    parseZonedDateTime,
+    isValidTimeZone,
+    extractAlertIdFromCallback,
+    t
 } = require('./utils');
+const { matchesAlert, parseMatcherArgs, validateMatchers, describeMatchers, escapeRegex } = require('./matchers');
+const { getOnCallSummary, getCurrentOnCallUsers, validateRotation } = require('./oncall');
+const { ROLES, DEFAULT_ROLE, isValidRole, hasRole, parseUserReference, describeUser, isLastAdmin } = require('./roles');
+const { getNoteMode, isNoteRequired, getRootCauseCategories, isValidRootCause, getResolutionPayload } = require('./resolution');
+const { parseCron, getNextRun } = require('./cron');
+const { parseReportPeriod, buildReport } = require('./reports');
+const { getSettingDefinition, getPreferences, getRenderContext } = require('./settings');
+const { LANGUAGES, isValidLanguage, getLanguageName } = require('./i18n');
+
+const LIST_PAGE_SIZE = 5;
+const LIST_SESSION_TTL = 60 * 60 * 1000;
+const LIST_SESSION_LIMIT = 200;
+
+const BULK_ACTION_LIMIT = 500;
+const BULK_ACTION_TTL = 5 * 60 * 1000;
+
+const RESOLUTION_PROMPT_TTL = 15 * 60 * 1000;
+const SEARCH_LIMIT = 10;
+
+const CALLBACK_ROLES = {
+    acknowledge: 'responder',
+    resolve: 'responder',
+    unacknowledge: 'responder',
+    reopen: 'responder',
+    assign: 'responder',
+    snooze: 'responder',
+    unsnooze: 'responder',
+    silence: 'admin',
+    details: 'viewer'
+};
+
+const ASSIGN_PICKER_LIMIT = 20;
 
 class PanitenBot {
     constructor() {
@@ -19,8 +86,10 @@ class PanitenBot {
         
         this.token = config.BOT_TOKEN;
         this.chatId = config.CHAT_ID;
-        this.authorizedUsers = config.AUTHORIZED_USERS;
         this.db = new Database();
+        this.listSessions = new Map();
+        this.bulkActions = new Map();
+        this.resolutionPrompts = new Map();
         
         this.bot = new TelegramBot(this.token, { 
             polling: true,
@@ -36,314 +105,1951 @@ class PanitenBot {
     logInitialization() {
         console.log('Telegram bot initialized');
         console.log(`Chat ID: ${this.chatId || 'Not configured'}`);
-        console.log(`Authorized users: ${this.authorizedUsers.length > 0 ? this.authorizedUsers.length + ' users' : 'Public access (no restriction)'}`);
         
-        if (this.authorizedUsers.length === 0) {
-            console.warn('WARNING: No authorized users configured - bot commands will be public');
-        }
+        this.db.getUsers().then(users => {
+            if (users.length === 0) {
+                console.warn('WARNING: No authorized users configured - bot commands will be public');
+                return;
+            }
+            
+            const counts = users.reduce((acc, user) => {
+                acc[user.role] = (acc[user.role] || 0) + 1;
+                return acc;
+            }, {});
+            console.log(`Authorized users: ${users.length} (${Object.entries(counts).map(([role, count]) => `${count} ${role}`).join(', ')})`);
+        }).catch(error => {
+            console.error('Failed to load authorized users:', error.message);
+        });
     }
 
-    isUserAuthorized(user) {
-        if (this.authorizedUsers.length === 0) {
+    async getUserRole(user) {
+        if (await this.db.countUsers() === 0) {
             if (config.LOG_LEVEL === 'debug') {
                 console.warn(`Public access: User ${user.id} (@${user.username || 'no_username'}) - no authorization configured`);
             }
-            return true;
+            return 'admin';
         }
         
-        if (this.authorizedUsers.includes(user.id.toString())) {
-            return true;
+        const telegramId = user.id.toString();
+        const entry = await this.db.findUser({ telegramId, username: user.username });
+        
+        if (!entry) {
+            return null;
+        }
+        
+        if (entry.telegram_id && entry.telegram_id !== telegramId) {
+            console.warn(`User ${telegramId} uses username @${user.username} registered to Telegram ID ${entry.telegram_id} - access denied`);
+            return null;
         }
         
-        if (user.username && this.authorizedUsers.includes(`@${user.username}`)) {
+        const usernameChanged = user.username && (entry.username || '').toLowerCase() !== user.username.toLowerCase();
+        if (!entry.telegram_id || usernameChanged) {
+            await this.db.linkUserIdentity(entry.id, telegramId, user.username).catch(error => {
+                console.error(`Failed to update identity for user ${telegramId}:`, error.message);
+            });
+        }
+        
+        return entry.role;
+    }
+
+    async isUserAuthorized(user, requiredRole = 'viewer') {
+        return hasRole(await this.getUserRole(user), requiredRole);
+    }
+
+    async authorize(msg, requiredRole, command) {
+        const role = await this.getUserRole(msg.from);
+        
+        if (hasRole(role, requiredRole)) {
             return true;
         }
         
-        if (user.username && this.authorizedUsers.includes(user.username)) {
+        console.log(`Unauthorized ${command} attempt by user ${msg.from.id} (@${msg.from.username || 'no_username'}, role: ${role || 'none'})`);
+        
+        const context = await this.getMessageContext(msg);
+        this.bot.sendMessage(msg.chat.id, role
+            ? t(context, 'auth.role_required', { command, role: requiredRole })
+            : t(context, 'auth.denied'));
+        return false;
+    }
+
+    async authorizeCallback(query, requiredRole, action) {
+        const role = await this.getUserRole(query.from);
+        
+        if (hasRole(role, requiredRole)) {
             return true;
         }
         
+        console.log(`Unauthorized ${action} click by user ${query.from.id} (@${query.from.username || 'no_username'}, role: ${role || 'none'})`);
+        
+        const context = await this.getQueryContext(query);
+        this.bot.answerCallbackQuery(query.id, {
+            text: role
+                ? t(context, 'auth.callback_role_required', { role: requiredRole, action: t(context, `action.${action}`) })
+                : t(context, 'auth.callback_denied'),
+            show_alert: true
+        });
         return false;
     }
 
     setupHandlers() {
         this.setupCommandHandlers();
+        this.setupSilenceHandlers();
+        this.setupOnCallHandlers();
+        this.setupScheduleHandlers();
+        this.setupSettingsHandlers();
+        this.setupLanguageHandlers();
+        this.setupAlertCommandHandlers();
+        this.setupListHandlers();
+        this.setupResolutionHandlers();
+        this.setupUserHandlers();
         this.setupCallbackHandlers();
         this.setupErrorHandlers();
     }
 
     setupCommandHandlers() {
-        this.bot.onText(/\/start/, (msg) => {
-            if (!this.isUserAuthorized(msg.from)) {
-                console.log(`Unauthorized /start attempt by user ${msg.from.id} (@${msg.from.username || 'no_username'})`);
-                return this.bot.sendMessage(msg.chat.id, 
-                    'Access denied. Contact administrator to get authorized.');
-            }
+        this.bot.onText(/\/start/, async (msg) => {
+            if (!await this.authorize(msg, 'viewer', '/start')) return;
             
             console.log(`/start command from: ${msg.from.first_name} (@${msg.from.username || msg.from.id})`);
             
-            const welcomeMessage = `*Paniten Bot* - Alert Management System
-
-Welcome! I manage infrastructure alerts with team collaboration features.
-
-*Available Commands:*
-/status - Show unacknowledged alerts count
-/report - Weekly alert summary with statistics
-/help - Show detailed help information
-
-*How it works:*
-• External systems send alerts via webhook
-• I notify this group with interactive buttons
-• Team members can acknowledge and resolve alerts
-• Track who handled what and when
-
-*Ready to monitor your infrastructure!*`;
-            
-            this.bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: 'Markdown' });
+            const context = await this.getMessageContext(msg);
+            this.bot.sendMessage(msg.chat.id, t(context, 'start.text'), { parse_mode: 'HTML' });
         });
 
         this.bot.onText(/\/status/, async (msg) => {
-            if (!this.isUserAuthorized(msg.from)) {
-                console.log(`Unauthorized /status attempt by user ${msg.from.id}`);
-                return this.bot.sendMessage(msg.chat.id, 'Access denied.');
-            }
+            if (!await this.authorize(msg, 'viewer', '/status')) return;
+            
+            const context = await this.getMessageContext(msg);
             
             try {
                 console.log(`/status command from: ${msg.from.first_name} (@${msg.from.username || msg.from.id})`);
-                const count = await this.db.getUnacknowledgedCount();
+                const [count, snoozed] = await Promise.all([
+                    this.db.getUnacknowledgedCount(),
+                    this.db.getSnoozedCount()
+                ]);
                 
                 let message;
                 if (count === 0) {
-                    message = '*Status:* All alerts acknowledged - system healthy';
+                    message = t(context, 'status.healthy');
                 } else {
-                    message = `*Status:* ${count} unacknowledged alert${count > 1 ? 's' : ''} requiring attention`;
+                    message = t(context, 'status.unacknowledged', { count });
                 }
                 
-                this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+                if (snoozed > 0) {
+                    message += `\n${t(context, 'status.snoozed', { count: snoozed })}`;
+                }
+                
+                this.bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
             } catch (error) {
                 console.error('Error getting status:', error);
-                this.bot.sendMessage(msg.chat.id, 'Error retrieving system status');
+                this.bot.sendMessage(msg.chat.id, t(context, 'status.error'));
             }
         });
 
-        this.bot.onText(/\/report/, async (msg) => {
-            if (!this.isUserAuthorized(msg.from)) {
-                console.log(`Unauthorized /report attempt by user ${msg.from.id}`);
-                return this.bot.sendMessage(msg.chat.id, 'Access denied.');
+        this.bot.onText(/^\/report(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/report')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const { period, error } = parseReportPeriod(match[1], Date.now(), context.timeZone);
+            if (error) {
+                return this.bot.sendMessage(msg.chat.id, `${error}\n\n${t(context, 'report.usage')}`);
             }
             
             try {
                 console.log(`/report command from: ${msg.from.first_name} (@${msg.from.username || msg.from.id})`);
                 
-                const [stats, topAcknowledgers, topResolvers] = await Promise.all([
-                    this.db.getWeeklyReport(),
-                    this.db.getTopAcknowledgers(),
-                    this.db.getTopResolvers()
-                ]);
-                
-                const report = formatWeeklyReport(stats, topAcknowledgers, topResolvers);
-                this.bot.sendMessage(msg.chat.id, report, { parse_mode: 'Markdown' });
+                const report = formatReport(await buildReport(this.db, period), context);
+                this.bot.sendMessage(msg.chat.id, report, { parse_mode: 'HTML' });
             } catch (error) {
                 console.error('Error generating report:', error);
-                this.bot.sendMessage(msg.chat.id, 'Error generating weekly report');
+                this.bot.sendMessage(msg.chat.id, t(context, 'report.error'));
             }
         });
 
-        this.bot.onText(/\/help/, (msg) => {
-            if (!this.isUserAuthorized(msg.from)) {
-                console.log(`Unauthorized /help attempt by user ${msg.from.id}`);
-                return this.bot.sendMessage(msg.chat.id, 'Access denied.');
-            }
+        this.bot.onText(/\/help/, async (msg) => {
+            if (!await this.authorize(msg, 'viewer', '/help')) return;
             
             console.log(`/help command from: ${msg.from.first_name} (@${msg.from.username || msg.from.id})`);
             
-            const helpMessage = `*Paniten Bot Help Guide*
-
-*Available Commands:*
-/start - Welcome message and system overview
-/status - Current unacknowledged alerts count
-/report - Weekly statistics and top contributors
-/help - This help guide
-
-*Alert Workflow:*
-1. External monitoring systems send webhooks
-2. Bot creates alert and notifies this group
-3. Team members click "Acknowledge" button
-4. After acknowledgment, click "Resolve" when fixed
-5. System tracks all actions with timestamps
-
-*Supported Webhook Formats:*
-• Grafana alerts
-• Prometheus Alertmanager
-• Zabbix notifications  
-• Generic webhooks with message field
-• Native Paniten format
+            const context = await this.getMessageContext(msg);
+            this.bot.sendMessage(msg.chat.id, t(context, 'help.text'), { parse_mode: 'HTML' });
+        });
+    }
 
-*Group Management:*
-• Add bot to monitoring groups
-• Configure CHAT_ID in environment
-• Set AUTHORIZED_USERS for command access
-• Bot needs message sending permissions
+    setupSilenceHandlers() {
+        this.bot.onText(/^\/silence(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'admin', '/silence')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'silence.usage');
+            const input = (match[1] || '').trim();
+            const [matcherPart, ...commentParts] = input.split(' -- ');
+            const [durationText, ...matcherArgs] = matcherPart.trim().split(/\s+/);
+            const duration = parseDuration(durationText);
+            
+            if (!duration) {
+                return this.bot.sendMessage(msg.chat.id, usage);
+            }
+            
+            const { matchers, error } = parseMatcherArgs(matcherArgs);
+            const validationError = error || validateMatchers(matchers);
+            if (validationError) {
+                return this.bot.sendMessage(msg.chat.id, `${validationError}\n\n${usage}`);
+            }
+            
+            try {
+                const userInfo = this.extractUserInfo(msg.from);
+                const silence = await this.createSilence(matchers, duration, userInfo, commentParts.join(' -- ').trim());
+                
+                this.bot.sendMessage(msg.chat.id, 
+                    t(context, 'silence.created', { id: silence.id, duration: durationText, matchers: describeMatchers(matchers) }));
+            } catch (error) {
+                console.error('Error creating silence:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'silence.create_error'));
+            }
+        });
 
-*Webhook Configuration:*
-POST /api/alert with Bearer token authentication
-Multiple formats supported with auto-detection
+        this.bot.onText(/^\/silences(?:@\w+)?$/, async (msg) => {
+            if (!await this.authorize(msg, 'viewer', '/silences')) return;
+            
+            const context = await this.getMessageContext(msg);
+            
+            try {
+                const silences = await this.db.getSilences();
+                this.bot.sendMessage(msg.chat.id, formatSilenceList(silences, context), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error('Error listing silences:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'silence.list_error'));
+            }
+        });
 
-For technical setup assistance, consult the documentation.`;
+        this.bot.onText(/^\/unsilence(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'admin', '/unsilence')) return;
             
-            this.bot.sendMessage(msg.chat.id, helpMessage, { parse_mode: 'Markdown' });
+            const context = await this.getMessageContext(msg);
+            const silenceId = parseInt((match[1] || '').replace(/^#/, ''));
+            if (!silenceId) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'silence.unsilence_usage'));
+            }
+            
+            try {
+                const expired = await this.db.expireSilence(silenceId);
+                const displayName = this.getUserDisplayName(this.extractUserInfo(msg.from));
+                
+                if (expired) {
+                    console.log(`Silence ${silenceId} expired by ${displayName}`);
+                    this.bot.sendMessage(msg.chat.id, t(context, 'silence.expired', { id: silenceId }));
+                } else {
+                    this.bot.sendMessage(msg.chat.id, t(context, 'silence.not_found', { id: silenceId }));
+                }
+            } catch (error) {
+                console.error('Error expiring silence:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'silence.expire_error'));
+            }
         });
     }
 
-    setupCallbackHandlers() {
-        this.bot.on('callback_query', async (query) => {
-            const callbackResult = extractAlertIdFromCallback(query.data);
+    setupOnCallHandlers() {
+        this.bot.onText(/^\/oncall(?:@\w+)?$/, async (msg) => {
+            if (!await this.authorize(msg, 'viewer', '/oncall')) return;
             
-            if (!callbackResult) {
-                return this.bot.answerCallbackQuery(query.id, {
-                    text: 'Invalid callback data',
-                    show_alert: true
-                });
+            const context = await this.getMessageContext(msg);
+            
+            try {
+                const summary = await getOnCallSummary(this.db);
+                this.bot.sendMessage(msg.chat.id, formatOnCallSummary(summary, context), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error('Error getting on-call schedule:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'oncall.error'));
             }
+        });
 
-            const { id: alertId, action } = callbackResult;
-
+        this.bot.onText(/^\/rotation(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/rotation')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'rotation.usage');
+            const [subcommand, ...args] = (match[1] || '').trim().split(/\s+/);
+            
+            if (['add', 'remove'].includes(subcommand) && !await this.authorize(msg, 'admin', `/rotation ${subcommand}`)) return;
+            
             try {
-                const alert = await this.db.getAlertById(alertId);
-                if (!alert) {
-                    return this.bot.answerCallbackQuery(query.id, {
-                        text: 'Alert not found in database',
-                        show_alert: true
-                    });
+                if (subcommand === 'add') {
+                    await this.handleRotationAdd(msg, args, usage, context);
+                } else if (subcommand === 'remove' && args[0]) {
+                    const rotation = await this.db.getRotation(args[0]);
+                    if (!rotation) {
+                        return this.bot.sendMessage(msg.chat.id, t(context, 'rotation.not_found', { name: args[0] }));
+                    }
+                    await this.db.deleteRotation(rotation.id);
+                    console.log(`Rotation ${rotation.name} deleted by ${this.getUserDisplayName(this.extractUserInfo(msg.from))}`);
+                    this.bot.sendMessage(msg.chat.id, t(context, 'rotation.deleted', { name: rotation.name }));
+                } else if (subcommand === 'list') {
+                    const summary = await getOnCallSummary(this.db);
+                    this.bot.sendMessage(msg.chat.id, formatRotationList(summary, context), { parse_mode: 'HTML' });
+                } else {
+                    this.bot.sendMessage(msg.chat.id, usage);
                 }
+            } catch (error) {
+                console.error('Error managing rotation:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'rotation.error'));
+            }
+        });
 
-                if (action === 'acknowledge') {
-                    await this.handleAcknowledge(query, alert, alertId);
-                } else if (action === 'resolve') {
-                    await this.handleResolve(query, alert, alertId);
+        this.bot.onText(/^\/override(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'responder', '/override')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'override.usage');
+            const args = (match[1] || '').trim().split(/\s+/);
+            
+            try {
+                if (args[0] === 'remove' && args[1]) {
+                    const deleted = await this.db.deleteOverride(parseInt(args[1].replace(/^#/, '')));
+                    return this.bot.sendMessage(msg.chat.id, t(context, deleted ? 'override.deleted' : 'override.not_found', { id: args[1] }));
                 }
+                
+                await this.handleOverrideAdd(msg, args, usage, context);
+            } catch (error) {
+                console.error('Error managing override:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'override.error'));
+            }
+        });
+    }
 
+    setupScheduleHandlers() {
+        this.bot.onText(/^\/schedule(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/schedule')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'schedule.usage', { timezone: context.timeZone });
+            const [subcommand, ...args] = (match[1] || 'list').trim().split(/\s+/);
+            
+            if (['add', 'remove', 'pause', 'resume'].includes(subcommand) && !await this.authorize(msg, 'admin', `/schedule ${subcommand}`)) return;
+            
+            try {
+                if (subcommand === 'add') {
+                    await this.handleScheduleAdd(msg, args, usage, context);
+                } else if (['remove', 'pause', 'resume'].includes(subcommand) && args[0]) {
+                    await this.handleScheduleChange(msg, subcommand, parseInt(args[0].replace(/^#/, '')), context);
+                } else if (subcommand === 'list') {
+                    const schedules = await this.db.getReportSchedules();
+                    this.bot.sendMessage(msg.chat.id, formatScheduleList(schedules, context), { parse_mode: 'HTML' });
+                } else {
+                    this.bot.sendMessage(msg.chat.id, usage);
+                }
             } catch (error) {
-                console.error('Error handling callback query:', error);
-                this.bot.answerCallbackQuery(query.id, {
-                    text: 'Error processing request',
-                    show_alert: true
-                });
+                console.error('Error managing report schedule:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'schedule.error'));
             }
         });
     }
 
-    setupErrorHandlers() {
-        this.bot.on('polling_error', (error) => {
-            console.error('Telegram polling error:', error.code);
-            if (error.response && config.LOG_LEVEL === 'debug') {
-                console.error('Response details:', error.response.body);
+    setupSettingsHandlers() {
+        this.bot.onText(/^\/settings(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/settings')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'settings.usage');
+            const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+            const scope = args[0] === 'chat' ? args.shift() : 'user';
+            
+            if (scope === 'chat' && !await this.authorize(msg, 'admin', '/settings chat')) return;
+            
+            try {
+                if (args.length === 0 && scope === 'user') {
+                    const preferences = await getPreferences(this.db, { chatId: msg.chat.id, userId: msg.from.id });
+                    return this.bot.sendMessage(msg.chat.id, formatSettings(preferences, context), { parse_mode: 'HTML' });
+                }
+                
+                const setting = getSettingDefinition(args[0]);
+                if (!setting || args.length !== 2) {
+                    return this.bot.sendMessage(msg.chat.id, usage);
+                }
+                
+                await this.handleSettingChange(msg, scope, setting, args[1]);
+            } catch (error) {
+                console.error('Error updating settings:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'settings.error'));
             }
         });
+    }
 
-        this.bot.on('webhook_error', (error) => {
-            console.error('Telegram webhook error:', error);
+    setupLanguageHandlers() {
+        this.bot.onText(/^\/lang(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/lang')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const value = (match[1] || '').toLowerCase();
+            const languages = Object.entries(LANGUAGES).map(([code, name]) => `${code} (${name})`).join(', ');
+            
+            try {
+                if (!value) {
+                    const chatContext = await this.getChatContext(msg.chat.id);
+                    return this.bot.sendMessage(msg.chat.id,
+                        t(context, 'lang.current', { language: getLanguageName(chatContext.language), languages }));
+                }
+                
+                if (!await this.authorize(msg, 'admin', '/lang')) return;
+                
+                if (value !== 'reset' && !isValidLanguage(value)) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'lang.invalid', { value, languages }));
+                }
+                
+                const displayName = this.getUserDisplayName(this.extractUserInfo(msg.from));
+                if (value === 'reset') {
+                    await this.db.deleteSetting('chat', msg.chat.id, 'language');
+                } else {
+                    await this.db.setSetting('chat', msg.chat.id, 'language', value, displayName);
+                }
+                console.log(`Language for chat ${msg.chat.id} ${value === 'reset' ? 'reset' : `set to ${value}`} by ${displayName}`);
+                
+                const chatContext = await this.getChatContext(msg.chat.id);
+                this.bot.sendMessage(msg.chat.id,
+                    t(chatContext, value === 'reset' ? 'lang.reset' : 'lang.updated', { language: getLanguageName(chatContext.language) }));
+            } catch (error) {
+                console.error('Error changing language:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'lang.error'));
+            }
         });
     }
 
-    async handleAcknowledge(query, alert, alertId) {
-        if (alert.acknowledged) {
-            const acknowledgedBy = alert.acknowledged_by_name || alert.acknowledged_by || 'Unknown user';
-            return this.bot.answerCallbackQuery(query.id, {
-                text: `Already acknowledged by ${acknowledgedBy}`,
-                show_alert: false
-            });
-        }
+    setupAlertCommandHandlers() {
+        this.bot.onText(/^\/ack(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'responder', '/ack')) return;
+            
+            const args = (match[1] || '').trim();
+            const userInfo = this.extractUserInfo(msg.from);
+            const context = await this.getMessageContext(msg);
+            
+            try {
+                if (/^all\b/i.test(args)) {
+                    return await this.prepareBulkAction(msg, 'ack', args.replace(/^all\s*/i, ''), context);
+                }
+                
+                const alertId = parseInt(args.replace(/^#/, ''));
+                if (!alertId) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'ack.usage'));
+                }
+                
+                const { alert, result } = await this.acknowledgeById(alertId, userInfo);
+                const replies = {
+                    acknowledged: 'ack.done',
+                    already_acknowledged: 'ack.already_acknowledged',
+                    already_resolved: 'resolve.already_resolved',
+                    not_found: 'alert.not_found'
+                };
+                
+                this.bot.sendMessage(msg.chat.id, t(context, replies[result], {
+                    id: alertId,
+                    user: alert && (alert.acknowledged_by_name || alert.acknowledged_by)
+                }));
+            } catch (error) {
+                console.error('Error acknowledging alert:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'ack.error'));
+            }
+        });
 
-        const userInfo = this.extractUserInfo(query.from);
-        const displayName = this.getUserDisplayName(userInfo);
-        console.log(`Acknowledging alert ${alertId} by ${displayName}`);
+        this.bot.onText(/^\/resolve(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'responder', '/resolve')) return;
+            
+            const args = (match[1] || '').trim();
+            const userInfo = this.extractUserInfo(msg.from);
+            const context = await this.getMessageContext(msg);
+            
+            try {
+                if (/^all\b/i.test(args)) {
+                    return await this.prepareBulkAction(msg, 'resolve', args.replace(/^all\s*/i, ''), context);
+                }
+                
+                const usage = t(context, 'resolve.usage');
+                const [, idText, rest] = args.match(/^#?(\d+)(?:\s+([\s\S]+))?$/) || [];
+                if (!idText) {
+                    return this.bot.sendMessage(msg.chat.id, usage);
+                }
+                
+                const [, causeText, noteText] = (rest || '').match(/^(?:cause=(\S+)\s*)?([\s\S]*)$/);
+                const rootCause = causeText ? causeText.toLowerCase() : null;
+                
+                if (rootCause && !isValidRootCause(rootCause)) {
+                    return this.bot.sendMessage(msg.chat.id,
+                        t(context, 'resolve.unknown_cause', { cause: rootCause, categories: getRootCauseCategories().join(', ') }));
+                }
+                
+                const alertId = parseInt(idText);
+                const { alert, result } = await this.resolveById(alertId, userInfo, noteText.trim() || null, rootCause);
+                const replies = {
+                    resolved: t(context, 'resolve.done', { id: alertId }),
+                    already_resolved: t(context, 'resolve.already_resolved', { id: alertId }),
+                    note_required: `${t(context, 'resolve.note_required', { severity: alert && alert.severity })}\n${usage}`,
+                    not_acknowledged: `#${alertId}: ${t(context, 'resolve.ack_first')}`,
+                    not_found: t(context, 'alert.not_found', { id: alertId })
+                };
+                
+                this.bot.sendMessage(msg.chat.id, replies[result]);
+            } catch (error) {
+                console.error('Error resolving alert:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'resolve.error'));
+            }
+        });
 
-        const success = await this.db.acknowledgeAlert(alertId, userInfo);
-        
-        if (success) {
-            const completeUserInfo = {
-                ...userInfo,
-                acknowledged_by: userInfo.username,
-                acknowledged_by_id: userInfo.id,
-                acknowledged_by_name: this.getFullName(userInfo)
-            };
+        this.bot.onText(/^\/alert(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/alert')) return;
             
-            const updatedMessage = formatAcknowledgedMessage(alert, completeUserInfo);
-            const resolveKeyboard = createResolveKeyboard(alertId);
+            const context = await this.getMessageContext(msg);
+            const alertId = parseInt((match[1] || '').replace(/^#/, ''));
+            if (!alertId) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'alert.usage'));
+            }
             
-            await this.bot.editMessageText(updatedMessage, {
-                chat_id: query.message.chat.id,
-                message_id: query.message.message_id,
-                parse_mode: 'Markdown',
-                reply_markup: resolveKeyboard
-            });
+            try {
+                const alert = await this.db.getAlertById(alertId);
+                if (!alert) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'alert.not_found', { id: alertId }));
+                }
+                
+                await this.withLinkFallback(alert, context, async renderContext => {
+                    const { message, keyboard } = await this.renderAlertState(alert, renderContext);
+                    return this.bot.sendMessage(msg.chat.id, `#${alert.id}\n${message}`, {
+                        parse_mode: 'HTML',
+                        reply_markup: keyboard
+                    });
+                });
+            } catch (error) {
+                console.error('Error getting alert:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'alert.error'));
+            }
+        });
 
-            this.bot.answerCallbackQuery(query.id, {
-                text: 'Alert acknowledged successfully',
-                show_alert: false
-            });
+        this.bot.onText(/^\/timeline(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/timeline')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const alertId = parseInt((match[1] || '').replace(/^#/, ''));
+            if (!alertId) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'timeline.usage'));
+            }
+            
+            try {
+                const alert = await this.db.getAlertById(alertId);
+                if (!alert) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'alert.not_found', { id: alertId }));
+                }
+                
+                const events = await this.db.getAlertEvents(alertId);
+                this.bot.sendMessage(msg.chat.id, formatAlertTimeline(alert, events, context), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error('Error getting alert timeline:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'timeline.error'));
+            }
+        });
 
-            console.log(`Alert ${alertId} acknowledged by ${displayName}`);
-        } else {
-            this.bot.answerCallbackQuery(query.id, {
-                text: 'Failed to acknowledge alert',
-                show_alert: true
-            });
-        }
+        this.bot.onText(/^\/comment(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'responder', '/comment')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const [, idText, text] = (match[1] || '').trim().match(/^#?(\d+)\s+([\s\S]+)$/) || [];
+            if (!idText) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'comment.usage'));
+            }
+            
+            try {
+                const alertId = parseInt(idText);
+                const alert = await this.db.getAlertById(alertId);
+                if (!alert) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'alert.not_found', { id: alertId }));
+                }
+                
+                const userInfo = this.extractUserInfo(msg.from);
+                await this.db.recordAlertEvent(alertId, 'comment', {
+                    actor: this.getUserDisplayName(userInfo),
+                    actorId: userInfo.id,
+                    payload: { text: text.trim() }
+                });
+                
+                console.log(`Comment added to alert ${alertId} by ${this.getUserDisplayName(userInfo)}`);
+                this.bot.sendMessage(msg.chat.id, t(context, 'comment.added', { id: alertId }));
+            } catch (error) {
+                console.error('Error adding comment:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'comment.error'));
+            }
+        });
     }
 
-    async handleResolve(query, alert, alertId) {
-        if (!alert.acknowledged) {
-            return this.bot.answerCallbackQuery(query.id, {
-                text: 'Alert must be acknowledged before resolving',
-                show_alert: true
-            });
+    async acknowledgeById(alertId, userInfo) {
+        const alert = await this.db.getAlertById(alertId);
+        
+        if (!alert) return { alert, result: 'not_found' };
+        if (alert.resolved) return { alert, result: 'already_resolved' };
+        if (alert.acknowledged) return { alert, result: 'already_acknowledged' };
+        
+        const success = await this.db.acknowledgeAlert(alertId, userInfo);
+        if (!success) {
+            return { alert, result: 'already_acknowledged' };
         }
+        
+        await this.recordEvent(alertId, 'acknowledged', userInfo);
+        console.log(`Alert ${alertId} acknowledged by ${this.getUserDisplayName(userInfo)}`);
+        await this.updateAlertMessage(alertId);
+        return { alert, result: 'acknowledged' };
+    }
 
-        if (alert.resolved) {
-            const resolvedBy = alert.resolved_by_name || alert.resolved_by || 'Unknown user';
-            return this.bot.answerCallbackQuery(query.id, {
-                text: `Already resolved by ${resolvedBy}`,
-                show_alert: false
-            });
+    async resolveById(alertId, userInfo, note, rootCause = null) {
+        const alert = await this.db.getAlertById(alertId);
+        
+        if (!alert) return { alert, result: 'not_found' };
+        if (alert.resolved) return { alert, result: 'already_resolved' };
+        if (!alert.acknowledged) return { alert, result: 'not_acknowledged' };
+        if (!note && isNoteRequired(alert.severity)) return { alert, result: 'note_required' };
+        
+        const success = await this.db.resolveAlert(alertId, userInfo, { note, rootCause });
+        if (!success) {
+            return { alert, result: 'already_resolved' };
         }
-
-        const userInfo = this.extractUserInfo(query.from);
-        const displayName = this.getUserDisplayName(userInfo);
-        console.log(`Resolving alert ${alertId} by ${displayName}`);
-
-        const success = await this.db.resolveAlert(alertId, userInfo);
+        
+        await this.recordEvent(alertId, 'resolved', userInfo, getResolutionPayload(note, rootCause));
+        
+        console.log(`Alert ${alertId} resolved by ${this.getUserDisplayName(userInfo)}`);
+        await this.updateAlertMessage(alertId);
+        return { alert, result: 'resolved' };
+    }
+
+    async prepareBulkAction(msg, action, args, context) {
+        const [matcherPart, ...noteParts] = args.split(/(?:^|\s)--(?:\s|$)/);
+        const { matchers, error } = parseMatcherArgs(matcherPart.trim());
+        const validationError = error || (Object.keys(matchers).length > 0 ? validateMatchers(matchers) : null);
+        
+        if (validationError) {
+            return this.bot.sendMessage(msg.chat.id, `${validationError}\n\n${t(context, 'bulk.usage', { action })}`);
+        }
+        
+        const { alerts } = await this.db.queryAlerts({
+            statuses: action === 'ack' ? ['open'] : ['acked'],
+            limit: BULK_ACTION_LIMIT
+        });
+        const matched = alerts.filter(alert => matchesAlert(alert, matchers));
+        const alertIds = matched.map(alert => alert.id);
+        const scope = Object.keys(matchers).length > 0
+            ? t(context, 'bulk.scope_matching', { matchers: describeMatchers(matchers) })
+            : t(context, `bulk.scope.${action}`);
+        const note = noteParts.join(' -- ').trim() || null;
+        
+        if (alertIds.length === 0) {
+            return this.bot.sendMessage(msg.chat.id, t(context, `bulk.none.${action}`, { scope }));
+        }
+        
+        const needsNote = action === 'resolve' && !note && matched.find(alert => isNoteRequired(alert.severity));
+        if (needsNote) {
+            return this.bot.sendMessage(msg.chat.id, t(context, 'bulk.note_required', { severity: needsNote.severity }));
+        }
+        
+        const token = crypto.randomBytes(6).toString('hex');
+        const now = Date.now();
+        
+        for (const [key, pending] of this.bulkActions) {
+            if (now - pending.createdAt > BULK_ACTION_TTL) {
+                this.bulkActions.delete(key);
+            }
+        }
+        
+        this.bulkActions.set(token, {
+            action,
+            alertIds,
+            note,
+            userId: msg.from.id,
+            context,
+            createdAt: now
+        });
+        
+        const count = alertIds.length;
+        this.bot.sendMessage(msg.chat.id,
+            `${t(context, `bulk.confirm.${action}`, { count, scope })}\n${t(context, 'bulk.alerts', { ids: alertIds.map(id => `#${id}`).join(', ') })}`, {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: t(context, `bulk.button.${action}`, { count }), callback_data: `bulk:confirm:${token}` },
+                        { text: t(context, 'common.cancel'), callback_data: `bulk:cancel:${token}` }
+                    ]]
+                }
+            });
+    }
+
+    async handleBulkCallback(query) {
+        const [, decision, token] = (query.data || '').split(':');
+        const pending = this.bulkActions.get(token);
+        const context = await this.getQueryContext(query);
+        
+        if (!pending || Date.now() - pending.createdAt > BULK_ACTION_TTL) {
+            this.bulkActions.delete(token);
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'bulk.expired'),
+                show_alert: true
+            });
+        }
+        
+        if (query.from.id !== pending.userId) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'bulk.owner'),
+                show_alert: true
+            });
+        }
+        
+        const actionName = pending.action === 'ack' ? 'acknowledge' : 'resolve';
+        if (!await this.authorizeCallback(query, 'responder', actionName)) return;
+        
+        this.bulkActions.delete(token);
+        
+        if (decision !== 'confirm') {
+            this.bot.answerCallbackQuery(query.id, { text: t(context, 'bulk.cancelled') });
+            return this.bot.editMessageText(t(pending.context, 'bulk.cancelled_message'), {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
+            });
+        }
+        
+        this.bot.answerCallbackQuery(query.id, { text: t(context, 'bulk.applying') });
+        
+        const userInfo = this.extractUserInfo(query.from);
+        const doneResult = pending.action === 'ack' ? 'acknowledged' : 'resolved';
+        let done = 0;
+        
+        for (const alertId of pending.alertIds) {
+            try {
+                const { result } = pending.action === 'ack'
+                    ? await this.acknowledgeById(alertId, userInfo)
+                    : await this.resolveById(alertId, userInfo, pending.note);
+                
+                if (result === doneResult) done++;
+            } catch (error) {
+                console.error(`Bulk ${actionName} failed for alert ${alertId}:`, error.message);
+            }
+        }
+        
+        const skipped = pending.alertIds.length - done;
+        console.log(`Bulk ${actionName} by ${this.getUserDisplayName(userInfo)}: ${done} ${doneResult}, ${skipped} skipped`);
+        
+        const summary = t(pending.context, `bulk.done.${pending.action}`, { count: done, user: this.getUserDisplayName(userInfo) });
+        await this.bot.editMessageText(
+            `${summary}${skipped > 0 ? t(pending.context, 'bulk.skipped', { count: skipped }) : ''}`, {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
+            });
+    }
+
+    setupListHandlers() {
+        this.bot.onText(/^\/list(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/list')) return;
+            
+            const filters = {};
+            for (const arg of (match[1] || '').trim().split(/\s+/).filter(Boolean)) {
+                if (['critical', 'warning', 'info'].includes(arg.toLowerCase())) {
+                    filters.severity = arg.toLowerCase();
+                } else {
+                    filters.source = arg;
+                }
+            }
+            
+            try {
+                const session = { chatId: msg.chat.id, filters, view: 'open', page: 0, cursors: [null] };
+                const { text, keyboard } = await this.renderAlertList(session);
+                
+                const sentMessage = await this.bot.sendMessage(msg.chat.id, text, {
+                    parse_mode: 'HTML',
+                    reply_markup: keyboard
+                });
+                
+                this.saveListSession(sentMessage.chat.id, sentMessage.message_id, session);
+            } catch (error) {
+                console.error('Error listing alerts:', error);
+                this.bot.sendMessage(msg.chat.id, t(await this.getMessageContext(msg), 'list.error'));
+            }
+        });
+
+        this.bot.onText(/^\/search(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'viewer', '/search')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const query = (match[1] || '').trim();
+            if (!query) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'search.usage'));
+            }
+            
+            try {
+                const { alerts, nextCursor } = await this.db.queryAlerts({ q: query, limit: SEARCH_LIMIT });
+                this.bot.sendMessage(msg.chat.id, formatSearchResults(alerts, query, !!nextCursor, context), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error('Error searching alerts:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'search.error'));
+            }
+        });
+    }
+
+    async renderAlertList(session) {
+        const filters = {
+            statuses: [session.view],
+            severities: session.filters.severity ? [session.filters.severity] : [],
+            sources: session.filters.source ? [session.filters.source] : []
+        };
+        
+        const total = await this.db.countAlerts(filters);
+        const { alerts, nextCursor } = await this.db.queryAlerts({
+            ...filters,
+            cursor: session.cursors[session.page],
+            limit: LIST_PAGE_SIZE
+        });
+        
+        if (alerts.length === 0 && session.page > 0) {
+            session.page--;
+            return this.renderAlertList(session);
+        }
+        
+        session.cursors[session.page + 1] = nextCursor;
+        
+        const list = {
+            filters: session.filters,
+            view: session.view,
+            page: session.page,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / LIST_PAGE_SIZE)),
+            hasNext: !!nextCursor
+        };
+        
+        const context = await this.getChatContext(session.chatId);
+        return {
+            text: formatAlertList(alerts, list, context),
+            keyboard: createAlertListKeyboard(alerts, list, context)
+        };
+    }
+
+    saveListSession(chatId, messageId, session) {
+        const now = Date.now();
+        
+        for (const [key, existing] of this.listSessions) {
+            if (now - existing.updatedAt > LIST_SESSION_TTL || this.listSessions.size >= LIST_SESSION_LIMIT) {
+                this.listSessions.delete(key);
+            }
+        }
+        
+        session.updatedAt = now;
+        this.listSessions.set(`${chatId}:${messageId}`, session);
+    }
+
+    async handleListCallback(query) {
+        const callback = parseListCallback(query.data);
+        const key = `${query.message.chat.id}:${query.message.message_id}`;
+        const session = this.listSessions.get(key);
+        const context = await this.getQueryContext(query);
+        
+        if (!callback || !session || Date.now() - session.updatedAt > LIST_SESSION_TTL) {
+            this.listSessions.delete(key);
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'list.expired'),
+                show_alert: true
+            });
+        }
+        
+        const isAction = ['ack', 'resolve'].includes(callback.action);
+        const actionName = isAction ? (callback.action === 'ack' ? 'acknowledge' : 'resolve') : 'view';
+        if (!await this.authorizeCallback(query, isAction ? 'responder' : 'viewer', actionName)) return;
+        
+        try {
+            session.updatedAt = Date.now();
+            
+            if (callback.action === 'details') {
+                return this.showListDetails(query, parseInt(callback.arg));
+            }
+            
+            if (isAction) {
+                const alertId = parseInt(callback.arg);
+                const alert = await this.db.getAlertById(alertId);
+                
+                if (!alert) {
+                    this.bot.answerCallbackQuery(query.id, { text: t(context, 'alert.not_found_db'), show_alert: true });
+                } else if (callback.action === 'ack') {
+                    await this.handleAcknowledge(query, alert, alertId, null);
+                } else {
+                    await this.handleResolve(query, alert, alertId, null);
+                }
+            } else if (callback.action === 'next' && session.cursors[session.page + 1]) {
+                session.page++;
+            } else if (callback.action === 'prev' && session.page > 0) {
+                session.page--;
+            } else if (callback.action === 'view' && ['open', 'acked'].includes(callback.arg)) {
+                session.view = callback.arg;
+                session.page = 0;
+                session.cursors = [null];
+            }
+            
+            const { text, keyboard } = await this.renderAlertList(session);
+            await this.editListMessage(query.message, text, keyboard);
+            
+            if (!isAction) {
+                this.bot.answerCallbackQuery(query.id);
+            }
+        } catch (error) {
+            console.error('Error handling list callback:', error);
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'common.error'),
+                show_alert: true
+            });
+        }
+    }
+
+    async showListDetails(query, alertId) {
+        const alert = await this.db.getAlertById(alertId);
+        
+        if (!alert) {
+            const context = await this.getQueryContext(query);
+            return this.bot.answerCallbackQuery(query.id, { text: t(context, 'alert.not_found_db'), show_alert: true });
+        }
+        
+        const context = await this.getChatContext(query.message.chat.id);
+        const { message } = await this.renderAlertState(alert, context);
+        await this.editListMessage(query.message, `#${alert.id}\n${message}`, {
+            inline_keyboard: [[{ text: t(context, 'list.back'), callback_data: 'list:back' }]]
+        });
+        
+        this.bot.answerCallbackQuery(query.id);
+    }
+
+    async editListMessage(message, text, keyboard) {
+        try {
+            await this.bot.editMessageText(text, {
+                chat_id: message.chat.id,
+                message_id: message.message_id,
+                parse_mode: 'HTML',
+                reply_markup: keyboard
+            });
+        } catch (error) {
+            if (!/message is not modified/.test(error.message)) {
+                throw error;
+            }
+        }
+    }
+
+    setupResolutionHandlers() {
+        this.bot.on('message', async (msg) => {
+            const reply = msg.reply_to_message;
+            if (!reply || !msg.text || msg.text.startsWith('/')) return;
+            
+            const key = `${msg.chat.id}:${reply.message_id}`;
+            const prompt = this.resolutionPrompts.get(key);
+            if (!prompt || prompt.userId !== msg.from.id) return;
+            
+            try {
+                await this.handleResolutionReply(msg, key, prompt);
+            } catch (error) {
+                console.error('Error handling resolution note:', error);
+                this.bot.sendMessage(msg.chat.id, t(prompt.context, 'resolve.error'));
+            }
+        });
+    }
+
+    async promptResolutionNote(query, alert, extraMessage) {
+        const required = isNoteRequired(alert.severity);
+        const context = await this.getQueryContext(query);
+        
+        await this.sendResolutionPrompt(query.message.chat.id, query.message.message_id, {
+            alertId: alert.id,
+            severity: alert.severity,
+            required,
+            userId: query.from.id,
+            mention: formatMention(query.from.username || query.from.id),
+            context,
+            extraMessage
+        }, t(context, 'resolve.prompt', { id: alert.id, title: escapeHtml(alert.title) }));
+        
+        this.bot.answerCallbackQuery(query.id, {
+            text: t(context, required ? 'resolve.answer_required' : 'resolve.answer_optional'),
+            show_alert: false
+        });
+    }
+
+    async sendResolutionPrompt(chatId, replyToMessageId, prompt, heading) {
+        const instructions = t(prompt.context, prompt.required ? 'resolve.reply_required' : 'resolve.reply_optional');
+        
+        const sentMessage = await this.bot.sendMessage(chatId, `${prompt.mention} ${heading}\n${instructions}`, {
+            parse_mode: 'HTML',
+            reply_to_message_id: replyToMessageId,
+            reply_markup: { force_reply: true, selective: true }
+        });
+        
+        this.saveResolutionPrompt(`${sentMessage.chat.id}:${sentMessage.message_id}`, prompt);
+    }
+
+    saveResolutionPrompt(key, prompt) {
+        const now = Date.now();
+        
+        for (const [existingKey, existing] of this.resolutionPrompts) {
+            if (now - existing.createdAt > RESOLUTION_PROMPT_TTL) {
+                this.resolutionPrompts.delete(existingKey);
+            }
+        }
+        
+        prompt.createdAt = now;
+        this.resolutionPrompts.set(key, prompt);
+    }
+
+    async handleResolutionReply(msg, key, prompt) {
+        this.resolutionPrompts.delete(key);
+        
+        if (Date.now() - prompt.createdAt > RESOLUTION_PROMPT_TTL) {
+            return this.bot.sendMessage(msg.chat.id, t(prompt.context, 'resolve.prompt_expired', { id: prompt.alertId }), {
+                reply_to_message_id: msg.message_id
+            });
+        }
+        
+        const text = msg.text.trim();
+        const skipped = /^(skip|-)$/i.test(text);
+        
+        if (skipped && prompt.required) {
+            return this.sendResolutionPrompt(msg.chat.id, msg.message_id, prompt,
+                t(prompt.context, 'resolve.prompt_required', { severity: escapeHtml(prompt.severity) }));
+        }
+        
+        prompt.note = skipped ? null : text;
+        
+        const categories = getRootCauseCategories();
+        if (categories.length === 0) {
+            const resolved = await this.completeResolution(msg.from, prompt, null);
+            return this.bot.sendMessage(msg.chat.id,
+                t(prompt.context, resolved ? 'resolve.done' : 'resolve.already_resolved', { id: prompt.alertId }), {
+                    reply_to_message_id: msg.message_id
+                });
+        }
+        
+        const token = crypto.randomBytes(6).toString('hex');
+        this.saveResolutionPrompt(`rc:${token}`, prompt);
+        
+        const buttons = categories.map((category, index) => ({ text: category, callback_data: `rc:${token}:${index}` }));
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        rows.push([{ text: t(prompt.context, 'common.skip'), callback_data: `rc:${token}:skip` }]);
+        
+        this.bot.sendMessage(msg.chat.id, t(prompt.context, 'resolve.root_cause_question', { id: prompt.alertId }), {
+            reply_to_message_id: msg.message_id,
+            reply_markup: { inline_keyboard: rows }
+        });
+    }
+
+    async handleRootCauseCallback(query) {
+        const [, token, choice] = (query.data || '').split(':');
+        const prompt = this.resolutionPrompts.get(`rc:${token}`);
+        const context = await this.getQueryContext(query);
+        
+        if (!prompt || Date.now() - prompt.createdAt > RESOLUTION_PROMPT_TTL) {
+            this.resolutionPrompts.delete(`rc:${token}`);
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.root_cause_expired'),
+                show_alert: true
+            });
+        }
+        
+        if (query.from.id !== prompt.userId) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.root_cause_owner'),
+                show_alert: true
+            });
+        }
+        
+        if (!await this.authorizeCallback(query, 'responder', 'resolve')) return;
+        
+        this.resolutionPrompts.delete(`rc:${token}`);
+        
+        const rootCause = choice === 'skip' ? null : getRootCauseCategories()[parseInt(choice)] || null;
+        const resolved = await this.completeResolution(query.from, prompt, rootCause);
+        
+        this.bot.answerCallbackQuery(query.id, {
+            text: t(context, resolved ? 'resolve.success' : 'resolve.is_resolved'),
+            show_alert: false
+        });
+        
+        const resultKey = !resolved ? 'resolve.already_resolved' : rootCause ? 'resolve.done_with_cause' : 'resolve.done';
+        await this.bot.editMessageText(
+            t(prompt.context, resultKey, { id: prompt.alertId, cause: rootCause }), {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
+            });
+    }
+
+    async completeResolution(from, prompt, rootCause) {
+        const userInfo = this.extractUserInfo(from);
+        const success = await this.db.resolveAlert(prompt.alertId, userInfo, { note: prompt.note, rootCause });
+        
+        if (success) {
+            await this.recordEvent(prompt.alertId, 'resolved', userInfo, getResolutionPayload(prompt.note, rootCause));
+            await this.updateAlertMessage(prompt.alertId, prompt.extraMessage);
+            console.log(`Alert ${prompt.alertId} resolved by ${this.getUserDisplayName(userInfo)}${rootCause ? ` (root cause: ${rootCause})` : ''}`);
+        }
+        
+        return success;
+    }
+
+    setupUserHandlers() {
+        this.bot.onText(/^\/users(?:@\w+)?$/, async (msg) => {
+            if (!await this.authorize(msg, 'admin', '/users')) return;
+            
+            const context = await this.getMessageContext(msg);
+            try {
+                const users = await this.db.getUsers();
+                this.bot.sendMessage(msg.chat.id, formatUserList(users, context), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error('Error listing users:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'users.error'));
+            }
+        });
+
+        this.bot.onText(/^\/adduser(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'admin', '/adduser')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const usage = t(context, 'user.add_usage', { roles: ROLES.join('|') });
+            const [userText, roleText] = (match[1] || '').trim().split(/\s+/);
+            const reference = parseUserReference(userText);
+            const role = (roleText || DEFAULT_ROLE).toLowerCase();
+            
+            if (!reference || !isValidRole(role)) {
+                return this.bot.sendMessage(msg.chat.id, usage);
+            }
+            
+            try {
+                if (await this.db.findUser(reference)) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.exists', { user: userText }));
+                }
+                
+                if (role !== 'admin' && await this.db.countUsers() === 0) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.first_admin'));
+                }
+                
+                const createdBy = this.getUserDisplayName(this.extractUserInfo(msg.from));
+                const user = await this.db.createUser({ ...reference, role, createdBy });
+                
+                console.log(`User ${describeUser(user)} added as ${role} by ${createdBy}`);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.added', { user: describeUser(user), role }));
+            } catch (error) {
+                console.error('Error adding user:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.add_error'));
+            }
+        });
+
+        this.bot.onText(/^\/removeuser(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'admin', '/removeuser')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const reference = parseUserReference(match[1]);
+            if (!reference) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'user.remove_usage'));
+            }
+            
+            try {
+                const user = await this.db.findUser(reference);
+                if (!user) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.not_found', { user: match[1] }));
+                }
+                
+                if (await isLastAdmin(this.db, user)) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.last_admin_remove'));
+                }
+                
+                await this.db.deleteUser(user.id);
+                console.log(`User ${describeUser(user)} removed by ${this.getUserDisplayName(this.extractUserInfo(msg.from))}`);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.removed', { user: describeUser(user) }));
+            } catch (error) {
+                console.error('Error removing user:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.remove_error'));
+            }
+        });
+
+        this.bot.onText(/^\/setrole(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+            if (!await this.authorize(msg, 'admin', '/setrole')) return;
+            
+            const context = await this.getMessageContext(msg);
+            const [userText, roleText] = (match[1] || '').trim().split(/\s+/);
+            const reference = parseUserReference(userText);
+            const role = (roleText || '').toLowerCase();
+            
+            if (!reference || !isValidRole(role)) {
+                return this.bot.sendMessage(msg.chat.id, t(context, 'user.setrole_usage', { roles: ROLES.join('|') }));
+            }
+            
+            try {
+                const user = await this.db.findUser(reference);
+                if (!user) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.not_found_add', { user: userText }));
+                }
+                
+                if (role !== 'admin' && await isLastAdmin(this.db, user)) {
+                    return this.bot.sendMessage(msg.chat.id, t(context, 'user.last_admin_demote'));
+                }
+                
+                await this.db.updateUserRole(user.id, role);
+                console.log(`User ${describeUser(user)} role changed from ${user.role} to ${role} by ${this.getUserDisplayName(this.extractUserInfo(msg.from))}`);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.role_changed', { user: describeUser(user), role }));
+            } catch (error) {
+                console.error('Error changing user role:', error);
+                this.bot.sendMessage(msg.chat.id, t(context, 'user.setrole_error'));
+            }
+        });
+    }
+
+    async handleRotationAdd(msg, args, usage, context) {
+        const [name, startDate, handoffTime, timezone, ...rest] = args;
+        let shiftDays = 7;
+        
+        if (rest[0] && /^\d+d$/.test(rest[0])) {
+            shiftDays = parseInt(rest.shift());
+        }
+        
+        const rotation = {
+            name,
+            users: rest.map(user => this.normalizeUserReference(user)),
+            start_date: startDate,
+            handoff_time: handoffTime,
+            timezone,
+            shift_days: shiftDays,
+            created_by: this.getUserDisplayName(this.extractUserInfo(msg.from))
+        };
+        
+        const validationError = validateRotation(rotation);
+        if (validationError) {
+            return this.bot.sendMessage(msg.chat.id, `${validationError}\n\n${usage}`);
+        }
+        
+        if (await this.db.getRotation(name)) {
+            return this.bot.sendMessage(msg.chat.id, t(context, 'rotation.exists', { name }));
+        }
+        
+        await this.db.createRotation(rotation);
+        console.log(`Rotation ${name} created by ${rotation.created_by}`);
+        
+        const summary = await getOnCallSummary(this.db);
+        this.bot.sendMessage(msg.chat.id, `${t(context, 'rotation.created', { name: escapeHtml(name) })}\n\n${formatOnCallSummary(summary, context)}`, { parse_mode: 'HTML' });
+    }
+
+    async handleScheduleAdd(msg, args, usage, context) {
+        const [report, ...rest] = args;
+        
+        if (!['weekly', 'daily'].includes(report)) {
+            return this.bot.sendMessage(msg.chat.id, `${t(context, 'schedule.invalid_report')}\n\n${usage}`);
+        }
+        
+        const cronExpression = (rest[0] || '').startsWith('@') ? rest.shift() : rest.splice(0, 5).join(' ');
+        const { cron, error } = parseCron(cronExpression);
+        if (error) {
+            return this.bot.sendMessage(msg.chat.id, `${error}\n\n${usage}`);
+        }
+        
+        const schedule = {
+            report,
+            cron: cronExpression,
+            timezone: context.timeZone,
+            chat_id: msg.chat.id,
+            message_thread_id: msg.is_topic_message ? msg.message_thread_id : null,
+            created_by: this.getUserDisplayName(this.extractUserInfo(msg.from))
+        };
+        
+        for (const option of rest) {
+            const [key, value] = option.split('=');
+            
+            if (key === 'chat' && /^-?\d+$/.test(value || '')) {
+                schedule.chat_id = parseInt(value);
+                schedule.message_thread_id = null;
+            } else if (key === 'topic' && /^\d+$/.test(value || '')) {
+                schedule.message_thread_id = parseInt(value);
+            } else if (value === undefined && isValidTimeZone(option)) {
+                schedule.timezone = option;
+            } else {
+                return this.bot.sendMessage(msg.chat.id, `${t(context, 'schedule.unknown_option', { option })}\n\n${usage}`);
+            }
+        }
+        
+        const nextRun = getNextRun(cron, Date.now(), schedule.timezone);
+        if (!nextRun) {
+            return this.bot.sendMessage(msg.chat.id, t(context, 'schedule.never_runs', { cron: cronExpression }));
+        }
+        schedule.next_run_at = Math.floor(nextRun / 1000);
+        
+        const created = await this.db.createReportSchedule(schedule);
+        console.log(`Report schedule ${created.id} (${report}, ${cronExpression}) created by ${schedule.created_by}`);
+        
+        this.bot.sendMessage(msg.chat.id, t(context, 'schedule.created', {
+            id: created.id,
+            report,
+            cron: escapeHtml(cronExpression),
+            timezone: escapeHtml(schedule.timezone),
+            next: formatTimestamp(nextRun, { ...context, timeZone: schedule.timezone })
+        }), { parse_mode: 'HTML' });
+    }
+
+    async handleScheduleChange(msg, subcommand, scheduleId, context) {
+        const schedule = scheduleId ? await this.db.getReportSchedule(scheduleId) : null;
+        if (!schedule) {
+            return this.bot.sendMessage(msg.chat.id, t(context, 'schedule.not_found', { id: scheduleId || '' }));
+        }
+        
+        const displayName = this.getUserDisplayName(this.extractUserInfo(msg.from));
+        
+        if (subcommand === 'remove') {
+            await this.db.deleteReportSchedule(schedule.id);
+            console.log(`Report schedule ${schedule.id} deleted by ${displayName}`);
+            return this.bot.sendMessage(msg.chat.id, t(context, 'schedule.deleted', { id: schedule.id }));
+        }
+        
+        const enabled = subcommand === 'resume';
+        const nextRun = enabled ? getNextRun(schedule.cron, Date.now(), schedule.timezone) : null;
+        
+        await this.db.setReportScheduleEnabled(schedule.id, enabled, nextRun ? Math.floor(nextRun / 1000) : null);
+        console.log(`Report schedule ${schedule.id} ${enabled ? 'resumed' : 'paused'} by ${displayName}`);
+        
+        this.bot.sendMessage(msg.chat.id, enabled && nextRun
+            ? t(context, 'schedule.resumed', { id: schedule.id, next: formatTimestamp(nextRun, { ...context, timeZone: schedule.timezone }) })
+            : t(context, 'schedule.paused', { id: schedule.id }));
+    }
+
+    async handleSettingChange(msg, scope, setting, value) {
+        const scopeId = scope === 'chat' ? msg.chat.id : msg.from.id;
+        const displayName = this.getUserDisplayName(this.extractUserInfo(msg.from));
+        
+        if (value === 'reset') {
+            await this.db.deleteSetting(scope, scopeId, setting.key);
+            console.log(`${setting.label} for ${scope} ${scopeId} reset by ${displayName}`);
+        } else {
+            if (!setting.isValid(value)) {
+                const context = await this.getMessageContext(msg);
+                return this.bot.sendMessage(msg.chat.id,
+                    t(context, 'settings.invalid', { setting: t(context, `setting.${setting.key}`), value, example: setting.example }));
+            }
+            
+            await this.db.setSetting(scope, scopeId, setting.key, value, displayName);
+            console.log(`${setting.label} for ${scope} ${scopeId} set to ${value} by ${displayName}`);
+        }
+        
+        const context = await this.getMessageContext(msg);
+        const result = t(context, `settings.${scope}_${value === 'reset' ? 'reset' : 'updated'}`, {
+            setting: t(context, `setting.${setting.key}`),
+            value
+        });
+        
+        this.bot.sendMessage(msg.chat.id, `${result}\n${t(context, 'common.current_time', { time: formatTimestamp(Date.now(), context) })}`);
+    }
+
+    async handleOverrideAdd(msg, args, usage, context) {
+        const [rotationName, user, fromText, toText] = args;
+        
+        if (!rotationName || !user || !fromText || !toText) {
+            return this.bot.sendMessage(msg.chat.id, usage);
+        }
+        
+        const rotation = await this.db.getRotation(rotationName);
+        if (!rotation) {
+            return this.bot.sendMessage(msg.chat.id, t(context, 'rotation.not_found', { name: rotationName }));
+        }
+        
+        const startsAt = fromText === 'now' ? Date.now() : parseZonedDateTime(fromText, rotation.timezone);
+        const duration = parseDuration(toText);
+        const endsAt = duration ? startsAt + duration * 1000 : parseZonedDateTime(toText, rotation.timezone);
+        
+        if (!startsAt || !endsAt || endsAt <= startsAt) {
+            return this.bot.sendMessage(msg.chat.id, `${t(context, 'override.invalid')}\n\n${usage}`);
+        }
+        
+        const override = await this.db.createOverride({
+            rotation_id: rotation.id,
+            user: this.normalizeUserReference(user),
+            starts_at: Math.floor(startsAt / 1000),
+            ends_at: Math.floor(endsAt / 1000),
+            created_by: this.getUserDisplayName(this.extractUserInfo(msg.from))
+        });
+        
+        console.log(`Override ${override.id} for rotation ${rotation.name} created by ${override.created_by}`);
+        
+        const summary = await getOnCallSummary(this.db);
+        this.bot.sendMessage(msg.chat.id, `${t(context, 'override.created', { id: override.id })}\n\n${formatOnCallSummary(summary, context)}`, { parse_mode: 'HTML' });
+    }
+
+    normalizeUserReference(user) {
+        const value = String(user).trim();
+        return /^\d+$/.test(value) || value.startsWith('@') ? value : `@${value}`;
+    }
+
+    async createSilence(matchers, durationSeconds, userInfo, comment) {
+        const now = Math.floor(Date.now() / 1000);
+        const silence = await this.db.createSilence({
+            matchers,
+            startsAt: now,
+            endsAt: now + durationSeconds,
+            createdBy: this.getUserDisplayName(userInfo),
+            createdById: userInfo.id,
+            comment
+        });
+        
+        console.log(`Silence ${silence.id} created by ${silence.created_by}: ${describeMatchers(matchers)}`);
+        return silence;
+    }
+
+    async findActiveSilence(alert) {
+        const silences = await this.db.getActiveSilences();
+        return silences.find(silence => matchesAlert(alert, silence.matchers)) || null;
+    }
+
+    setupCallbackHandlers() {
+        this.bot.on('callback_query', async (query) => {
+            if ((query.data || '').startsWith('list:')) {
+                return this.handleListCallback(query).catch(async error => {
+                    console.error('Error handling list navigation:', error);
+                    this.bot.answerCallbackQuery(query.id, { text: t(await this.getQueryContext(query).catch(() => null), 'common.error'), show_alert: true });
+                });
+            }
+            
+            if ((query.data || '').startsWith('rc:')) {
+                return this.handleRootCauseCallback(query).catch(async error => {
+                    console.error('Error handling root cause selection:', error);
+                    this.bot.answerCallbackQuery(query.id, { text: t(await this.getQueryContext(query), 'common.error'), show_alert: true });
+                });
+            }
+            
+            if ((query.data || '').startsWith('bulk:')) {
+                return this.handleBulkCallback(query).catch(async error => {
+                    console.error('Error handling bulk action:', error);
+                    this.bot.answerCallbackQuery(query.id, { text: t(await this.getQueryContext(query), 'common.error'), show_alert: true });
+                });
+            }
+            
+            const callbackResult = extractAlertIdFromCallback(query.data);
+            
+            if (!callbackResult) {
+                return this.bot.answerCallbackQuery(query.id, {
+                    text: t(await this.getQueryContext(query), 'common.invalid_callback'),
+                    show_alert: true
+                });
+            }
+
+            const { id: alertId, action, arg } = callbackResult;
+
+            try {
+                if (!await this.authorizeCallback(query, CALLBACK_ROLES[action] || 'admin', action)) return;
+                
+                const alert = await this.db.getAlertById(alertId);
+                if (!alert) {
+                    return this.bot.answerCallbackQuery(query.id, {
+                        text: t(await this.getQueryContext(query), 'alert.not_found_db'),
+                        show_alert: true
+                    });
+                }
+
+                if (action === 'acknowledge') {
+                    await this.handleAcknowledge(query, alert, alertId);
+                } else if (action === 'resolve') {
+                    await this.handleResolve(query, alert, alertId);
+                } else if (action === 'unacknowledge') {
+                    await this.handleUnacknowledge(query, alert, alertId);
+                } else if (action === 'reopen') {
+                    await this.handleReopen(query, alert, alertId);
+                } else if (action === 'assign') {
+                    await this.handleAssign(query, alert, alertId, arg);
+                } else if (action === 'snooze') {
+                    await this.handleSnooze(query, alert, alertId, arg);
+                } else if (action === 'unsnooze') {
+                    await this.handleUnsnooze(query, alert, alertId);
+                } else if (action === 'silence') {
+                    await this.handleSilence(query, alert, alertId);
+                } else if (action === 'details') {
+                    await this.handleDetails(query, alert);
+                }
+
+            } catch (error) {
+                console.error('Error handling callback query:', error);
+                this.bot.answerCallbackQuery(query.id, {
+                    text: t(await this.getQueryContext(query).catch(() => null), 'common.error'),
+                    show_alert: true
+                });
+            }
+        });
+    }
+
+    setupErrorHandlers() {
+        this.bot.on('polling_error', (error) => {
+            console.error('Telegram polling error:', error.code);
+            if (error.response && config.LOG_LEVEL === 'debug') {
+                console.error('Response details:', error.response.body);
+            }
+        });
+
+        this.bot.on('webhook_error', (error) => {
+            console.error('Telegram webhook error:', error);
+        });
+    }
+
+    async handleAcknowledge(query, alert, alertId, extraMessage = query.message) {
+        const context = await this.getQueryContext(query);
+        
+        if (alert.acknowledged) {
+            const acknowledgedBy = alert.acknowledged_by_name || alert.acknowledged_by || t(context, 'common.unknown_user');
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'ack.already_by', { user: acknowledgedBy }),
+                show_alert: false
+            });
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const displayName = this.getUserDisplayName(userInfo);
+        console.log(`Acknowledging alert ${alertId} by ${displayName}`);
+
+        const success = await this.db.acknowledgeAlert(alertId, userInfo);
+        
+        if (success) {
+            await this.recordEvent(alertId, 'acknowledged', userInfo);
+            await this.updateAlertMessage(alertId, extraMessage);
+
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'ack.success'),
+                show_alert: false
+            });
+
+            console.log(`Alert ${alertId} acknowledged by ${displayName}`);
+        } else {
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'ack.failed'),
+                show_alert: true
+            });
+        }
+    }
+
+    async handleResolve(query, alert, alertId, extraMessage = query.message) {
+        const context = await this.getQueryContext(query);
+        
+        if (!alert.acknowledged) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.ack_first'),
+                show_alert: true
+            });
+        }
+
+        if (alert.resolved) {
+            const resolvedBy = alert.resolved_by_name || alert.resolved_by || t(context, 'common.unknown_user');
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.already_by', { user: resolvedBy }),
+                show_alert: false
+            });
+        }
+
+        if (getNoteMode(alert.severity) !== 'off') {
+            return this.promptResolutionNote(query, alert, extraMessage);
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const displayName = this.getUserDisplayName(userInfo);
+        console.log(`Resolving alert ${alertId} by ${displayName}`);
+
+        const success = await this.db.resolveAlert(alertId, userInfo);
+        
+        if (success) {
+            await this.recordEvent(alertId, 'resolved', userInfo);
+            await this.updateAlertMessage(alertId, extraMessage);
+
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.success'),
+                show_alert: false
+            });
+
+            console.log(`Alert ${alertId} resolved by ${displayName}`);
+        } else {
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.failed'),
+                show_alert: true
+            });
+        }
+    }
+
+    async handleUnacknowledge(query, alert, alertId) {
+        const context = await this.getQueryContext(query);
+        
+        if (alert.resolved || !alert.acknowledged) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, alert.resolved ? 'unack.resolved' : 'unack.not_acknowledged'),
+                show_alert: false
+            });
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const success = await this.db.unacknowledgeAlert(alertId);
+        
+        if (success) {
+            await this.recordEvent(alertId, 'unacknowledged', userInfo, {
+                previously_acknowledged_by: alert.acknowledged_by_name || alert.acknowledged_by || null
+            });
+            await this.updateAlertMessage(alertId, query.message);
+
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'unack.success'),
+                show_alert: false
+            });
+
+            console.log(`Alert ${alertId} unacknowledged by ${this.getUserDisplayName(userInfo)}`);
+        } else {
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'unack.failed'),
+                show_alert: true
+            });
+        }
+    }
+
+    async handleReopen(query, alert, alertId) {
+        const context = await this.getQueryContext(query);
+        
+        if (!alert.resolved) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'reopen.not_resolved'),
+                show_alert: false
+            });
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const success = await this.db.reopenAlert(alertId);
         
         if (success) {
-            const ackUserInfo = {
-                acknowledged_by: alert.acknowledged_by,
-                acknowledged_by_name: alert.acknowledged_by_name,
-                acknowledged_at: alert.acknowledged_at
-            };
-            
-            const resolvedMessage = formatResolvedMessage(alert, ackUserInfo, userInfo);
+            await this.recordEvent(alertId, 'reopened', userInfo, {
+                previously_resolved_by: alert.resolved_by_source
+                    ? `source (${alert.resolved_by_source})`
+                    : (alert.resolved_by_name || alert.resolved_by || null)
+            });
+            await this.updateAlertMessage(alertId, query.message);
+
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'reopen.success'),
+                show_alert: false
+            });
+
+            console.log(`Alert ${alertId} reopened by ${this.getUserDisplayName(userInfo)}`);
+        } else {
+            this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'reopen.failed'),
+                show_alert: true
+            });
+        }
+    }
+
+    async handleAssign(query, alert, alertId, arg) {
+        const context = await this.getQueryContext(query);
+        const chatContext = await this.getChatContext(query.message.chat.id);
+        
+        if (alert.resolved) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'resolve.is_resolved'),
+                show_alert: false
+            });
+        }
+
+        if (arg === 'back') {
+            await this.withLinkFallback(alert, chatContext, async renderContext => {
+                const { keyboard } = await this.renderAlertState(alert, renderContext);
+                return this.bot.editMessageReplyMarkup(keyboard, {
+                    chat_id: query.message.chat.id,
+                    message_id: query.message.message_id
+                });
+            });
+            return this.bot.answerCallbackQuery(query.id);
+        }
+
+        const responders = (await this.db.getUsers()).filter(user => hasRole(user.role, 'responder'));
+
+        if (!arg) {
+            if (responders.length === 0) {
+                return this.bot.answerCallbackQuery(query.id, {
+                    text: t(context, 'assign.no_responders'),
+                    show_alert: true
+                });
+            }
             
-            await this.bot.editMessageText(resolvedMessage, {
+            await this.bot.editMessageReplyMarkup(createAssignKeyboard(alert, responders.slice(0, ASSIGN_PICKER_LIMIT), chatContext), {
                 chat_id: query.message.chat.id,
-                message_id: query.message.message_id,
-                parse_mode: 'Markdown'
+                message_id: query.message.message_id
+            });
+            return this.bot.answerCallbackQuery(query.id, { text: t(context, 'assign.pick') });
+        }
+
+        const assignee = arg === 'none' ? null : responders.find(user => user.id === parseInt(arg));
+        if (arg !== 'none' && !assignee) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'assign.not_responder'),
+                show_alert: true
+            });
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const displayName = this.getUserDisplayName(userInfo);
+        const success = await this.db.assignAlert(alertId, assignee && {
+            username: assignee.username,
+            telegramId: assignee.telegram_id
+        }, displayName);
+        
+        if (!success) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'assign.failed'),
+                show_alert: true
+            });
+        }
+
+        await this.recordEvent(alertId, assignee ? 'assigned' : 'unassigned', userInfo, assignee ? {
+            username: assignee.username || null,
+            telegram_id: assignee.telegram_id || null
+        } : null);
+        await this.updateAlertMessage(alertId, query.message);
+
+        this.bot.answerCallbackQuery(query.id, {
+            text: assignee ? t(context, 'assign.assigned', { user: describeUser(assignee) }) : t(context, 'assign.unassigned'),
+            show_alert: false
+        });
+
+        if (assignee) {
+            this.bot.sendMessage(query.message.chat.id, t(chatContext, 'assign.notify', {
+                mention: formatMention(assignee.username || assignee.telegram_id),
+                id: alertId,
+                user: escapeHtml(displayName)
+            }), {
+                    parse_mode: 'HTML',
+                    reply_to_message_id: query.message.message_id
+                }).catch(error => {
+                    console.error(`Failed to notify assignee of alert ${alertId}:`, error.message);
+                });
+        }
+
+        console.log(`Alert ${alertId} ${assignee ? `assigned to ${describeUser(assignee)}` : 'unassigned'} by ${displayName}`);
+    }
+
+    async handleSnooze(query, alert, alertId, arg) {
+        const context = await this.getQueryContext(query);
+        
+        if (alert.acknowledged || alert.resolved) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'snooze.not_open'),
+                show_alert: false
+            });
+        }
+
+        if (!arg || arg === 'back') {
+            const chatContext = await this.getChatContext(query.message.chat.id);
+            await this.withLinkFallback(alert, chatContext, async renderContext => {
+                const keyboard = arg ? (await this.renderAlertState(alert, renderContext)).keyboard : createSnoozeKeyboard(alertId, renderContext);
+                return this.bot.editMessageReplyMarkup(keyboard, {
+                    chat_id: query.message.chat.id,
+                    message_id: query.message.message_id
+                });
+            });
+            return this.bot.answerCallbackQuery(query.id, arg ? undefined : { text: t(context, 'snooze.pick') });
+        }
+
+        if (!SNOOZE_DURATIONS.includes(arg)) {
+            return this.bot.answerCallbackQuery(query.id, {
+                text: t(context, 'snooze.invalid'),
+                show_alert: true
             });
+        }
+
+        const userInfo = this.extractUserInfo(query.from);
+        const displayName = this.getUserDisplayName(userInfo);
+        const snoozedUntil = Math.floor(Date.now() / 1000) + parseDuration(arg);
+        const success = await this.db.snoozeAlert(alertId, snoozedUntil, displayName);
+        
+        if (success) {
+            await this.recordEvent(alertId, 'snoozed', userInfo, { duration: arg, snoozed_until: snoozedUntil });
+            await this.updateAlertMessage(alertId, query.message);
 
             this.bot.answerCallbackQuery(query.id, {
-                text: 'Alert resolved successfully',
+                text: t(context, 'snooze.success', { duration: arg }),
                 show_alert: false
             });
 
-            console.log(`Alert ${alertId} resolved by ${displayName}`);
+            console.log(`Alert ${alertId} snoozed for ${arg} by ${displayName}`);
         } else {
             this.bot.answerCallbackQuery(query.id, {
-                text: 'Failed to resolve alert',
+                text: t(context, 'snooze.failed'),
                 show_alert: true
             });
         }
     }
 
+    async handleUnsnooze(query, alert, alertId) {
+        const userInfo = this.extractUserInfo(query.from);
+        const success = await this.db.clearSnooze(alertId);
+        
+        if (success) {
+            await this.recordEvent(alertId, 'unsnoozed', userInfo);
+            console.log(`Snooze on alert ${alertId} cancelled by ${this.getUserDisplayName(userInfo)}`);
+        }
+
+        await this.updateAlertMessage(alertId, query.message);
+
+        this.bot.answerCallbackQuery(query.id, {
+            text: t(await this.getQueryContext(query), success ? 'snooze.cancelled' : 'snooze.not_snoozed'),
+            show_alert: false
+        });
+    }
+
+    async renotifyAlert(alert, reason) {
+        await this.updateAlertMessage(alert.id);
+        
+        const copies = await this.db.getAlertMessages(alert.id);
+        const destinations = new Map();
+        
+        copies.forEach(copy => {
+            destinations.set(`${copy.chat_id}:${copy.message_thread_id || ''}`, copy);
+        });
+        
+        if (destinations.size === 0 && this.chatId) {
+            destinations.set(String(this.chatId), { chat_id: this.chatId, message_thread_id: null, telegram_message_id: null });
+        }
+        
+        const current = await this.db.getAlertById(alert.id);
+        const oncall = await getCurrentOnCallUsers(this.db);
+        let sent = 0;
+        
+        for (const copy of destinations.values()) {
+            const context = await this.getChatContext(copy.chat_id);
+            const options = { parse_mode: 'HTML' };
+            
+            if (copy.message_thread_id) {
+                options.message_thread_id = copy.message_thread_id;
+            }
+            
+            if (copy.telegram_message_id) {
+                options.reply_to_message_id = copy.telegram_message_id;
+                options.allow_sending_without_reply = true;
+            }
+            
+            const sentMessage = await this.withLinkFallback(current, context, renderContext => this.bot.sendMessage(
+                copy.chat_id,
+                `<b>${t(renderContext, `renotify.${reason}`)}</b>\n${formatAlertMessage(current, { oncall, context: renderContext })}`,
+                { ...options, reply_markup: addAlertButtons(createAcknowledgeKeyboard(alert.id, renderContext), current, renderContext) }
+            ));
+            await this.db.updateTelegramInfo(alert.id, sentMessage.message_id, copy.chat_id, copy.message_thread_id);
+            await this.recordEvent(alert.id, 'notified', null, {
+                chat_id: copy.chat_id,
+                thread_id: copy.message_thread_id,
+                message_id: sentMessage.message_id,
+                reason
+            });
+            sent++;
+        }
+        
+        return sent;
+    }
+
+    async sendReminder(alert, mode) {
+        const [copy] = await this.db.getAlertMessages(alert.id);
+        
+        if (mode === 'dm' && alert.acknowledged_by_id) {
+            const link = copy ? getMessageLink(copy.chat_id, copy.telegram_message_id) : null;
+            const context = await getRenderContext(this.db, { userId: alert.acknowledged_by_id });
+            
+            try {
+                await this.bot.sendMessage(alert.acknowledged_by_id, formatReminderMessage(alert, link, context), { parse_mode: 'HTML' });
+                return 'dm';
+            } catch (error) {
+                console.warn(`Reminder DM for alert ${alert.id} to ${alert.acknowledged_by_id} failed, replying in chat instead: ${error.message}`);
+            }
+        }
+        
+        const chatId = copy ? copy.chat_id : this.chatId;
+        if (!chatId) {
+            throw new Error('No chat to send the reminder to');
+        }
+        
+        const options = { parse_mode: 'HTML' };
+        if (copy) {
+            options.reply_to_message_id = copy.telegram_message_id;
+            options.allow_sending_without_reply = true;
+            
+            if (copy.message_thread_id) {
+                options.message_thread_id = copy.message_thread_id;
+            }
+        }
+        
+        const ackBy = alert.acknowledged_by || alert.acknowledged_by_id;
+        const mention = ackBy ? `${formatMention(ackBy)} ` : '';
+        
+        const context = await this.getChatContext(chatId);
+        await this.bot.sendMessage(chatId, `${mention}${formatReminderMessage(alert, null, context)}`, options);
+        return 'reply';
+    }
+
+    async sendStaleSummary(alerts) {
+        if (!this.chatId) {
+            console.warn('CHAT_ID not configured - stale alerts summary not sent');
+            return null;
+        }
+        
+        const options = { parse_mode: 'HTML', disable_web_page_preview: true };
+        if (config.DEFAULT_THREAD_ID) {
+            options.message_thread_id = config.DEFAULT_THREAD_ID;
+        }
+        
+        return this.bot.sendMessage(this.chatId, formatStaleSummary(alerts, await this.getChatContext(this.chatId)), options);
+    }
+
+    async renderScheduledReport(schedule) {
+        const context = await this.getChatContext(schedule.chat_id);
+        
+        if (schedule.report === 'daily') {
+            return formatDailyDigest(await this.db.getDailyDigest(), context);
+        }
+        
+        return formatReport(await buildReport(this.db, parseReportPeriod('7d').period), context);
+    }
+
+    async sendScheduledReport(schedule) {
+        const options = { parse_mode: 'HTML' };
+        if (schedule.message_thread_id) {
+            options.message_thread_id = schedule.message_thread_id;
+        }
+        
+        return this.bot.sendMessage(schedule.chat_id, await this.renderScheduledReport(schedule), options);
+    }
+
+    async handleSilence(query, alert, alertId) {
+        const userInfo = this.extractUserInfo(query.from);
+        const matchers = {
+            source: alert.source,
+            title: `^${escapeRegex(alert.title)}$`
+        };
+        
+        const silence = await this.createSilence(matchers, 3600, userInfo, `Silenced from alert #${alertId}`);
+        
+        this.bot.answerCallbackQuery(query.id, {
+            text: t(await this.getQueryContext(query), 'silence.answer', { id: silence.id }),
+            show_alert: false
+        });
+        
+        const chatContext = await this.getChatContext(query.message.chat.id);
+        this.bot.sendMessage(query.message.chat.id, t(chatContext, 'silence.from_alert', {
+            id: silence.id,
+            user: silence.created_by,
+            matchers: describeMatchers(matchers)
+        }), { reply_to_message_id: query.message.message_id });
+    }
+
+    async handleDetails(query, alert) {
+        const chatId = query.message.chat.id;
+        const chatContext = await this.getChatContext(chatId);
+        
+        for (const chunk of splitMessage(formatAlertDetails(alert, chatContext))) {
+            await this.bot.sendMessage(chatId, chunk, { reply_to_message_id: query.message.message_id });
+        }
+        
+        this.bot.answerCallbackQuery(query.id);
+    }
+
+    recordEvent(alertId, eventType, userInfo = null, payload = null) {
+        return this.db.recordAlertEvent(alertId, eventType, {
+            actor: userInfo ? this.getUserDisplayName(userInfo) : null,
+            actorId: userInfo ? userInfo.id : null,
+            payload
+        }).catch(error => {
+            console.error(`Failed to record ${eventType} event for alert ${alertId}:`, error.message);
+        });
+    }
+
     extractUserInfo(from) {
         return {
             username: from.username,
@@ -370,28 +2076,49 @@ For technical setup assistance, consult the documentation.`;
         return parts.length > 0 ? parts.join(' ') : null;
     }
 
-    async sendAlert(alert) {
-        if (!this.chatId) {
+    async sendAlert(alert, chatId = this.chatId, threadId = null) {
+        if (!chatId) {
             console.warn('CHAT_ID not configured - alert not sent to Telegram');
             return null;
         }
 
+        const silence = await this.findActiveSilence(alert);
+        if (silence) {
+            await this.db.setAlertSilence(alert.id, silence.id);
+            await this.recordEvent(alert.id, 'silenced', null, { silence_id: silence.id, chat_id: chatId });
+            console.log(`Alert ${alert.id} silenced by silence ${silence.id} - not sent to Telegram`);
+            return null;
+        }
+
         try {
-            console.log(`Sending alert ${alert.id} to chat ${this.chatId}`);
+            console.log(`Sending alert ${alert.id} to chat ${chatId}${threadId ? ` topic ${threadId}` : ''}`);
             
-            const message = formatAlertMessage(alert);
-            const keyboard = createAcknowledgeKeyboard(alert.id);
+            const oncall = await getCurrentOnCallUsers(this.db);
+            const context = await this.getChatContext(chatId);
+            const options = {
+                parse_mode: 'HTML'
+            };
+            
+            if (threadId) {
+                options.message_thread_id = threadId;
+            }
 
-            const sentMessage = await this.bot.sendMessage(
-                this.chatId,
-                message,
-                {
-                    parse_mode: 'Markdown',
-                    reply_markup: keyboard
-                }
-            );
+            const sentMessage = await this.withLinkFallback(alert, context, renderContext => this.bot.sendMessage(
+                chatId,
+                formatAlertMessage(alert, { oncall, context: renderContext }),
+                { ...options, reply_markup: addAlertButtons(createAcknowledgeKeyboard(alert.id, renderContext), alert, renderContext) }
+            ));
 
-            await this.db.updateTelegramInfo(alert.id, sentMessage.message_id, this.chatId);
+            try {
+                await this.db.updateTelegramInfo(alert.id, sentMessage.message_id, chatId, threadId);
+                await this.recordEvent(alert.id, 'notified', null, {
+                    chat_id: chatId,
+                    thread_id: threadId,
+                    message_id: sentMessage.message_id
+                });
+            } catch (error) {
+                console.error(`Alert ${alert.id} sent as message ${sentMessage.message_id} but not recorded:`, error.message);
+            }
 
             console.log(`Alert ${alert.id} sent successfully (message ${sentMessage.message_id})`);
             return sentMessage;
@@ -403,6 +2130,203 @@ For technical setup assistance, consult the documentation.`;
         }
     }
 
+    async updateAlertMessage(alertId, extraMessage = null) {
+        const alert = await this.db.getAlertById(alertId);
+        
+        if (!alert) {
+            console.warn(`Alert ${alertId} not found - Telegram message not updated`);
+            return 0;
+        }
+        
+        const targets = (await this.db.getAlertMessages(alertId)).map(copy => ({
+            chatId: copy.chat_id,
+            messageId: copy.telegram_message_id
+        }));
+        
+        if (extraMessage) {
+            const isKnownCopy = targets.some(target =>
+                target.messageId === extraMessage.message_id &&
+                String(target.chatId) === String(extraMessage.chat.id)
+            );
+            
+            if (!isKnownCopy) {
+                targets.push({ chatId: extraMessage.chat.id, messageId: extraMessage.message_id });
+            }
+        }
+        
+        if (targets.length === 0) {
+            console.warn(`Alert ${alertId} has no Telegram message - nothing to update`);
+            return 0;
+        }
+        
+        const contexts = new Map();
+        let updated = 0;
+        
+        for (const target of targets) {
+            const chatKey = String(target.chatId);
+            if (!contexts.has(chatKey)) {
+                contexts.set(chatKey, await this.getChatContext(target.chatId));
+            }
+            
+            try {
+                await this.withLinkFallback(alert, contexts.get(chatKey), async renderContext => {
+                    const { message, keyboard } = await this.renderAlertState(alert, renderContext);
+                    return this.bot.editMessageText(message, {
+                        chat_id: target.chatId,
+                        message_id: target.messageId,
+                        parse_mode: 'HTML',
+                        reply_markup: keyboard
+                    });
+                });
+                updated++;
+            } catch (error) {
+                console.error(`Failed to update alert ${alertId} message ${target.messageId} in chat ${target.chatId}:`, error.message);
+            }
+        }
+        
+        console.log(`Alert ${alertId} messages updated (${updated}/${targets.length})`);
+        return updated;
+    }
+
+    async renderAlertState(alert, context) {
+        const escalations = await this.db.getEscalations(alert.id);
+        const oncall = await getCurrentOnCallUsers(this.db);
+        
+        if (alert.resolved) {
+            return {
+                message: formatResolvedMessage(alert, this.getAckUserInfo(alert), this.getResolveUserInfo(alert), escalations, context, oncall),
+                keyboard: addAlertButtons(createReopenKeyboard(alert.id, context), alert, context)
+            };
+        }
+        
+        if (alert.acknowledged) {
+            return {
+                message: formatAcknowledgedMessage(alert, this.getAckUserInfo(alert), escalations, context, oncall),
+                keyboard: addAlertButtons(createResolveKeyboard(alert.id, context), alert, context)
+            };
+        }
+        
+        if (isSnoozed(alert)) {
+            return {
+                message: formatSnoozedMessage(alert, context, oncall),
+                keyboard: addAlertButtons(createSnoozedKeyboard(alert.id, context), alert, context)
+            };
+        }
+        
+        return {
+            message: formatAlertMessage(alert, { oncall, context }),
+            keyboard: addAlertButtons(createAcknowledgeKeyboard(alert.id, context), alert, context)
+        };
+    }
+
+    async escalateAlert(alert, step, level) {
+        const elapsed = formatDuration(Math.floor(Date.now() / 1000) - alert.created_at);
+        const renderHeader = context => t(context, 'escalation.header', { level: level + 1, id: alert.id, elapsed });
+        
+        if (step.action === 'mention') {
+            const chatId = alert.chat_id || this.chatId;
+            const context = await this.getChatContext(chatId);
+            const mentions = step.users.map(formatMention).join(' ');
+            const options = { parse_mode: 'HTML' };
+            
+            if (alert.telegram_message_id && String(alert.chat_id) === String(chatId)) {
+                options.reply_to_message_id = alert.telegram_message_id;
+            }
+            
+            await this.withLinkFallback(alert, context, renderContext => this.bot.sendMessage(
+                chatId,
+                `${renderHeader(renderContext)}\n<b>${truncateHtml(alert.title, 200)}</b>\n${mentions}`.trim(),
+                { ...options, reply_markup: addAlertButtons(createAcknowledgeKeyboard(alert.id, renderContext), alert, renderContext) }
+            ));
+            return step.users.join(', ');
+        }
+        
+        const renderMessage = context => `${renderHeader(context)}\n\n${formatAlertMessage(alert, { context })}`;
+        
+        if (step.action === 'dm') {
+            const delivered = [];
+            for (const user of step.users) {
+                if (!/^\d+$/.test(user)) {
+                    console.warn(`Cannot DM escalation to ${user}: numeric Telegram user ID required`);
+                    continue;
+                }
+                
+                try {
+                    const context = await getRenderContext(this.db, { chatId: user, userId: user });
+                    await this.withLinkFallback(alert, context, renderContext => this.bot.sendMessage(user, renderMessage(renderContext), {
+                        parse_mode: 'HTML',
+                        reply_markup: addAlertButtons(createAcknowledgeKeyboard(alert.id, renderContext), alert, renderContext)
+                    }));
+                    delivered.push(user);
+                } catch (error) {
+                    console.error(`Failed to DM escalation for alert ${alert.id} to ${user}:`, error.message);
+                }
+            }
+            
+            if (delivered.length === 0) {
+                throw new Error('No escalation DM could be delivered');
+            }
+            return delivered.join(', ');
+        }
+        
+        if (step.action === 'chat') {
+            const context = await this.getChatContext(step.chat_id);
+            await this.withLinkFallback(alert, context, renderContext => this.bot.sendMessage(step.chat_id, renderMessage(renderContext), {
+                parse_mode: 'HTML',
+                reply_markup: addAlertButtons(createAcknowledgeKeyboard(alert.id, renderContext), alert, renderContext)
+            }));
+            return String(step.chat_id);
+        }
+        
+        throw new Error(`Unknown escalation action: ${step.action}`);
+    }
+
+    async getMessageContext(msg) {
+        return getRenderContext(this.db, { chatId: msg.chat.id, userId: msg.from?.id });
+    }
+
+    async getQueryContext(query) {
+        return getRenderContext(this.db, { chatId: query.message?.chat.id, userId: query.from.id });
+    }
+
+    async getChatContext(chatId) {
+        return getRenderContext(this.db, { chatId });
+    }
+
+    getAckUserInfo(alert) {
+        return {
+            acknowledged_by: alert.acknowledged_by,
+            acknowledged_by_id: alert.acknowledged_by_id,
+            acknowledged_by_name: alert.acknowledged_by_name,
+            acknowledged_at: alert.acknowledged_at
+        };
+    }
+
+    getResolveUserInfo(alert) {
+        return {
+            resolved_by: alert.resolved_by,
+            resolved_by_id: alert.resolved_by_id,
+            resolved_by_name: alert.resolved_by_name,
+            resolved_by_source: alert.resolved_by_source,
+            resolved_at: alert.resolved_at,
+            resolution_note: alert.resolution_note,
+            root_cause: alert.root_cause
+        };
+    }
+
+    async withLinkFallback(alert, context, send) {
+        try {
+            return await send(context);
+        } catch (error) {
+            if (!/BUTTON_URL_INVALID|HTTP URL/i.test(error.message)) {
+                throw error;
+            }
+            
+            console.warn(`Telegram rejected a link button of alert ${alert.id} - sending links as text`);
+            return send({ ...context, linkButtons: false });
+        }
+    }
+
     handleSendError(error) {
         if (error.message.includes('chat not found')) {
             console.error('Chat configuration issues detected:');
@@ -0,0 +1,152 @@
+const { getWallClockTime, zonedWallTimeToUtc } = require('./utils');
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_LIMIT_DAYS = 366 * 5;
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+function parseCron(expression) {
+    const text = String(expression || '').trim().toLowerCase();
+    const fields = (CRON_ALIASES[text] || text).split(/\s+/);
+
+    if (fields.length !== 5) {
+        return { cron: null, error: 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week' };
+    }
+
+    const values = [];
+
+    for (let i = 0; i < fields.length; i++) {
+        const { values: fieldValues, error } = parseCronField(fields[i], CRON_FIELDS[i]);
+        if (error) {
+            return { cron: null, error };
+        }
+        values.push(fieldValues);
+    }
+
+    const [minutes, hours, days, months, weekdays] = values;
+    if (weekdays.has(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        cron: {
+            minutes,
+            hours,
+            days,
+            months,
+            weekdays,
+            anyDay: fields[2] === '*',
+            anyWeekday: fields[4] === '*'
+        },
+        error: null
+    };
+}
+
+function parseCronField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            return { values: null, error: `Invalid ${spec.name} field "${field}"` };
+        }
+
+        const [, range, stepText] = match;
+        const step = stepText ? parseInt(stepText) : 1;
+        let start = spec.min;
+        let end = spec.max;
+
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseCronValue(from, spec);
+            end = to !== undefined ? parseCronValue(to, spec) : (stepText ? spec.max : start);
+        }
+
+        if (start === null || end === null || start > end || step < 1) {
+            return { values: null, error: `Invalid ${spec.name} field "${field}" (allowed ${spec.min}-${spec.max})` };
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return { values, error: null };
+}
+
+function parseCronValue(text, spec) {
+    if (spec.names && spec.names.includes(text)) {
+        return spec.names.indexOf(text) + (spec.min === 1 ? 1 : 0);
+    }
+
+    if (!/^\d+$/.test(text)) return null;
+
+    const value = parseInt(text);
+    return value >= spec.min && value <= spec.max ? value : null;
+}
+
+function matchesCronDay(cron, date) {
+    const dayMatches = cron.days.has(date.getUTCDate());
+    const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+
+    if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return weekdayMatches;
+    if (cron.anyWeekday) return dayMatches;
+
+    return dayMatches || weekdayMatches;
+}
+
+function getNextRun(expression, after, timeZone) {
+    const cron = typeof expression === 'string' ? parseCron(expression).cron : expression;
+    if (!cron) return null;
+
+    const wallStart = Math.floor(getWallClockTime(after, timeZone) / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const date = new Date(wallStart);
+    const limit = wallStart + SEARCH_LIMIT_DAYS * 24 * 60 * MINUTE_MS;
+
+    while (date.getTime() < limit) {
+        if (!matchesCronDay(cron, date)) {
+            date.setUTCHours(24, 0, 0, 0);
+            continue;
+        }
+
+        if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        const runAt = zonedWallTimeToUtc(date.getTime(), timeZone);
+        if (runAt > after) {
+            return runAt;
+        }
+
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
@@ -97,12 +97,14 @@ class Database {
                 }
 
                 if (row) {
-                    this.checkAndAddMetadataColumn()
+                    this.checkAndAddColumns()
+                        .then(() => this.createSupportTables())
                         .then(() => this.createIndexes())
                         .then(resolve)
                         .catch(reject);
                 } else {
                     this.createTable()
+                        .then(() => this.createSupportTables())
                         .then(() => this.createIndexes())
                         .then(resolve)
                         .catch(reject);
@@ -111,32 +113,70 @@ class Database {
         });
     }
 
-    checkAndAddMetadataColumn() {
+    checkAndAddColumns() {
+        const requiredColumns = [
+            { name: 'metadata', definition: 'TEXT' },
+            { name: 'fingerprint', definition: 'TEXT' },
+            { name: 'resolved_by_source', definition: 'TEXT' },
+            { name: 'occurrence_count', definition: 'INTEGER DEFAULT 1' },
+            { name: 'last_seen_at', definition: 'INTEGER' },
+            { name: 'silence_id', definition: 'INTEGER' },
+            { name: 'escalation_level', definition: 'INTEGER DEFAULT 0' },
+            { name: 'resolution_note', definition: 'TEXT' },
+            { name: 'root_cause', definition: 'TEXT' },
+            { name: 'assigned_to', definition: 'TEXT' },
+            { name: 'assigned_to_id', definition: 'INTEGER' },
+            { name: 'assigned_by', definition: 'TEXT' },
+            { name: 'assigned_at', definition: 'INTEGER' },
+            { name: 'snoozed_until', definition: 'INTEGER' },
+            { name: 'snoozed_by', definition: 'TEXT' },
+            { name: 'escalation_base_at', definition: 'INTEGER' },
+            { name: 'last_reminded_at', definition: 'INTEGER' },
+            { name: 'provider', definition: 'TEXT' }
+        ];
+        
+        return this.addMissingColumns('alerts', requiredColumns);
+    }
+
+    addMissingColumns(table, requiredColumns) {
         return new Promise((resolve, reject) => {
-            this.db.all("PRAGMA table_info(alerts)", (err, columns) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, columns) => {
                 if (err) {
                     console.error('Error getting table info:', err);
                     reject(err);
                     return;
                 }
                 
-                const hasMetadata = columns.some(col => col.name === 'metadata');
+                const missingColumns = requiredColumns.filter(required => 
+                    !columns.some(col => col.name === required.name)
+                );
+                
+                if (missingColumns.length === 0) {
+                    console.log(`Database table ${table} already has all required columns`);
+                    resolve();
+                    return;
+                }
                 
-                if (!hasMetadata) {
-                    console.log('Adding metadata column to existing table...');
-                    this.db.run("ALTER TABLE alerts ADD COLUMN metadata TEXT", (err) => {
+                const addColumn = (index) => {
+                    if (index >= missingColumns.length) {
+                        resolve();
+                        return;
+                    }
+                    
+                    const column = missingColumns[index];
+                    console.log(`Adding ${column.name} column to existing ${table} table...`);
+                    this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`, (err) => {
                         if (err) {
-                            console.error('Error adding metadata column:', err);
+                            console.error(`Error adding ${column.name} column:`, err);
                             reject(err);
                             return;
                         }
-                        console.log('Metadata column added successfully');
-                        resolve();
+                        console.log(`${column.name} column added successfully`);
+                        addColumn(index + 1);
                     });
-                } else {
-                    console.log('Database table already exists with all required columns');
-                    resolve();
-                }
+                };
+                
+                addColumn(0);
             });
         });
     }
@@ -154,6 +194,12 @@ class Database {
                     created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
                     
                     metadata TEXT,
+                    fingerprint TEXT,
+                    provider TEXT,
+                    occurrence_count INTEGER DEFAULT 1,
+                    last_seen_at INTEGER,
+                    silence_id INTEGER,
+                    escalation_level INTEGER DEFAULT 0,
                     
                     telegram_message_id INTEGER,
                     chat_id INTEGER,
@@ -168,7 +214,20 @@ class Database {
                     resolved_by TEXT,
                     resolved_by_id INTEGER,
                     resolved_by_name TEXT,
-                    resolved_at INTEGER
+                    resolved_by_source TEXT,
+                    resolved_at INTEGER,
+                    resolution_note TEXT,
+                    root_cause TEXT,
+                    
+                    assigned_to TEXT,
+                    assigned_to_id INTEGER,
+                    assigned_by TEXT,
+                    assigned_at INTEGER,
+                    
+                    snoozed_until INTEGER,
+                    snoozed_by TEXT,
+                    escalation_base_at INTEGER,
+                    last_reminded_at INTEGER
                 )
             `;
 
@@ -185,13 +244,223 @@ class Database {
         });
     }
 
+    createSupportTables() {
+        const tables = [
+            {
+                name: 'outbox',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS outbox (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        alert_id INTEGER NOT NULL,
+                        chat_id INTEGER NOT NULL,
+                        message_thread_id INTEGER,
+                        status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'sent', 'silenced', 'failed')),
+                        attempts INTEGER NOT NULL DEFAULT 0,
+                        next_attempt_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                        last_error TEXT,
+                        telegram_message_id INTEGER,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                        updated_at INTEGER,
+                        sent_at INTEGER
+                    )
+                `
+            },
+            {
+                name: 'alert_messages',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS alert_messages (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        alert_id INTEGER NOT NULL,
+                        chat_id INTEGER NOT NULL,
+                        message_thread_id INTEGER,
+                        telegram_message_id INTEGER NOT NULL,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'alert_events',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS alert_events (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        alert_id INTEGER NOT NULL,
+                        event_type TEXT NOT NULL,
+                        actor TEXT,
+                        actor_id INTEGER,
+                        payload TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'scheduler_state',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS scheduler_state (
+                        key TEXT PRIMARY KEY,
+                        value TEXT,
+                        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'settings',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS settings (
+                        scope TEXT NOT NULL CHECK(scope IN ('chat', 'user')),
+                        scope_id TEXT NOT NULL,
+                        key TEXT NOT NULL,
+                        value TEXT NOT NULL,
+                        updated_by TEXT,
+                        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                        PRIMARY KEY (scope, scope_id, key)
+                    )
+                `
+            },
+            {
+                name: 'report_schedules',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS report_schedules (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        report TEXT NOT NULL CHECK(report IN ('weekly', 'daily')),
+                        cron TEXT NOT NULL,
+                        timezone TEXT NOT NULL,
+                        chat_id INTEGER NOT NULL,
+                        message_thread_id INTEGER,
+                        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+                        next_run_at INTEGER,
+                        last_run_at INTEGER,
+                        created_by TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'users',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS users (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        telegram_id TEXT UNIQUE,
+                        username TEXT UNIQUE COLLATE NOCASE,
+                        role TEXT NOT NULL DEFAULT 'responder' CHECK(role IN ('viewer', 'responder', 'admin')),
+                        created_by TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                        updated_at INTEGER
+                    )
+                `
+            },
+            {
+                name: 'silences',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS silences (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        matchers TEXT NOT NULL,
+                        starts_at INTEGER NOT NULL,
+                        ends_at INTEGER NOT NULL,
+                        created_by TEXT,
+                        created_by_id INTEGER,
+                        comment TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'escalations',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS escalations (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        alert_id INTEGER NOT NULL,
+                        step INTEGER NOT NULL,
+                        action TEXT NOT NULL,
+                        target TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'oncall_rotations',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS oncall_rotations (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL UNIQUE,
+                        users TEXT NOT NULL,
+                        start_date TEXT NOT NULL,
+                        handoff_time TEXT NOT NULL,
+                        timezone TEXT NOT NULL,
+                        shift_days INTEGER NOT NULL DEFAULT 7,
+                        created_by TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'oncall_overrides',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS oncall_overrides (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        rotation_id INTEGER NOT NULL,
+                        user TEXT NOT NULL,
+                        starts_at INTEGER NOT NULL,
+                        ends_at INTEGER NOT NULL,
+                        created_by TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+                    )
+                `
+            },
+            {
+                name: 'templates',
+                sql: `
+                    CREATE TABLE IF NOT EXISTS templates (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        name TEXT NOT NULL UNIQUE,
+                        matchers TEXT,
+                        body TEXT NOT NULL,
+                        priority INTEGER NOT NULL DEFAULT 0,
+                        created_by TEXT,
+                        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+                        updated_at INTEGER
+                    )
+                `
+            }
+        ];
+
+        return new Promise((resolve, reject) => {
+            const createTable = (index) => {
+                if (index >= tables.length) {
+                    resolve();
+                    return;
+                }
+                
+                const table = tables[index];
+                this.db.run(table.sql, (err) => {
+                    if (err) {
+                        console.error(`Error creating ${table.name} table:`, err);
+                        reject(err);
+                        return;
+                    }
+                    createTable(index + 1);
+                });
+            };
+            
+            createTable(0);
+        });
+    }
+
     createIndexes() {
         return new Promise((resolve, reject) => {
             const indexes = [
                 "CREATE INDEX IF NOT EXISTS idx_alerts_acknowledged ON alerts(acknowledged)",
                 "CREATE INDEX IF NOT EXISTS idx_alerts_resolved ON alerts(resolved)",
                 "CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at)",
-                "CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity)"
+                "CREATE INDEX IF NOT EXISTS idx_alerts_severity ON alerts(severity)",
+                "CREATE INDEX IF NOT EXISTS idx_alerts_fingerprint ON alerts(fingerprint)",
+                "CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, next_attempt_at)",
+                "CREATE INDEX IF NOT EXISTS idx_outbox_alert_id ON outbox(alert_id)",
+                "CREATE INDEX IF NOT EXISTS idx_alert_messages_alert_id ON alert_messages(alert_id)",
+                "CREATE INDEX IF NOT EXISTS idx_alert_events_alert_id ON alert_events(alert_id, created_at)",
+                "CREATE INDEX IF NOT EXISTS idx_silences_ends_at ON silences(ends_at)",
+                "CREATE INDEX IF NOT EXISTS idx_escalations_alert_id ON escalations(alert_id)",
+                "CREATE INDEX IF NOT EXISTS idx_oncall_overrides_rotation ON oncall_overrides(rotation_id, ends_at)",
+                "CREATE INDEX IF NOT EXISTS idx_report_schedules_next_run ON report_schedules(enabled, next_run_at)"
             ];
 
             let completed = 0;
@@ -240,16 +509,16 @@ class Database {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
-            const { title, source, severity, message, timestamp = Date.now(), metadata } = alertData;
+            const { title, source, severity, message, timestamp = Date.now(), metadata, fingerprint = null, provider = null } = alertData;
             
             const metadataJson = metadata ? JSON.stringify(metadata) : null;
             
             const sql = `
-                INSERT INTO alerts (title, source, severity, message, timestamp, metadata)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO alerts (title, source, severity, message, timestamp, metadata, fingerprint, provider)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
-            this.db.run(sql, [title, source, severity, message, timestamp, metadataJson], function(err) {
+            this.db.run(sql, [title, source, severity, message, timestamp, metadataJson, fingerprint, provider], function(err) {
                 if (err) {
                     console.error('Error creating alert:', err);
                     reject(err);
@@ -260,75 +529,189 @@ class Database {
         });
     }
 
-    async updateTelegramInfo(alertId, telegramMessageId, chatId) {
+    async recordOccurrence(alertId) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
             const sql = `
                 UPDATE alerts 
-                SET telegram_message_id = ?, chat_id = ?
+                SET occurrence_count = COALESCE(occurrence_count, 1) + 1,
+                    last_seen_at = strftime('%s', 'now')
                 WHERE id = ?
             `;
             
-            this.db.run(sql, [telegramMessageId, chatId, alertId], function(err) {
+            this.db.run(sql, [alertId], function(err) {
                 if (err) {
-                    console.error('Error updating Telegram info:', err);
+                    console.error('Error recording alert occurrence:', err);
                     reject(err);
                 } else {
-                    resolve(this.changes);
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async acknowledgeAlert(alertId, userInfo) {
+    async updateTelegramInfo(alertId, telegramMessageId, chatId, threadId = null) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
-            const { username, id, firstName, lastName } = userInfo;
-            const fullName = [firstName, lastName].filter(Boolean).join(' ');
-            
             const sql = `
                 UPDATE alerts 
-                SET acknowledged = TRUE,
-                    acknowledged_by = ?,
-                    acknowledged_by_id = ?,
-                    acknowledged_by_name = ?,
-                    acknowledged_at = strftime('%s', 'now')
-                WHERE id = ? AND acknowledged = FALSE
+                SET telegram_message_id = COALESCE(telegram_message_id, ?), chat_id = COALESCE(chat_id, ?)
+                WHERE id = ?
             `;
             
-            this.db.run(sql, [username, id, fullName, alertId], function(err) {
+            this.db.run(sql, [telegramMessageId, chatId, alertId], (err) => {
                 if (err) {
-                    console.error('Error acknowledging alert:', err);
+                    console.error('Error updating Telegram info:', err);
+                    reject(err);
+                    return;
+                }
+                
+                const insertSql = `
+                    INSERT INTO alert_messages (alert_id, chat_id, message_thread_id, telegram_message_id)
+                    VALUES (?, ?, ?, ?)
+                `;
+                
+                this.db.run(insertSql, [alertId, chatId, threadId, telegramMessageId], function(err) {
+                    if (err) {
+                        console.error('Error recording alert message:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                });
+            });
+        });
+    }
+
+    async getAlertMessages(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT chat_id, message_thread_id, telegram_message_id
+                FROM alert_messages
+                WHERE alert_id = ?
+                ORDER BY id ASC
+            `;
+            
+            this.db.all(sql, [alertId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting alert messages:', err);
+                    reject(err);
+                    return;
+                }
+                
+                if (rows.length > 0) {
+                    resolve(rows);
+                    return;
+                }
+                
+                this.db.get('SELECT chat_id, telegram_message_id FROM alerts WHERE id = ?', [alertId], (err, row) => {
+                    if (err) {
+                        console.error('Error getting alert message:', err);
+                        reject(err);
+                    } else {
+                        resolve(row && row.telegram_message_id ? [{ ...row, message_thread_id: null }] : []);
+                    }
+                });
+            });
+        });
+    }
+
+    async enqueueDelivery(alertId, chatId, threadId = null) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'INSERT INTO outbox (alert_id, chat_id, message_thread_id) VALUES (?, ?, ?)';
+            
+            this.db.run(sql, [alertId, chatId, threadId], function(err) {
+                if (err) {
+                    console.error('Error enqueuing delivery:', err);
                     reject(err);
                 } else {
-                    resolve(this.changes > 0);
+                    resolve(this.lastID);
                 }
             });
         });
     }
 
-    async resolveAlert(alertId, userInfo) {
+    async getDueDeliveries(limit = 20) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
-            const { username, id, firstName, lastName } = userInfo;
-            const fullName = [firstName, lastName].filter(Boolean).join(' ');
+            const sql = `
+                SELECT * FROM outbox 
+                WHERE status = 'queued' AND next_attempt_at <= strftime('%s', 'now')
+                ORDER BY next_attempt_at ASC, id ASC
+                LIMIT ?
+            `;
             
+            this.db.all(sql, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error getting due deliveries:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getDeliveries(status, limit = 50) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const conditions = status ? 'WHERE status = ?' : '';
+            const params = status ? [status, limit] : [limit];
             const sql = `
-                UPDATE alerts 
-                SET resolved = TRUE,
-                    resolved_by = ?,
-                    resolved_by_id = ?,
-                    resolved_by_name = ?,
-                    resolved_at = strftime('%s', 'now')
-                WHERE id = ? AND acknowledged = TRUE AND resolved = FALSE
+                SELECT * FROM outbox 
+                ${conditions}
+                ORDER BY id DESC
+                LIMIT ?
             `;
             
-            this.db.run(sql, [username, id, fullName, alertId], function(err) {
+            this.db.all(sql, params, (err, rows) => {
                 if (err) {
-                    console.error('Error resolving alert:', err);
+                    console.error('Error getting deliveries:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getDeliveryById(deliveryId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM outbox WHERE id = ?', [deliveryId], (err, row) => {
+                if (err) {
+                    console.error('Error getting delivery by ID:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async claimDelivery(delivery, leaseSeconds) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbox 
+                SET next_attempt_at = strftime('%s', 'now') + ?,
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ? AND status = 'queued' AND attempts = ? AND next_attempt_at <= strftime('%s', 'now')
+            `;
+            
+            this.db.run(sql, [leaseSeconds, delivery.id, delivery.attempts], function(err) {
+                if (err) {
+                    console.error('Error claiming delivery:', err);
                     reject(err);
                 } else {
                     resolve(this.changes > 0);
@@ -337,137 +720,1836 @@ class Database {
         });
     }
 
-    async getUnacknowledgedCount() {
+    async getLatestDeliveryStatus(alertId) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT COUNT(*) as count FROM alerts WHERE acknowledged = FALSE';
+            const sql = 'SELECT status FROM outbox WHERE alert_id = ? ORDER BY id DESC LIMIT 1';
             
-            this.db.get(sql, (err, row) => {
+            this.db.get(sql, [alertId], (err, row) => {
                 if (err) {
-                    console.error('Error getting unacknowledged count:', err);
+                    console.error('Error getting delivery status:', err);
                     reject(err);
                 } else {
-                    resolve(row.count);
+                    resolve(row ? row.status : null);
                 }
             });
         });
     }
 
-    async getWeeklyReport() {
+    async getDeliveryCounts() {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
             const sql = `
                 SELECT 
-                    COUNT(*) as total,
-                    SUM(CASE WHEN acknowledged = TRUE THEN 1 ELSE 0 END) as acknowledged,
-                    SUM(CASE WHEN resolved = TRUE THEN 1 ELSE 0 END) as resolved,
-                    SUM(CASE WHEN acknowledged = FALSE THEN 1 ELSE 0 END) as unacknowledged,
-                    SUM(CASE WHEN severity = 'critical' THEN 1 ELSE 0 END) as critical,
-                    SUM(CASE WHEN severity = 'warning' THEN 1 ELSE 0 END) as warning,
-                    SUM(CASE WHEN severity = 'info' THEN 1 ELSE 0 END) as info
-                FROM alerts 
-                WHERE created_at >= strftime('%s', 'now', '-7 days')
+                    SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued,
+                    SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent,
+                    SUM(CASE WHEN status = 'silenced' THEN 1 ELSE 0 END) as silenced,
+                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+                FROM outbox
             `;
             
             this.db.get(sql, (err, row) => {
                 if (err) {
-                    console.error('Error getting weekly report:', err);
+                    console.error('Error getting delivery counts:', err);
                     reject(err);
                 } else {
-                    resolve(row);
+                    resolve({
+                        queued: row.queued || 0,
+                        sent: row.sent || 0,
+                        silenced: row.silenced || 0,
+                        failed: row.failed || 0
+                    });
                 }
             });
         });
     }
 
-    async getTopAcknowledgers() {
+    async markDeliverySent(deliveryId, telegramMessageId) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
             const sql = `
-                SELECT 
-                    acknowledged_by_name,
-                    acknowledged_by,
-                    COUNT(*) as ack_count,
-                    SUM(CASE WHEN resolved = TRUE THEN 1 ELSE 0 END) as resolved_count
-                FROM alerts 
-                WHERE acknowledged = TRUE 
-                    AND acknowledged_at >= strftime('%s', 'now', '-7 days')
-                    AND acknowledged_by IS NOT NULL
-                GROUP BY acknowledged_by_id
-                ORDER BY ack_count DESC
-                LIMIT 5
+                UPDATE outbox 
+                SET status = 'sent',
+                    attempts = attempts + 1,
+                    telegram_message_id = ?,
+                    last_error = NULL,
+                    sent_at = strftime('%s', 'now'),
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ?
             `;
             
-            this.db.all(sql, (err, rows) => {
+            this.db.run(sql, [telegramMessageId, deliveryId], function(err) {
                 if (err) {
-                    console.error('Error getting top acknowledgers:', err);
+                    console.error('Error marking delivery sent:', err);
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async getTopResolvers() {
+    async markDeliverySilenced(deliveryId) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
             const sql = `
-                SELECT 
-                    resolved_by_name,
-                    resolved_by,
-                    COUNT(*) as count
-                FROM alerts 
-                WHERE resolved = TRUE 
-                    AND resolved_at >= strftime('%s', 'now', '-7 days')
-                    AND resolved_by IS NOT NULL
-                GROUP BY resolved_by_id
-                ORDER BY count DESC
-                LIMIT 5
+                UPDATE outbox 
+                SET status = 'silenced',
+                    attempts = attempts + 1,
+                    last_error = NULL,
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ?
             `;
             
-            this.db.all(sql, (err, rows) => {
+            this.db.run(sql, [deliveryId], function(err) {
                 if (err) {
-                    console.error('Error getting top resolvers:', err);
+                    console.error('Error marking delivery silenced:', err);
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve(this.changes > 0);
                 }
             });
         });
     }
 
-    async getAlertById(alertId) {
+    async markDeliveryRetry(deliveryId, errorMessage, delaySeconds) {
         await this.waitForInit();
         
         return new Promise((resolve, reject) => {
-            const sql = 'SELECT * FROM alerts WHERE id = ?';
+            const sql = `
+                UPDATE outbox 
+                SET attempts = attempts + 1,
+                    last_error = ?,
+                    next_attempt_at = strftime('%s', 'now') + ?,
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ?
+            `;
             
-            this.db.get(sql, [alertId], (err, row) => {
+            this.db.run(sql, [errorMessage, delaySeconds, deliveryId], function(err) {
                 if (err) {
-                    console.error('Error getting alert by ID:', err);
+                    console.error('Error scheduling delivery retry:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async markDeliveryFailed(deliveryId, errorMessage) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbox 
+                SET status = 'failed',
+                    attempts = attempts + 1,
+                    last_error = ?,
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ?
+            `;
+            
+            this.db.run(sql, [errorMessage, deliveryId], function(err) {
+                if (err) {
+                    console.error('Error marking delivery failed:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async requeueDelivery(deliveryId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE outbox 
+                SET status = 'queued',
+                    attempts = 0,
+                    next_attempt_at = strftime('%s', 'now'),
+                    updated_at = strftime('%s', 'now')
+                WHERE id = ? AND status = 'failed'
+            `;
+            
+            this.db.run(sql, [deliveryId], function(err) {
+                if (err) {
+                    console.error('Error requeuing delivery:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async createSilence(silenceData) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { matchers, startsAt, endsAt, createdBy, createdById, comment } = silenceData;
+            
+            const sql = `
+                INSERT INTO silences (matchers, starts_at, ends_at, created_by, created_by_id, comment)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [JSON.stringify(matchers), startsAt, endsAt, createdBy || null, createdById || null, comment || null];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error creating silence:', err);
                     reject(err);
-                } else if (row) {
-                    if (row.metadata) {
-                        try {
-                            row.metadata = JSON.parse(row.metadata);
-                        } catch (e) {
-                            console.warn(`Failed to parse metadata for alert ${alertId}:`, e.message);
-                            row.metadata = null;
-                        }
-                    }
-                    resolve(row);
                 } else {
-                    resolve(null);
+                    resolve({ id: this.lastID, matchers, starts_at: startsAt, ends_at: endsAt, created_by: createdBy, comment });
                 }
             });
         });
     }
 
+    async getActiveSilences() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM silences 
+                WHERE starts_at <= strftime('%s', 'now') AND ends_at > strftime('%s', 'now')
+                ORDER BY ends_at ASC
+            `;
+            
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    console.error('Error getting active silences:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseSilenceRow(row)));
+                }
+            });
+        });
+    }
+
+    async getSilences(includeExpired = false) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = includeExpired
+                ? 'SELECT * FROM silences ORDER BY id DESC LIMIT 100'
+                : "SELECT * FROM silences WHERE ends_at > strftime('%s', 'now') ORDER BY starts_at ASC";
+            
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    console.error('Error getting silences:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseSilenceRow(row)));
+                }
+            });
+        });
+    }
+
+    async getSilenceById(silenceId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM silences WHERE id = ?', [silenceId], (err, row) => {
+                if (err) {
+                    console.error('Error getting silence by ID:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseSilenceRow(row) : null);
+                }
+            });
+        });
+    }
+
+    async expireSilence(silenceId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE silences 
+                SET ends_at = strftime('%s', 'now')
+                WHERE id = ? AND ends_at > strftime('%s', 'now')
+            `;
+            
+            this.db.run(sql, [silenceId], function(err) {
+                if (err) {
+                    console.error('Error expiring silence:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async setAlertSilence(alertId, silenceId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE alerts SET silence_id = ? WHERE id = ?', [silenceId, alertId], function(err) {
+                if (err) {
+                    console.error('Error setting alert silence:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    parseSilenceRow(row) {
+        try {
+            row.matchers = JSON.parse(row.matchers);
+        } catch (e) {
+            console.warn(`Failed to parse matchers for silence ${row.id}:`, e.message);
+            row.matchers = {};
+        }
+        return row;
+    }
+
+    async getAlertsPendingEscalation(severity, maxLevel) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT alerts.*, silences.ends_at AS silence_ended_at
+                FROM alerts 
+                LEFT JOIN silences ON silences.id = alerts.silence_id
+                WHERE alerts.severity = ?
+                    AND alerts.acknowledged = FALSE
+                    AND alerts.resolved = FALSE
+                    AND (silences.id IS NULL OR silences.ends_at <= strftime('%s', 'now'))
+                    AND (alerts.snoozed_until IS NULL OR alerts.snoozed_until <= strftime('%s', 'now'))
+                    AND COALESCE(alerts.escalation_level, 0) < ?
+                ORDER BY alerts.id ASC
+            `;
+            
+            this.db.all(sql, [severity, maxLevel], (err, rows) => {
+                if (err) {
+                    console.error('Error getting alerts pending escalation:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseAlertRow(row)));
+                }
+            });
+        });
+    }
+
+    async advanceEscalation(alertId, step) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET escalation_level = ?
+                WHERE id = ? AND COALESCE(escalation_level, 0) = ? AND acknowledged = FALSE AND resolved = FALSE
+            `;
+            
+            this.db.run(sql, [step + 1, alertId, step], function(err) {
+                if (err) {
+                    console.error('Error advancing escalation:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async recordEscalation(alertId, step, action, target) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'INSERT INTO escalations (alert_id, step, action, target) VALUES (?, ?, ?, ?)';
+            
+            this.db.run(sql, [alertId, step, action, target || null], function(err) {
+                if (err) {
+                    console.error('Error recording escalation:', err);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async recordAlertEvent(alertId, eventType, { actor = null, actorId = null, payload = null } = {}) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'INSERT INTO alert_events (alert_id, event_type, actor, actor_id, payload) VALUES (?, ?, ?, ?, ?)';
+            const payloadJson = payload ? JSON.stringify(payload) : null;
+            
+            this.db.run(sql, [alertId, eventType, actor, actorId, payloadJson], function(err) {
+                if (err) {
+                    console.error('Error recording alert event:', err);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getAlertEvents(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM alert_events WHERE alert_id = ? ORDER BY created_at ASC, id ASC';
+            
+            this.db.all(sql, [alertId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting alert events:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        ...row,
+                        payload: row.payload ? JSON.parse(row.payload) : null
+                    })));
+                }
+            });
+        });
+    }
+
+    async getEscalations(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM escalations WHERE alert_id = ? ORDER BY step ASC, id ASC';
+            
+            this.db.all(sql, [alertId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting escalations:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async createRotation(rotation) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { name, users, start_date, handoff_time, timezone, shift_days = 7, created_by } = rotation;
+            
+            const sql = `
+                INSERT INTO oncall_rotations (name, users, start_date, handoff_time, timezone, shift_days, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [name, JSON.stringify(users), start_date, handoff_time, timezone, shift_days, created_by || null];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error creating rotation:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, name, users, start_date, handoff_time, timezone, shift_days, created_by });
+                }
+            });
+        });
+    }
+
+    async getRotations() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM oncall_rotations ORDER BY name ASC', (err, rows) => {
+                if (err) {
+                    console.error('Error getting rotations:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseRotationRow(row)));
+                }
+            });
+        });
+    }
+
+    async getRotation(idOrName) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM oncall_rotations WHERE id = ? OR name = ?';
+            
+            this.db.get(sql, [idOrName, String(idOrName)], (err, row) => {
+                if (err) {
+                    console.error('Error getting rotation:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseRotationRow(row) : null);
+                }
+            });
+        });
+    }
+
+    async deleteRotation(rotationId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM oncall_overrides WHERE rotation_id = ?', [rotationId], (err) => {
+                if (err) {
+                    console.error('Error deleting rotation overrides:', err);
+                    reject(err);
+                    return;
+                }
+                
+                this.db.run('DELETE FROM oncall_rotations WHERE id = ?', [rotationId], function(err) {
+                    if (err) {
+                        console.error('Error deleting rotation:', err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes > 0);
+                    }
+                });
+            });
+        });
+    }
+
+    async createOverride(override) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { rotation_id, user, starts_at, ends_at, created_by } = override;
+            
+            const sql = `
+                INSERT INTO oncall_overrides (rotation_id, user, starts_at, ends_at, created_by)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+            
+            this.db.run(sql, [rotation_id, user, starts_at, ends_at, created_by || null], function(err) {
+                if (err) {
+                    console.error('Error creating override:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, rotation_id, user, starts_at, ends_at, created_by });
+                }
+            });
+        });
+    }
+
+    async getOverrides(rotationId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM oncall_overrides 
+                WHERE rotation_id = ? AND ends_at > strftime('%s', 'now')
+                ORDER BY starts_at ASC
+            `;
+            
+            this.db.all(sql, [rotationId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting overrides:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async deleteOverride(overrideId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM oncall_overrides WHERE id = ?', [overrideId], function(err) {
+                if (err) {
+                    console.error('Error deleting override:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    parseRotationRow(row) {
+        try {
+            row.users = JSON.parse(row.users);
+        } catch (e) {
+            console.warn(`Failed to parse users for rotation ${row.id}:`, e.message);
+            row.users = [];
+        }
+        return row;
+    }
+
+    async createTemplate(template) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { name, matchers = null, body, priority = 0, created_by } = template;
+            
+            const sql = `
+                INSERT INTO templates (name, matchers, body, priority, created_by)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+            
+            const params = [name, matchers ? JSON.stringify(matchers) : null, body, priority, created_by || null];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error creating template:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, name, matchers, body, priority, created_by });
+                }
+            });
+        });
+    }
+
+    async getTemplates() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM templates ORDER BY priority DESC, id ASC', (err, rows) => {
+                if (err) {
+                    console.error('Error getting templates:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseTemplateRow(row)));
+                }
+            });
+        });
+    }
+
+    async getTemplate(idOrName) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM templates WHERE id = ? OR name = ?';
+            
+            this.db.get(sql, [idOrName, String(idOrName)], (err, row) => {
+                if (err) {
+                    console.error('Error getting template:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseTemplateRow(row) : null);
+                }
+            });
+        });
+    }
+
+    async updateTemplate(templateId, template) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { name, matchers = null, body, priority = 0 } = template;
+            
+            const sql = `
+                UPDATE templates
+                SET name = ?, matchers = ?, body = ?, priority = ?, updated_at = strftime('%s', 'now')
+                WHERE id = ?
+            `;
+            
+            const params = [name, matchers ? JSON.stringify(matchers) : null, body, priority, templateId];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error updating template:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteTemplate(templateId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM templates WHERE id = ?', [templateId], function(err) {
+                if (err) {
+                    console.error('Error deleting template:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    parseTemplateRow(row) {
+        try {
+            row.matchers = row.matchers ? JSON.parse(row.matchers) : null;
+        } catch (e) {
+            console.warn(`Failed to parse matchers for template ${row.id}:`, e.message);
+            row.matchers = null;
+        }
+        return row;
+    }
+
+    async seedUsers(entries) {
+        await this.waitForInit();
+        
+        const count = await this.countUsers();
+        if (count > 0 || entries.length === 0) {
+            return 0;
+        }
+        
+        let seeded = 0;
+        for (const entry of entries) {
+            const isId = /^\d+$/.test(entry.user);
+            const created = await new Promise((resolve, reject) => {
+                const sql = 'INSERT OR IGNORE INTO users (telegram_id, username, role, created_by) VALUES (?, ?, ?, ?)';
+                const params = [isId ? entry.user : null, isId ? null : entry.user.replace(/^@/, ''), entry.role, 'AUTHORIZED_USERS'];
+                
+                this.db.run(sql, params, function(err) {
+                    if (err) {
+                        console.error(`Error seeding user ${entry.user}:`, err);
+                        reject(err);
+                    } else {
+                        resolve(this.changes);
+                    }
+                });
+            });
+            seeded += created;
+        }
+        
+        console.log(`Seeded ${seeded} user${seeded === 1 ? '' : 's'} from AUTHORIZED_USERS`);
+        return seeded;
+    }
+
+    async countUsers() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM users', (err, row) => {
+                if (err) {
+                    console.error('Error counting users:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async getUsers() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM users
+                ORDER BY CASE role WHEN 'admin' THEN 0 WHEN 'responder' THEN 1 ELSE 2 END, username, telegram_id
+            `;
+            
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    console.error('Error getting users:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async findUser({ telegramId, username }) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM users
+                WHERE telegram_id = ? OR username = ?
+                ORDER BY CASE WHEN telegram_id = ? THEN 0 ELSE 1 END
+                LIMIT 1
+            `;
+            const id = telegramId ? String(telegramId) : null;
+            
+            this.db.get(sql, [id, username || null, id], (err, row) => {
+                if (err) {
+                    console.error('Error finding user:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async createUser({ telegramId, username, role, createdBy }) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'INSERT INTO users (telegram_id, username, role, created_by) VALUES (?, ?, ?, ?)';
+            const params = [telegramId ? String(telegramId) : null, username || null, role, createdBy || null];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error creating user:', err);
+                    reject(err);
+                } else {
+                    resolve({
+                        id: this.lastID,
+                        telegram_id: params[0],
+                        username: params[1],
+                        role,
+                        created_by: params[3]
+                    });
+                }
+            });
+        });
+    }
+
+    async updateUserRole(userId, role) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = "UPDATE users SET role = ?, updated_at = strftime('%s', 'now') WHERE id = ?";
+            
+            this.db.run(sql, [role, userId], function(err) {
+                if (err) {
+                    console.error('Error updating user role:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async linkUserIdentity(userId, telegramId, username) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE users
+                SET telegram_id = ?, username = COALESCE(?, username), updated_at = strftime('%s', 'now')
+                WHERE id = ?
+            `;
+            
+            this.db.run(sql, [String(telegramId), username || null, userId], function(err) {
+                if (err) {
+                    console.error('Error linking user identity:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteUser(userId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+                if (err) {
+                    console.error('Error deleting user:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async acknowledgeAlert(alertId, userInfo) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { username, id, firstName, lastName, displayName } = userInfo;
+            const fullName = displayName || [firstName, lastName].filter(Boolean).join(' ');
+            
+            const sql = `
+                UPDATE alerts 
+                SET acknowledged = TRUE,
+                    acknowledged_by = ?,
+                    acknowledged_by_id = ?,
+                    acknowledged_by_name = ?,
+                    acknowledged_at = strftime('%s', 'now'),
+                    snoozed_until = NULL,
+                    snoozed_by = NULL
+                WHERE id = ? AND acknowledged = FALSE
+            `;
+            
+            this.db.run(sql, [username, id, fullName, alertId], function(err) {
+                if (err) {
+                    console.error('Error acknowledging alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async resolveAlert(alertId, userInfo, options = {}) {
+        await this.waitForInit();
+        
+        if (options.source) {
+            return this.resolveAlertBySource(alertId, options.source);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const { username, id, firstName, lastName, displayName } = userInfo;
+            const fullName = displayName || [firstName, lastName].filter(Boolean).join(' ');
+            
+            const sql = `
+                UPDATE alerts 
+                SET resolved = TRUE,
+                    resolved_by = ?,
+                    resolved_by_id = ?,
+                    resolved_by_name = ?,
+                    resolved_at = strftime('%s', 'now'),
+                    resolution_note = ?,
+                    root_cause = ?
+                WHERE id = ? AND acknowledged = TRUE AND resolved = FALSE
+            `;
+            
+            const params = [username, id, fullName, options.note || null, options.rootCause || null, alertId];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error resolving alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    resolveAlertBySource(alertId, source) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET resolved = TRUE,
+                    resolved_by_source = ?,
+                    resolved_at = strftime('%s', 'now')
+                WHERE id = ? AND resolved = FALSE
+            `;
+            
+            this.db.run(sql, [source, alertId], function(err) {
+                if (err) {
+                    console.error('Error resolving alert by source:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async unacknowledgeAlert(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET acknowledged = FALSE,
+                    acknowledged_by = NULL,
+                    acknowledged_by_id = NULL,
+                    acknowledged_by_name = NULL,
+                    acknowledged_at = NULL,
+                    escalation_level = 0,
+                    escalation_base_at = strftime('%s', 'now')
+                WHERE id = ? AND acknowledged = TRUE AND resolved = FALSE
+            `;
+            
+            this.db.run(sql, [alertId], function(err) {
+                if (err) {
+                    console.error('Error unacknowledging alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async reopenAlert(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET resolved = FALSE,
+                    resolved_by = NULL,
+                    resolved_by_id = NULL,
+                    resolved_by_name = NULL,
+                    resolved_by_source = NULL,
+                    resolved_at = NULL,
+                    resolution_note = NULL,
+                    root_cause = NULL,
+                    acknowledged = FALSE,
+                    acknowledged_by = NULL,
+                    acknowledged_by_id = NULL,
+                    acknowledged_by_name = NULL,
+                    acknowledged_at = NULL,
+                    escalation_level = 0,
+                    escalation_base_at = strftime('%s', 'now')
+                WHERE id = ? AND resolved = TRUE
+            `;
+            
+            this.db.run(sql, [alertId], function(err) {
+                if (err) {
+                    console.error('Error reopening alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async assignAlert(alertId, assignee, assignedBy) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET assigned_to = ?,
+                    assigned_to_id = ?,
+                    assigned_by = ?,
+                    assigned_at = CASE WHEN ? IS NULL THEN NULL ELSE strftime('%s', 'now') END
+                WHERE id = ? AND resolved = FALSE
+            `;
+            
+            const username = assignee ? assignee.username || null : null;
+            const telegramId = assignee && assignee.telegramId ? parseInt(assignee.telegramId) : null;
+            const assigned = assignee ? 1 : null;
+            
+            this.db.run(sql, [username, telegramId, assignee ? assignedBy : null, assigned, alertId], function(err) {
+                if (err) {
+                    console.error('Error assigning alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getUnacknowledgedCount() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT COUNT(*) as count FROM alerts 
+                WHERE acknowledged = FALSE
+                    AND resolved = FALSE
+                    AND (snoozed_until IS NULL OR snoozed_until <= strftime('%s', 'now'))
+            `;
+            
+            this.db.get(sql, (err, row) => {
+                if (err) {
+                    console.error('Error getting unacknowledged count:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async getAlertsPendingReminder(severity, intervalSeconds) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM alerts 
+                WHERE severity = ?
+                    AND acknowledged = TRUE
+                    AND resolved = FALSE
+                    AND MAX(COALESCE(last_reminded_at, 0), acknowledged_at) <= strftime('%s', 'now') - ?
+                ORDER BY acknowledged_at ASC
+            `;
+            
+            this.db.all(sql, [severity, intervalSeconds], (err, rows) => {
+                if (err) {
+                    console.error('Error getting alerts pending reminder:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseAlertRow(row)));
+                }
+            });
+        });
+    }
+
+    async getStaleAlerts(maxAges, defaultAge) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const severities = Object.keys(maxAges);
+            const maxAge = severities.length > 0
+                ? `CASE severity ${severities.map(() => 'WHEN ? THEN ?').join(' ')} ELSE ? END`
+                : '?';
+            const sql = `
+                SELECT * FROM alerts 
+                WHERE acknowledged = TRUE
+                    AND resolved = FALSE
+                    AND acknowledged_at <= strftime('%s', 'now') - ${maxAge}
+                ORDER BY acknowledged_at ASC
+            `;
+            const params = [...severities.flatMap(severity => [severity, maxAges[severity]]), defaultAge];
+            
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    console.error('Error getting stale alerts:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseAlertRow(row)));
+                }
+            });
+        });
+    }
+
+    async markReminded(alertId, intervalSeconds) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET last_reminded_at = strftime('%s', 'now')
+                WHERE id = ? 
+                    AND acknowledged = TRUE
+                    AND resolved = FALSE
+                    AND MAX(COALESCE(last_reminded_at, 0), acknowledged_at) <= strftime('%s', 'now') - ?
+            `;
+            
+            this.db.run(sql, [alertId, intervalSeconds], function(err) {
+                if (err) {
+                    console.error('Error marking alert reminded:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getSchedulerState(key) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT value FROM scheduler_state WHERE key = ?', [key], (err, row) => {
+                if (err) {
+                    console.error('Error getting scheduler state:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? row.value : null);
+                }
+            });
+        });
+    }
+
+    async setSchedulerState(key, value) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO scheduler_state (key, value, updated_at) 
+                VALUES (?, ?, strftime('%s', 'now'))
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `;
+            
+            this.db.run(sql, [key, value], function(err) {
+                if (err) {
+                    console.error('Error saving scheduler state:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    async getSnoozedCount() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT COUNT(*) as count FROM alerts 
+                WHERE acknowledged = FALSE 
+                    AND resolved = FALSE
+                    AND snoozed_until > strftime('%s', 'now')
+            `;
+            
+            this.db.get(sql, (err, row) => {
+                if (err) {
+                    console.error('Error getting snoozed count:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async snoozeAlert(alertId, snoozedUntil, snoozedBy) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET snoozed_until = ?,
+                    snoozed_by = ?
+                WHERE id = ? AND acknowledged = FALSE AND resolved = FALSE
+            `;
+            
+            this.db.run(sql, [snoozedUntil, snoozedBy, alertId], function(err) {
+                if (err) {
+                    console.error('Error snoozing alert:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async clearSnooze(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET snoozed_until = NULL,
+                    snoozed_by = NULL
+                WHERE id = ? AND snoozed_until IS NOT NULL
+            `;
+            
+            this.db.run(sql, [alertId], function(err) {
+                if (err) {
+                    console.error('Error clearing snooze:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getExpiredSnoozes() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM alerts 
+                WHERE snoozed_until IS NOT NULL 
+                    AND snoozed_until <= strftime('%s', 'now')
+                ORDER BY snoozed_until ASC
+            `;
+            
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    console.error('Error getting expired snoozes:', err);
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => this.parseAlertRow(row)));
+                }
+            });
+        });
+    }
+
+    async expireSnooze(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE alerts 
+                SET snoozed_until = NULL,
+                    snoozed_by = NULL,
+                    escalation_level = 0,
+                    escalation_base_at = strftime('%s', 'now')
+                WHERE id = ? AND snoozed_until IS NOT NULL AND snoozed_until <= strftime('%s', 'now')
+            `;
+            
+            this.db.run(sql, [alertId], function(err) {
+                if (err) {
+                    console.error('Error expiring snooze:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getSettings(scope, scopeId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT key, value FROM settings WHERE scope = ? AND scope_id = ?';
+            
+            this.db.all(sql, [scope, String(scopeId)], (err, rows) => {
+                if (err) {
+                    console.error('Error getting settings:', err);
+                    reject(err);
+                } else {
+                    resolve(Object.fromEntries(rows.map(row => [row.key, row.value])));
+                }
+            });
+        });
+    }
+
+    async setSetting(scope, scopeId, key, value, updatedBy = null) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO settings (scope, scope_id, key, value, updated_by, updated_at) 
+                VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+                ON CONFLICT(scope, scope_id, key) DO UPDATE SET 
+                    value = excluded.value, 
+                    updated_by = excluded.updated_by, 
+                    updated_at = excluded.updated_at
+            `;
+            
+            this.db.run(sql, [scope, String(scopeId), key, value, updatedBy], function(err) {
+                if (err) {
+                    console.error('Error saving setting:', err);
+                    reject(err);
+                } else {
+                    resolve(true);
+                }
+            });
+        });
+    }
+
+    async deleteSetting(scope, scopeId, key) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'DELETE FROM settings WHERE scope = ? AND scope_id = ? AND key = ?';
+            
+            this.db.run(sql, [scope, String(scopeId), key], function(err) {
+                if (err) {
+                    console.error('Error deleting setting:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async createReportSchedule(schedule) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const { report, cron, timezone, chat_id, message_thread_id, next_run_at, created_by } = schedule;
+            
+            const sql = `
+                INSERT INTO report_schedules (report, cron, timezone, chat_id, message_thread_id, next_run_at, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            
+            const params = [report, cron, timezone, chat_id, message_thread_id || null, next_run_at, created_by || null];
+            
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('Error creating report schedule:', err);
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, ...schedule, enabled: 1, last_run_at: null });
+                }
+            });
+        });
+    }
+
+    async getReportSchedules() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM report_schedules ORDER BY id ASC', (err, rows) => {
+                if (err) {
+                    console.error('Error getting report schedules:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getReportSchedule(scheduleId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM report_schedules WHERE id = ?', [scheduleId], (err, row) => {
+                if (err) {
+                    console.error('Error getting report schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getDueReportSchedules() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM report_schedules 
+                WHERE enabled = TRUE 
+                    AND next_run_at IS NOT NULL 
+                    AND next_run_at <= strftime('%s', 'now')
+                ORDER BY next_run_at ASC
+            `;
+            
+            this.db.all(sql, (err, rows) => {
+                if (err) {
+                    console.error('Error getting due report schedules:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async markReportScheduleRun(scheduleId, previousRunAt, nextRunAt) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE report_schedules 
+                SET last_run_at = strftime('%s', 'now'), next_run_at = ?
+                WHERE id = ? AND next_run_at = ?
+            `;
+            
+            this.db.run(sql, [nextRunAt, scheduleId, previousRunAt], function(err) {
+                if (err) {
+                    console.error('Error updating report schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async setReportScheduleEnabled(scheduleId, enabled, nextRunAt) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'UPDATE report_schedules SET enabled = ?, next_run_at = ? WHERE id = ?';
+            
+            this.db.run(sql, [enabled ? 1 : 0, nextRunAt, scheduleId], function(err) {
+                if (err) {
+                    console.error('Error updating report schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteReportSchedule(scheduleId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM report_schedules WHERE id = ?', [scheduleId], function(err) {
+                if (err) {
+                    console.error('Error deleting report schedule:', err);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getDailyDigest() {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    SUM(CASE WHEN created_at >= strftime('%s', 'now', '-1 day') THEN 1 ELSE 0 END) as created,
+                    SUM(CASE WHEN created_at >= strftime('%s', 'now', '-1 day') AND severity = 'critical' THEN 1 ELSE 0 END) as critical,
+                    SUM(CASE WHEN created_at >= strftime('%s', 'now', '-1 day') AND severity = 'warning' THEN 1 ELSE 0 END) as warning,
+                    SUM(CASE WHEN created_at >= strftime('%s', 'now', '-1 day') AND severity = 'info' THEN 1 ELSE 0 END) as info,
+                    SUM(CASE WHEN acknowledged_at >= strftime('%s', 'now', '-1 day') THEN 1 ELSE 0 END) as acknowledged,
+                    SUM(CASE WHEN resolved_at >= strftime('%s', 'now', '-1 day') THEN 1 ELSE 0 END) as resolved,
+                    SUM(CASE WHEN acknowledged = FALSE AND resolved = FALSE THEN 1 ELSE 0 END) as open,
+                    SUM(CASE WHEN acknowledged = TRUE AND resolved = FALSE THEN 1 ELSE 0 END) as in_progress
+                FROM alerts
+            `;
+            
+            this.db.get(sql, (err, row) => {
+                if (err) {
+                    console.error('Error getting daily digest:', err);
+                    reject(err);
+                    return;
+                }
+                
+                const sourcesSql = `
+                    SELECT source, COUNT(*) as count
+                    FROM alerts 
+                    WHERE created_at >= strftime('%s', 'now', '-1 day')
+                    GROUP BY source
+                    ORDER BY count DESC
+                    LIMIT 5
+                `;
+                
+                this.db.all(sourcesSql, (err, sources) => {
+                    if (err) {
+                        console.error('Error getting daily digest sources:', err);
+                        reject(err);
+                    } else {
+                        resolve({ ...row, sources });
+                    }
+                });
+            });
+        });
+    }
+
+    async getReportStats(from, to) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    COUNT(*) as total,
+                    SUM(COALESCE(occurrence_count, 1)) as deliveries,
+                    SUM(CASE WHEN acknowledged = TRUE THEN 1 ELSE 0 END) as acknowledged,
+                    SUM(CASE WHEN resolved = TRUE THEN 1 ELSE 0 END) as resolved,
+                    SUM(CASE WHEN acknowledged = FALSE AND resolved = FALSE THEN 1 ELSE 0 END) as unacknowledged,
+                    SUM(CASE WHEN severity = 'critical' THEN 1 ELSE 0 END) as critical,
+                    SUM(CASE WHEN severity = 'warning' THEN 1 ELSE 0 END) as warning,
+                    SUM(CASE WHEN severity = 'info' THEN 1 ELSE 0 END) as info
+                FROM alerts 
+                WHERE created_at >= ? AND created_at < ?
+            `;
+            
+            this.db.get(sql, [from, to], (err, row) => {
+                if (err) {
+                    console.error('Error getting report stats:', err);
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async getRootCauseBreakdown(from, to) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    COALESCE(root_cause, 'unspecified') as root_cause,
+                    COUNT(*) as count
+                FROM alerts 
+                WHERE resolved = TRUE 
+                    AND resolved_at >= ? AND resolved_at < ?
+                    AND resolved_by_source IS NULL
+                GROUP BY COALESCE(root_cause, 'unspecified')
+                ORDER BY count DESC
+            `;
+            
+            this.db.all(sql, [from, to], (err, rows) => {
+                if (err) {
+                    console.error('Error getting root cause breakdown:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getTopAcknowledgers(from, to) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    acknowledged_by_name,
+                    acknowledged_by,
+                    COUNT(*) as ack_count,
+                    SUM(CASE WHEN resolved = TRUE THEN 1 ELSE 0 END) as resolved_count
+                FROM alerts 
+                WHERE acknowledged = TRUE 
+                    AND acknowledged_at >= ? AND acknowledged_at < ?
+                    AND acknowledged_by IS NOT NULL
+                GROUP BY acknowledged_by_id
+                ORDER BY ack_count DESC
+                LIMIT 5
+            `;
+            
+            this.db.all(sql, [from, to], (err, rows) => {
+                if (err) {
+                    console.error('Error getting top acknowledgers:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getTopResolvers(from, to) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    resolved_by_name,
+                    resolved_by,
+                    COUNT(*) as count
+                FROM alerts 
+                WHERE resolved = TRUE 
+                    AND resolved_at >= ? AND resolved_at < ?
+                    AND resolved_by IS NOT NULL
+                GROUP BY resolved_by_id
+                ORDER BY count DESC
+                LIMIT 5
+            `;
+            
+            this.db.all(sql, [from, to], (err, rows) => {
+                if (err) {
+                    console.error('Error getting top resolvers:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getResponseTimes(from, to) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    severity,
+                    CASE WHEN acknowledged_at IS NOT NULL THEN acknowledged_at - created_at END as time_to_ack,
+                    CASE WHEN resolved = TRUE AND resolved_at IS NOT NULL THEN resolved_at - created_at END as time_to_resolve
+                FROM alerts 
+                WHERE created_at >= ? AND created_at < ?
+                    AND (acknowledged_at IS NOT NULL OR resolved_at IS NOT NULL)
+            `;
+            
+            this.db.all(sql, [from, to], (err, rows) => {
+                if (err) {
+                    console.error('Error getting response times:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getNoisiestAlerts(groupBy, from, to, limit = 5) {
+        await this.waitForInit();
+        
+        if (!['source', 'title'].includes(groupBy)) {
+            throw new Error(`Cannot group alerts by ${groupBy}`);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT 
+                    ${groupBy},
+                    COUNT(*) as count,
+                    SUM(COALESCE(occurrence_count, 1)) as deliveries
+                FROM alerts 
+                WHERE created_at >= ? AND created_at < ?
+                GROUP BY ${groupBy}
+                ORDER BY count DESC, deliveries DESC
+                LIMIT ?
+            `;
+            
+            this.db.all(sql, [from, to, limit], (err, rows) => {
+                if (err) {
+                    console.error(`Error getting noisiest alerts by ${groupBy}:`, err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getAlertById(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM alerts WHERE id = ?';
+            
+            this.db.get(sql, [alertId], (err, row) => {
+                if (err) {
+                    console.error('Error getting alert by ID:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseAlertRow(row) : null);
+                }
+            });
+        });
+    }
+
+    buildAlertConditions(filters) {
+        const conditions = [];
+        const params = [];
+        const statusConditions = {
+            open: '(acknowledged = FALSE AND resolved = FALSE)',
+            acked: '(acknowledged = TRUE AND resolved = FALSE)',
+            resolved: 'resolved = TRUE'
+        };
+        
+        if (filters.statuses && filters.statuses.length > 0) {
+            conditions.push(`(${filters.statuses.map(status => statusConditions[status]).join(' OR ')})`);
+        }
+        
+        if (filters.severities && filters.severities.length > 0) {
+            conditions.push(`severity IN (${filters.severities.map(() => '?').join(', ')})`);
+            params.push(...filters.severities);
+        }
+        
+        if (filters.sources && filters.sources.length > 0) {
+            conditions.push(`source IN (${filters.sources.map(() => '?').join(', ')})`);
+            params.push(...filters.sources);
+        }
+        
+        if (filters.from) {
+            conditions.push('created_at >= ?');
+            params.push(filters.from);
+        }
+        
+        if (filters.to) {
+            conditions.push('created_at < ?');
+            params.push(filters.to);
+        }
+        
+        Object.entries(filters.labels || {}).forEach(([key, value]) => {
+            conditions.push('json_extract(metadata, ?) = ?');
+            params.push(`$.labels."${key}"`, String(value));
+        });
+        
+        if (filters.rootCauses && filters.rootCauses.length > 0) {
+            conditions.push(`root_cause IN (${filters.rootCauses.map(() => '?').join(', ')})`);
+            params.push(...filters.rootCauses);
+        }
+        
+        if (filters.q) {
+            const pattern = `%${filters.q.replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push("(title LIKE ? ESCAPE '\\' OR message LIKE ? ESCAPE '\\' OR resolution_note LIKE ? ESCAPE '\\')");
+            params.push(pattern, pattern, pattern);
+        }
+        
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    async queryAlerts(filters = {}) {
+        await this.waitForInit();
+        
+        const { where, params } = this.buildAlertConditions(filters);
+        const cursorCondition = filters.cursor ? `${where ? `${where} AND` : 'WHERE'} id < ?` : where;
+        const limit = filters.limit || 50;
+        
+        if (filters.cursor) {
+            params.push(filters.cursor);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM alerts ${cursorCondition} ORDER BY id DESC LIMIT ?`;
+            
+            this.db.all(sql, [...params, limit + 1], (err, rows) => {
+                if (err) {
+                    console.error('Error querying alerts:', err);
+                    reject(err);
+                    return;
+                }
+                
+                const alerts = rows.slice(0, limit).map(row => this.parseAlertRow(row));
+                resolve({
+                    alerts,
+                    nextCursor: rows.length > limit ? alerts[alerts.length - 1].id : null
+                });
+            });
+        });
+    }
+
+    async countAlerts(filters = {}) {
+        await this.waitForInit();
+        
+        const { where, params } = this.buildAlertConditions(filters);
+        
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM alerts ${where}`, params, (err, row) => {
+                if (err) {
+                    console.error('Error counting alerts:', err);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async getDeliveriesForAlert(alertId) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = 'SELECT * FROM outbox WHERE alert_id = ? ORDER BY id ASC';
+            
+            this.db.all(sql, [alertId], (err, rows) => {
+                if (err) {
+                    console.error('Error getting deliveries for alert:', err);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async findOpenAlertByFingerprint(fingerprint) {
+        await this.waitForInit();
+        
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM alerts 
+                WHERE fingerprint = ? AND resolved = FALSE
+                ORDER BY id DESC
+                LIMIT 1
+            `;
+            
+            this.db.get(sql, [fingerprint], (err, row) => {
+                if (err) {
+                    console.error('Error finding alert by fingerprint:', err);
+                    reject(err);
+                } else {
+                    resolve(row ? this.parseAlertRow(row) : null);
+                }
+            });
+        });
+    }
+
+    parseAlertRow(row) {
+        if (row.metadata) {
+            try {
+                row.metadata = JSON.parse(row.metadata);
+            } catch (e) {
+                console.warn(`Failed to parse metadata for alert ${row.id}:`, e.message);
+                row.metadata = null;
+            }
+        }
+        return row;
+    }
+
     close() {
         return new Promise((resolve) => {
             if (this.db) {
@@ -1,4 +1,6 @@
 require('dotenv').config();
+const { DEFAULT_ROLE, isValidRole } = require('./roles');
+const { DEFAULT_LANGUAGE, LANGUAGES, isValidLanguage } = require('./i18n');
 
 function validateAndParseNumber(value, fieldName) {
     if (!value) return null;
@@ -66,18 +68,136 @@ function parseAuthorizedUsers(users) {
     return users.split(',')
         .map(user => user.trim())
         .filter(user => user.length > 0)
-        .map(user => {
-            if (user.startsWith('@')) {
-                return user;
-            }
+        .map(entry => {
+            const [user, role] = entry.split(':').map(part => part.trim());
+            return {
+                user: normalizeAuthorizedUser(user),
+                role: parseRole(role, user)
+            };
+        });
+}
+
+function normalizeAuthorizedUser(user) {
+    if (user.startsWith('@')) {
+        return user;
+    }
+    
+    const parsed = parseInt(user);
+    if (!isNaN(parsed)) {
+        return parsed.toString();
+    }
+    
+    return user;
+}
+
+function parseRole(role, user) {
+    if (!role) return DEFAULT_ROLE;
+    
+    const normalized = role.toLowerCase();
+    if (!isValidRole(normalized)) {
+        console.warn(`Warning: unknown role "${role}" for ${user} in AUTHORIZED_USERS - using viewer`);
+        return 'viewer';
+    }
+    
+    return normalized;
+}
+
+function parseSeverityMap(value, fieldName, isValid, expected) {
+    const result = {};
+    if (!value) return result;
+    
+    value.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .forEach(entry => {
+            const [severity, setting] = entry.split(':').map(part => part.trim().toLowerCase());
             
-            const parsed = parseInt(user);
-            if (!isNaN(parsed)) {
-                return parsed.toString();
+            if (!['critical', 'warning', 'info'].includes(severity) || !isValid(setting || '')) {
+                console.warn(`Warning: ignoring ${fieldName} entry "${entry}" - expected <severity>:<${expected}>`);
+                return;
             }
             
-            return user;
+            result[severity] = setting;
         });
+    
+    return result;
+}
+
+function parseSeverityModes(value, fieldName, modes) {
+    return parseSeverityMap(value, fieldName, mode => modes.includes(mode), modes.join('|'));
+}
+
+function parseSeverityDurations(value, fieldName) {
+    return parseSeverityMap(value, fieldName, duration => /^\d+[smhdw]$/.test(duration), 'duration, e.g. 4h');
+}
+
+function parseTimeOfDay(value, fieldName) {
+    if (!value) return null;
+    
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value.trim())) {
+        console.warn(`Warning: ${fieldName} must be in HH:MM format: ${value}`);
+        return null;
+    }
+    
+    return value.trim();
+}
+
+function parseTimeZone(value, fallback) {
+    if (!value) return fallback;
+    
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value.trim() });
+        return value.trim();
+    } catch (error) {
+        console.warn(`Warning: TIMEZONE is not a valid IANA timezone: ${value}, using ${fallback}`);
+        return fallback;
+    }
+}
+
+function parseLocale(value, fallback) {
+    if (!value) return fallback;
+    
+    try {
+        if (Intl.DateTimeFormat.supportedLocalesOf([value.trim()]).length > 0) {
+            return value.trim();
+        }
+    } catch (error) {
+        // Malformed language tags throw a RangeError
+    }
+    
+    console.warn(`Warning: LOCALE is not a supported locale: ${value}, using ${fallback}`);
+    return fallback;
+}
+
+function parseLanguage(value, fallback) {
+    if (!value) return fallback;
+    
+    const language = value.trim().toLowerCase();
+    if (isValidLanguage(language)) {
+        return language;
+    }
+    
+    console.warn(`Warning: LANGUAGE must be one of ${Object.keys(LANGUAGES).join(', ')}: ${value}, using ${fallback}`);
+    return fallback;
+}
+
+function parseList(value, fallback) {
+    if (!value) return fallback;
+    
+    return value.split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(item => item.length > 0);
+}
+
+function parseJsonSetting(value, fieldName, fallback) {
+    if (!value) return fallback;
+    
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn(`Warning: ${fieldName} is not valid JSON: ${error.message}`);
+        return fallback;
+    }
 }
 
 const config = {
@@ -90,8 +210,28 @@ const config = {
     NODE_ENV: process.env.NODE_ENV || 'development',
     AUTHORIZED_USERS: parseAuthorizedUsers(process.env.AUTHORIZED_USERS),
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+    TIMEZONE: parseTimeZone(process.env.TIMEZONE, 'Asia/Jakarta'),
+    LOCALE: parseLocale(process.env.LOCALE, 'id-ID'),
+    LANGUAGE: parseLanguage(process.env.LANGUAGE, DEFAULT_LANGUAGE),
     TELEGRAM_TIMEOUT: parseInt(process.env.TELEGRAM_TIMEOUT) || 60000,
-    WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 30000
+    WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 30000,
+    OUTBOX_POLL_INTERVAL: parseInt(process.env.OUTBOX_POLL_INTERVAL) || 5000,
+    OUTBOX_MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+    OUTBOX_RETRY_BASE_DELAY: parseInt(process.env.OUTBOX_RETRY_BASE_DELAY) || 5000,
+    OUTBOX_RETRY_MAX_DELAY: parseInt(process.env.OUTBOX_RETRY_MAX_DELAY) || 3600000,
+    OUTBOX_INLINE_TIMEOUT: parseInt(process.env.OUTBOX_INLINE_TIMEOUT) || 5000,
+    DEFAULT_THREAD_ID: parseInt(process.env.DEFAULT_THREAD_ID) || null,
+    ROUTING_RULES: parseJsonSetting(process.env.ROUTING_RULES, 'ROUTING_RULES', []),
+    RESOLUTION_NOTES: parseSeverityModes(process.env.RESOLUTION_NOTES, 'RESOLUTION_NOTES', ['required', 'optional', 'off']),
+    ROOT_CAUSE_CATEGORIES: parseList(process.env.ROOT_CAUSE_CATEGORIES, ['deploy', 'config', 'capacity', 'hardware', 'network', 'dependency', 'false-positive']),
+    ESCALATION_POLICIES: parseJsonSetting(process.env.ESCALATION_POLICIES, 'ESCALATION_POLICIES', {}),
+    ESCALATION_CHECK_INTERVAL: parseInt(process.env.ESCALATION_CHECK_INTERVAL) || 30000,
+    SNOOZE_CHECK_INTERVAL: parseInt(process.env.SNOOZE_CHECK_INTERVAL) || 30000,
+    REMINDER_INTERVALS: parseSeverityDurations(process.env.REMINDER_INTERVALS, 'REMINDER_INTERVALS'),
+    REMINDER_MODE: ['reply', 'dm'].includes(process.env.REMINDER_MODE) ? process.env.REMINDER_MODE : 'reply',
+    REMINDER_CHECK_INTERVAL: parseInt(process.env.REMINDER_CHECK_INTERVAL) || 60000,
+    STALE_SUMMARY_TIME: parseTimeOfDay(process.env.STALE_SUMMARY_TIME, 'STALE_SUMMARY_TIME'),
+    REPORT_CHECK_INTERVAL: parseInt(process.env.REPORT_CHECK_INTERVAL) || 60000
 };
 
 function validateConfiguration() {
@@ -107,11 +247,15 @@ function validateConfiguration() {
     }
 
     if (!config.CHAT_ID) {
-        warnings.push('CHAT_ID not set - alerts will not be sent to Telegram');
+        warnings.push(config.ROUTING_RULES.length > 0
+            ? 'CHAT_ID not set - alerts matching no routing rule will not be sent to Telegram'
+            : 'CHAT_ID not set - alerts will not be sent to Telegram');
     }
 
     if (config.AUTHORIZED_USERS.length === 0) {
         warnings.push('AUTHORIZED_USERS not set - bot commands will be public');
+    } else if (!config.AUTHORIZED_USERS.some(entry => entry.role === 'admin')) {
+        warnings.push('No admin in AUTHORIZED_USERS - silences and rotations cannot be managed from Telegram');
     }
 
     return { warnings, errors };
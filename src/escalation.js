@@ -0,0 +1,130 @@
+const config = require('./env');
+const { parseDuration } = require('./utils');
+
+const ESCALATION_ACTIONS = ['mention', 'dm', 'chat'];
+
+class EscalationWorker {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.checkInterval = config.ESCALATION_CHECK_INTERVAL;
+        this.policies = normalizePolicies(config.ESCALATION_POLICIES);
+        this.timer = null;
+        this.processing = false;
+    }
+
+    hasPolicies() {
+        return Object.keys(this.policies).length > 0;
+    }
+
+    start() {
+        if (this.timer || !this.hasPolicies()) return;
+        
+        const summary = Object.entries(this.policies)
+            .map(([severity, steps]) => `${severity}: ${steps.length} step${steps.length > 1 ? 's' : ''}`)
+            .join(', ');
+        console.log(`Escalation worker started (${summary})`);
+        
+        this.timer = setInterval(() => this.tick(), this.checkInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Escalation worker stopped');
+        }
+    }
+
+    async tick() {
+        if (this.processing) return;
+        this.processing = true;
+        
+        try {
+            for (const [severity, steps] of Object.entries(this.policies)) {
+                const alerts = await this.db.getAlertsPendingEscalation(severity, steps.length);
+                for (const alert of alerts) {
+                    await this.escalate(alert, steps);
+                }
+            }
+        } catch (error) {
+            console.error('Escalation worker error:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async escalate(alert, steps) {
+        const level = alert.escalation_level || 0;
+        const step = steps[level];
+        const base = Math.max(alert.escalation_base_at || alert.created_at, alert.silence_ended_at || 0);
+        const elapsed = Math.floor(Date.now() / 1000) - base;
+        
+        if (!step || elapsed < step.after) {
+            return;
+        }
+        
+        const advanced = await this.db.advanceEscalation(alert.id, level);
+        if (!advanced) {
+            return;
+        }
+        
+        try {
+            const target = await this.bot.escalateAlert(alert, step, level);
+            await this.db.recordEscalation(alert.id, level, step.action, target);
+            await this.recordEvent(alert.id, { step: level + 1, action: step.action, target: target || null });
+            console.log(`Alert ${alert.id} escalated to step ${level + 1} (${step.action})`);
+        } catch (error) {
+            console.error(`Failed to escalate alert ${alert.id} to step ${level + 1}:`, error.message);
+            await this.db.recordEscalation(alert.id, level, step.action, `failed: ${error.message}`);
+            await this.recordEvent(alert.id, { step: level + 1, action: step.action, error: error.message });
+        }
+    }
+
+    recordEvent(alertId, payload) {
+        return this.db.recordAlertEvent(alertId, 'escalated', { payload }).catch(error => {
+            console.error(`Failed to record escalated event for alert ${alertId}:`, error.message);
+        });
+    }
+}
+
+function normalizePolicies(policies) {
+    const normalized = {};
+    
+    Object.entries(policies || {}).forEach(([severity, steps]) => {
+        if (!Array.isArray(steps)) {
+            console.warn(`Warning: escalation policy for ${severity} must be an array of steps`);
+            return;
+        }
+        
+        const validSteps = steps.map((step, index) => {
+            const after = typeof step.after === 'number' ? step.after : parseDuration(step.after);
+            
+            if (!after || !ESCALATION_ACTIONS.includes(step.action)) {
+                console.warn(`Warning: ignoring invalid escalation step ${index + 1} for ${severity}`);
+                return null;
+            }
+            
+            if (step.action === 'chat' && !step.chat_id) {
+                console.warn(`Warning: escalation step ${index + 1} for ${severity} has no chat_id`);
+                return null;
+            }
+            
+            return {
+                after,
+                action: step.action,
+                users: (step.users || []).map(String),
+                chat_id: step.chat_id
+            };
+        }).filter(Boolean);
+        
+        if (validSteps.length > 0) {
+            normalized[severity] = validSteps.sort((a, b) => a.after - b.after);
+        }
+    });
+    
+    return normalized;
+}
+
+module.exports = EscalationWorker;
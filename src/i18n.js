@@ -0,0 +1,1010 @@
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+    en: 'English',
+    id: 'Bahasa Indonesia'
+};
+
+const MESSAGES = {
+    en: {
+        'start.text': `<b>Paniten Bot</b> - Alert Management System
+
+Welcome! I manage infrastructure alerts with team collaboration features.
+
+<b>Available Commands:</b>
+/status - Show unacknowledged alerts count
+/list - Browse open alerts
+/report [period] - Alert statistics, 7 days by default
+/silences - List active silences
+/oncall - Show who is on call now and next
+/settings - Your timezone, locale and language
+/lang - Language of this chat
+/help - Show detailed help information
+
+<b>How it works:</b>
+• External systems send alerts via webhook
+• I notify this group with interactive buttons
+• Team members can acknowledge and resolve alerts
+• Track who handled what and when
+
+<b>Ready to monitor your infrastructure!</b>`,
+        'help.text': `<b>Paniten Bot Help Guide</b>
+
+<b>Available Commands:</b>
+/start - Welcome message and system overview
+/status - Current unacknowledged alerts count
+/list [severity] [source] - Browse open alerts with action buttons
+/alert &lt;id&gt; - Show an alert with its buttons
+/search &lt;text&gt; - Search alert titles, messages and resolution notes
+/timeline &lt;id&gt; - Every event recorded for an alert
+/comment &lt;id&gt; &lt;text&gt; - Add a comment to an alert's timeline
+/ack &lt;id&gt; - Acknowledge an alert
+/resolve &lt;id&gt; [cause=&lt;category&gt;] [note] - Resolve an alert with a note and root cause
+/ack all [matchers] - Acknowledge all matching alerts (asks for confirmation)
+/resolve all [matchers] [-- note] - Resolve all matching acknowledged alerts
+/report [24h|7d|30d|YYYY-MM-DD..YYYY-MM-DD] - Statistics, response times and noisiest alerts
+/schedule list - Scheduled reports
+/schedule add &lt;weekly|daily&gt; &lt;cron&gt; [timezone] - Post a report automatically to this chat
+/schedule remove|pause|resume &lt;id&gt; - Manage a scheduled report
+/silence &lt;duration&gt; &lt;matchers&gt; [-- comment] - Mute matching alerts
+/silences - List active silences
+/unsilence &lt;id&gt; - Expire a silence early
+/oncall - Who is on call now and next
+/rotation add &lt;name&gt; &lt;YYYY-MM-DD&gt; &lt;HH:MM&gt; &lt;timezone&gt; [7d] &lt;users...&gt; - Create a rotation
+/rotation remove &lt;name&gt; - Delete a rotation
+/rotation list - Show rotations and overrides
+/override &lt;rotation&gt; &lt;user&gt; &lt;from|now&gt; &lt;to|duration&gt; - Swap on-call duty
+/override remove &lt;id&gt; - Delete an override
+/settings - Your timezone, locale and language
+/settings tz|locale|lang &lt;value|reset&gt; - Set your own preference
+/settings chat tz|locale|lang &lt;value|reset&gt; - Set the default for this chat
+/lang [en|id|reset] - Show or change the language of this chat
+/users - List users and roles
+/adduser &lt;@username|id&gt; [role] - Authorize a user
+/removeuser &lt;@username|id&gt; - Revoke access
+/setrole &lt;@username|id&gt; &lt;role&gt; - Change a user's role
+/help - This help guide
+
+<b>Silence Matchers:</b>
+source=db-01 severity=critical title=&lt;regex&gt; labels.team=payments
+Example: /silence 2h source=db-01 -- planned maintenance
+
+<b>Alert Workflow:</b>
+1. External monitoring systems send webhooks
+2. Bot creates alert and notifies this group
+3. Team members click "Acknowledge" button
+4. After acknowledgment, click "Resolve" when fixed
+5. Reply to the prompt with a resolution note and pick a root cause (when enabled)
+6. Unack, Reopen and Assign to… correct mistakes or hand alerts over
+7. Snooze postpones an alert for 15m, 1h or 4h
+8. System tracks all actions with timestamps
+
+<b>Supported Webhook Formats:</b>
+• Grafana alerts
+• Prometheus Alertmanager
+• Zabbix notifications
+• Generic webhooks with message field
+• Native Paniten format
+
+<b>Group Management:</b>
+• Add bot to monitoring groups
+• Configure CHAT_ID in environment
+• Set AUTHORIZED_USERS to seed the first users
+• Manage users with /adduser, /removeuser, /setrole and /users
+• Bot needs message sending permissions
+
+<b>Roles:</b>
+• viewer - status, reports, silences and on-call schedule
+• responder - acknowledge, resolve, unack, reopen, assign, snooze and comment on alerts, on-call overrides
+• admin - silences, rotations, report schedules, chat settings and user management
+
+<b>Webhook Configuration:</b>
+POST /api/alert with Bearer token authentication
+Multiple formats supported with auto-detection
+
+For technical setup assistance, consult the documentation.`,
+
+        'auth.denied': 'Access denied. Contact administrator to get authorized.',
+        'auth.role_required': 'Access denied. {command} requires the {role} role.',
+        'auth.callback_denied': 'You are not authorized to manage alerts',
+        'auth.callback_role_required': 'You need the {role} role to {action} alerts',
+
+        'action.acknowledge': 'acknowledge',
+        'action.resolve': 'resolve',
+        'action.unacknowledge': 'unacknowledge',
+        'action.reopen': 'reopen',
+        'action.assign': 'assign',
+        'action.snooze': 'snooze',
+        'action.unsnooze': 'unsnooze',
+        'action.silence': 'silence',
+        'action.view': 'view',
+        'action.details': 'view',
+
+        'severity.critical': 'CRITICAL',
+        'severity.warning': 'WARNING',
+        'severity.info': 'INFO',
+        'severity.unknown': 'ALERT',
+        'severity.name.critical': 'Critical',
+        'severity.name.warning': 'Warning',
+        'severity.name.info': 'Info',
+
+        'status.healthy': '<b>Status:</b> All alerts acknowledged - system healthy',
+        'status.unacknowledged': {
+            one: '<b>Status:</b> {count} unacknowledged alert requiring attention',
+            other: '<b>Status:</b> {count} unacknowledged alerts requiring attention'
+        },
+        'status.snoozed': {
+            one: '{count} snoozed alert not counted',
+            other: '{count} snoozed alerts not counted'
+        },
+        'status.error': 'Error retrieving system status',
+
+        'common.unknown': 'Unknown',
+        'common.unknown_user': 'Unknown user',
+        'common.error': 'Error processing request',
+        'common.invalid_callback': 'Invalid callback data',
+        'common.cancel': 'Cancel',
+        'common.skip': 'Skip',
+        'common.back': '« Back',
+        'common.current_time': 'Current time: {time}',
+        'common.truncated': '<i>… message shortened</i>',
+
+        'report.usage': 'Usage: /report [24h|7d|30d|YYYY-MM-DD..YYYY-MM-DD]',
+        'report.error': 'Error generating report',
+        'report.title': '<b>Alert Report</b> ({period})',
+        'report.comparison': '<i>Changes compared with the previous period of the same length</i>',
+        'report.summary': '<b>Alert Summary:</b>',
+        'report.total': '• Total Alerts: {count}',
+        'report.deliveries': ' ({count} deliveries)',
+        'report.acknowledged': '• Acknowledged: {count}',
+        'report.resolved': '• Resolved: {count}',
+        'report.unacknowledged': '• Unacknowledged: {count}',
+        'report.by_severity': '<b>By Severity:</b>',
+        'report.severity': '• {severity}: {count}',
+        'report.response_times': '<b>Response Times</b> (mean / p90):',
+        'report.mtta': '• MTTA: {summary}',
+        'report.mttr': '• MTTR: {summary}',
+        'report.not_available': 'n/a',
+        'report.was': ' (was {duration})',
+        'report.noisiest_sources': '<b>Noisiest Sources:</b>',
+        'report.noisiest_alerts': '<b>Noisiest Alerts:</b>',
+        'report.top_contributors': '<b>Top Contributors:</b>',
+        'report.contributor': '{rank}. {name}: {acked} acked, {resolved} resolved',
+        'report.top_resolvers': '<b>Top Resolvers:</b>',
+        'report.resolver': '{rank}. {name}: {count} resolved',
+        'report.root_causes': '<b>Root Causes:</b>',
+
+        'period.last.h': { one: 'Last hour', other: 'Last {count} hours' },
+        'period.last.d': { one: 'Last day', other: 'Last {count} days' },
+        'period.last.w': { one: 'Last week', other: 'Last {count} weeks' },
+
+        'digest.title': '<b>Daily Digest</b> (Last 24 hours)',
+        'digest.activity': '<b>Activity:</b>',
+        'digest.created': '• New Alerts: {count}',
+        'digest.new_by_severity': '<b>New by Severity:</b>',
+        'digest.still_open': '<b>Still Open:</b>',
+        'digest.in_progress': '• Acknowledged, unresolved: {count}',
+        'digest.top_sources': '<b>Top Sources:</b>',
+
+        'schedule.usage': 'Usage:\n/schedule add <weekly|daily> <cron> [timezone] [chat=<id>] [topic=<id>]\n/schedule remove|pause|resume <id>\n/schedule list\nExample: /schedule add weekly 0 9 * * 1 {timezone}',
+        'schedule.error': 'Error managing report schedule',
+        'schedule.invalid_report': 'Report must be weekly or daily',
+        'schedule.unknown_option': 'Unknown option or timezone: {option}',
+        'schedule.never_runs': 'Cron expression {cron} never runs',
+        'schedule.created': 'Schedule #{id} created: {report} report at <code>{cron}</code> ({timezone})\nNext run: {next}',
+        'schedule.not_found': 'Schedule #{id} not found',
+        'schedule.deleted': 'Schedule #{id} deleted',
+        'schedule.resumed': 'Schedule #{id} resumed, next run {next}',
+        'schedule.paused': 'Schedule #{id} paused',
+        'schedule.list_empty': '<b>Report Schedules:</b> None configured. Add one with /schedule add',
+        'schedule.list_title': '<b>Report Schedules ({count}):</b>',
+        'schedule.list_paused': ' - paused',
+        'schedule.list_chat': '  Chat: {chat}',
+        'schedule.list_topic': '{chat} topic {topic}',
+        'schedule.list_next': '  Next: {time}',
+        'schedule.list_last': '  Last: {time}',
+
+        'settings.usage': 'Usage:\n/settings - Show your timezone, locale and language\n/settings tz|locale|lang <value|reset> - Set your own preference\n' +
+            '/settings chat tz|locale|lang <value|reset> - Set the default for this chat (admin)\nExample: /settings tz Europe/Berlin',
+        'settings.error': 'Error updating settings',
+        'settings.title': '<b>Settings</b>',
+        'settings.line': '{setting}: {value}',
+        'settings.source.user': '{value} (your preference)',
+        'settings.source.chat': '{value} (this chat)',
+        'settings.source.default': '{value} (default)',
+        'settings.user_updated': 'Your {setting} is now {value}',
+        'settings.chat_updated': 'Chat {setting} is now {value}',
+        'settings.user_reset': 'Your {setting} was reset',
+        'settings.chat_reset': 'Chat {setting} was reset',
+        'settings.invalid': 'Unknown {setting} "{value}", e.g. {example}',
+        'setting.timezone': 'timezone',
+        'setting.locale': 'locale',
+        'setting.language': 'language',
+
+        'lang.current': 'Language for this chat: {language}\nAvailable: {languages}\nChange it with /lang <code>',
+        'lang.updated': 'This chat now uses {language}',
+        'lang.reset': 'Language for this chat was reset to {language}',
+        'lang.invalid': 'Unknown language "{value}". Available: {languages}',
+        'lang.error': 'Error changing language',
+
+        'silence.usage': 'Usage: /silence <duration> <matchers> [-- comment]\nExample: /silence 2h source=db-01 severity=warning -- deploy',
+        'silence.created': 'Silence #{id} created for {duration}\nMatchers: {matchers}',
+        'silence.create_error': 'Error creating silence',
+        'silence.list_error': 'Error retrieving silences',
+        'silence.unsilence_usage': 'Usage: /unsilence <id>',
+        'silence.expired': 'Silence #{id} expired',
+        'silence.not_found': 'Silence #{id} not found or already expired',
+        'silence.expire_error': 'Error expiring silence',
+        'silence.answer': 'Silenced for 1h (silence #{id})',
+        'silence.from_alert': 'Silence #{id} created by {user} for 1h\nMatchers: {matchers}\nRemove with /unsilence {id}',
+        'silence.list_empty': '<b>Silences:</b> No active silences',
+        'silence.list_title': '<b>Active Silences ({count}):</b>',
+        'silence.until': '#{id} until {time}',
+        'silence.matchers': '  Matchers: {matchers}',
+        'silence.by': '  By: {user}',
+        'silence.comment': '  Comment: {comment}',
+
+        'oncall.error': 'Error retrieving on-call schedule',
+        'oncall.empty': '<b>On-call:</b> No rotations configured. Add one with /rotation add',
+        'oncall.title': '<b>On-call Schedule:</b>',
+        'oncall.now': 'Now: {user}{override} until {time}',
+        'oncall.next': 'Next: {user}{override} until {time}',
+        'oncall.override': ' (override)',
+
+        'rotation.usage': 'Usage:\n/rotation add <name> <YYYY-MM-DD> <HH:MM> <timezone> [7d] <users...>\n/rotation remove <name>\n/rotation list',
+        'rotation.not_found': 'Rotation {name} not found',
+        'rotation.deleted': 'Rotation {name} deleted',
+        'rotation.exists': 'Rotation {name} already exists',
+        'rotation.created': 'Rotation {name} created',
+        'rotation.error': 'Error managing rotation',
+        'rotation.list_empty': '<b>Rotations:</b> None configured',
+        'rotation.list_title': '<b>Rotations:</b>',
+        'rotation.summary': '<b>{name}</b> - every {days}d from {start} {time} {timezone}',
+        'rotation.users': 'Users: {users}',
+        'rotation.override': 'Override #{id}: {user} {from} - {to}',
+
+        'override.usage': 'Usage:\n/override <rotation> <user> <from|now> <to|duration>\n/override remove <id>\nTimes use YYYY-MM-DDTHH:MM in the rotation timezone, e.g. /override ops @bob now 2d',
+        'override.deleted': 'Override #{id} deleted',
+        'override.not_found': 'Override #{id} not found',
+        'override.invalid': 'Invalid override period',
+        'override.created': 'Override #{id} created',
+        'override.error': 'Error managing override',
+
+        'alert.usage': 'Usage: /alert <id>',
+        'alert.not_found': 'Alert #{id} not found',
+        'alert.not_found_db': 'Alert not found in database',
+        'alert.error': 'Error retrieving alert',
+        'alert.source': 'Source: {source}',
+        'alert.time': 'Time: {time}',
+        'alert.value': 'Value: {values}',
+        'alert.labels': 'Labels:',
+        'alert.annotations': 'Annotations:',
+        'alert.seen': 'Seen {count} times, last at {time}',
+        'alert.oncall': 'On-call: {users}',
+        'alert.assigned_to': 'Assigned to: {user}',
+        'alert.acknowledged_by': 'Acknowledged by <b>{user}</b> at {time}',
+        'alert.resolved_by': 'Resolved by <b>{user}</b> at {time}',
+        'alert.resolved_by_source': 'source ({source})',
+        'alert.root_cause': 'Root cause: {cause}',
+        'alert.note': 'Note: {note}',
+        'alert.snoozed_until': 'Snoozed until {time}',
+        'alert.snoozed_until_by': 'Snoozed until {time} by <b>{user}</b>',
+        'alert.escalations': 'Escalations:',
+        'alert.escalation_step': ' - Step {step}: {action}{target} at {time}',
+        'alert.url.silence': 'Silence: {url}',
+        'alert.url.dashboard': 'Dashboard: {url}',
+        'alert.url.panel': 'Panel: {url}',
+        'alert.url.source': 'Source: {url}',
+        'alert.url.runbook': 'Runbook: {url}',
+        'alert.more': '… and {count} more',
+        'alert.truncated': '<i>Shortened to fit Telegram, press Details for the full alert</i>',
+        'details.title': 'Full details of alert #{id}',
+
+        'button.acknowledge': 'Acknowledge',
+        'button.resolve': 'Resolve',
+        'button.unack': 'Unack',
+        'button.reopen': 'Reopen',
+        'button.assign': 'Assign to…',
+        'button.unassign': 'Unassign',
+        'button.snooze': 'Snooze',
+        'button.cancel_snooze': 'Cancel snooze',
+        'button.silence': 'Silence 1h',
+        'button.details': 'Details',
+        'button.url.silence': 'Silence',
+        'button.url.dashboard': 'Dashboard',
+        'button.url.panel': 'Panel',
+        'button.url.source': 'Source',
+        'button.url.runbook': 'Runbook',
+
+        'ack.usage': 'Usage: /ack <id>\n/ack all [matchers]',
+        'ack.done': 'Alert #{id} acknowledged',
+        'ack.already_acknowledged': 'Alert #{id} already acknowledged by {user}',
+        'ack.already_by': 'Already acknowledged by {user}',
+        'ack.success': 'Alert acknowledged successfully',
+        'ack.failed': 'Failed to acknowledge alert',
+        'ack.error': 'Error acknowledging alert',
+
+        'resolve.usage': 'Usage: /resolve <id> [cause=<category>] [note]\n/resolve all [matchers] [-- note]',
+        'resolve.done': 'Alert #{id} resolved',
+        'resolve.done_with_cause': 'Alert #{id} resolved (root cause: {cause})',
+        'resolve.already_resolved': 'Alert #{id} is already resolved',
+        'resolve.already_by': 'Already resolved by {user}',
+        'resolve.is_resolved': 'Alert is already resolved',
+        'resolve.note_required': 'A resolution note is required for {severity} alerts',
+        'resolve.unknown_cause': 'Unknown root cause "{cause}". Available: {categories}',
+        'resolve.ack_first': 'Alert must be acknowledged before resolving',
+        'resolve.success': 'Alert resolved successfully',
+        'resolve.failed': 'Failed to resolve alert',
+        'resolve.error': 'Error resolving alert',
+        'resolve.prompt': 'resolving alert #{id}: {title}',
+        'resolve.prompt_required': 'a resolution note is required for {severity} alerts.',
+        'resolve.reply_required': 'Reply to this message with a resolution note (required).',
+        'resolve.reply_optional': 'Reply to this message with a resolution note, or "skip" to resolve without one.',
+        'resolve.answer_required': 'A resolution note is required',
+        'resolve.answer_optional': 'Reply with a resolution note',
+        'resolve.prompt_expired': 'This resolve request has expired, press Resolve on alert #{id} again',
+        'resolve.root_cause_question': 'Root cause for alert #{id}?',
+        'resolve.root_cause_expired': 'This request has expired, press Resolve again',
+        'resolve.root_cause_owner': 'Only the user resolving this alert can pick the root cause',
+
+        'unack.resolved': 'Alert is resolved, reopen it first',
+        'unack.not_acknowledged': 'Alert is not acknowledged',
+        'unack.success': 'Acknowledgement removed',
+        'unack.failed': 'Failed to unacknowledge alert',
+
+        'reopen.not_resolved': 'Alert is not resolved',
+        'reopen.success': 'Alert reopened',
+        'reopen.failed': 'Failed to reopen alert',
+
+        'assign.no_responders': 'No responders registered, add them with /adduser',
+        'assign.pick': 'Pick a responder',
+        'assign.not_responder': 'User is no longer a responder',
+        'assign.failed': 'Failed to assign alert',
+        'assign.assigned': 'Assigned to {user}',
+        'assign.unassigned': 'Alert unassigned',
+        'assign.notify': '{mention} you were assigned alert #{id} by {user}',
+
+        'snooze.not_open': 'Only unacknowledged alerts can be snoozed',
+        'snooze.pick': 'Snooze for how long?',
+        'snooze.invalid': 'Invalid snooze duration',
+        'snooze.success': 'Snoozed for {duration}',
+        'snooze.failed': 'Failed to snooze alert',
+        'snooze.cancelled': 'Snooze cancelled',
+        'snooze.not_snoozed': 'Alert is not snoozed',
+
+        'renotify.snooze_expired': 'Snooze expired',
+        'escalation.header': '<b>Escalation {level}:</b> alert #{id} unacknowledged for {elapsed}',
+
+        'timeline.usage': 'Usage: /timeline <id>',
+        'timeline.error': 'Error retrieving alert timeline',
+        'timeline.title': '<b>Timeline for alert #{id}</b>',
+        'timeline.empty': 'No events recorded for this alert',
+        'timeline.truncated': '<i>{count} earlier events not shown</i>',
+        'timeline.by': ' by {actor}',
+        'event.created': 'created',
+        'event.notified': 'notified',
+        'event.delivery_failed': 'delivery failed',
+        'event.silenced': 'silenced',
+        'event.repeated': 'repeated',
+        'event.escalated': 'escalated',
+        'event.acknowledged': 'acknowledged',
+        'event.unacknowledged': 'unacknowledged',
+        'event.resolved': 'resolved',
+        'event.reopened': 'reopened',
+        'event.assigned': 'assigned',
+        'event.unassigned': 'unassigned',
+        'event.reminded': 'reminded',
+        'event.snoozed': 'snoozed',
+        'event.unsnoozed': 'unsnoozed',
+        'event.snooze_expired': 'snooze expired',
+        'event.comment': 'comment',
+        'event.details.created': '{severity} alert from {source}',
+        'event.details.chat': 'chat {chat}',
+        'event.details.chat_topic': 'chat {chat} topic {topic}',
+        'event.details.delivery_failed': 'chat {chat} after {attempts} attempts ({error})',
+        'event.details.silence': 'silence #{id}',
+        'event.details.repeated': 'seen {count} times',
+        'event.details.escalated': 'step {step} {action}{target}',
+        'event.details.escalation_failed': 'step {step} {action}{target} failed ({error})',
+        'event.details.root_cause': 'root cause {cause}',
+        'event.details.previously_acknowledged': 'was acknowledged by {user}',
+        'event.details.previously_resolved': 'was resolved by {user}',
+        'event.details.reminded': 'via {via}',
+        'event.details.snoozed': 'until {time}',
+
+        'comment.usage': 'Usage: /comment <id> <text>',
+        'comment.added': 'Comment added to alert #{id}, see /timeline {id}',
+        'comment.error': 'Error adding comment',
+
+        'bulk.usage': 'Usage: /{action} all [source=.. severity=.. title=.. labels.key=..]',
+        'bulk.scope_matching': 'matching {matchers}',
+        'bulk.scope.ack': 'currently open',
+        'bulk.scope.resolve': 'currently acknowledged',
+        'bulk.none.ack': 'No alerts {scope} to acknowledge',
+        'bulk.none.resolve': 'No alerts {scope} to resolve',
+        'bulk.note_required': 'A resolution note is required for {severity} alerts\nUsage: /resolve all [matchers] -- <note>',
+        'bulk.confirm.ack': { one: 'Acknowledge {count} alert {scope}?', other: 'Acknowledge {count} alerts {scope}?' },
+        'bulk.confirm.resolve': { one: 'Resolve {count} alert {scope}?', other: 'Resolve {count} alerts {scope}?' },
+        'bulk.alerts': 'Alerts: {ids}',
+        'bulk.button.ack': 'Acknowledge {count}',
+        'bulk.button.resolve': 'Resolve {count}',
+        'bulk.expired': 'This request has expired, run the command again',
+        'bulk.owner': 'Only the user who requested this action can confirm it',
+        'bulk.cancelled': 'Cancelled',
+        'bulk.cancelled_message': 'Bulk action cancelled',
+        'bulk.applying': 'Applying...',
+        'bulk.done.ack': { one: '{count} alert acknowledged by {user}', other: '{count} alerts acknowledged by {user}' },
+        'bulk.done.resolve': { one: '{count} alert resolved by {user}', other: '{count} alerts resolved by {user}' },
+        'bulk.skipped': ' ({count} skipped)',
+
+        'list.error': 'Error retrieving alerts',
+        'list.expired': 'This list has expired, run /list again',
+        'list.back': '« Back to list',
+        'list.title.open': '<b>Unacknowledged alerts</b>',
+        'list.title.acked': '<b>Acknowledged alerts</b>',
+        'list.view.open': 'Unacknowledged',
+        'list.view.acked': 'Acknowledged',
+        'list.empty': 'No alerts to show',
+        'list.page': { one: 'Page {page}/{pages} - {count} alert', other: 'Page {page}/{pages} - {count} alerts' },
+        'list.age': '{source} - {age} ago',
+        'list.acked_by': ' - acked by {user}',
+        'list.snoozed_until': ' - snoozed until {time}',
+        'list.button.ack': 'Ack #{id}',
+        'list.button.resolve': 'Resolve #{id}',
+        'list.button.details': 'Details #{id}',
+        'list.button.prev': '« Prev',
+        'list.button.next': 'Next »',
+
+        'search.usage': 'Usage: /search <text>\nSearches alert titles, messages and resolution notes',
+        'search.error': 'Error searching alerts',
+        'search.empty': 'No alerts matching "{query}"',
+        'search.title': '<b>Search results for "{query}"</b> ({count})',
+        'search.root_cause': '   Root cause: {cause}',
+        'search.note': '   Note: {note}',
+        'status.open': 'open',
+        'status.acked': 'acked',
+        'status.resolved': 'resolved',
+
+        'reminder.text': '<b>Reminder:</b> alert #{id} <b>{title}</b> ({severity}) was acknowledged by {user} {age} ago and is still unresolved',
+        'reminder.link': '<a href="{link}">Open alert</a>',
+        'stale.title': '<b>Stale alerts</b> - {count} acknowledged but unresolved',
+        'stale.acked_by': ' - acked by {user} {age} ago',
+        'stale.more': '<i>and {count} more, see /list</i>',
+
+        'users.error': 'Error retrieving users',
+        'users.empty': '<b>Users:</b> None configured - bot commands are public. Add an admin with /adduser',
+        'users.title': '<b>Users ({count}):</b>',
+        'user.add_usage': 'Usage: /adduser <@username|user_id> [{roles}]',
+        'user.exists': 'User {user} already exists. Use /setrole to change the role',
+        'user.first_admin': 'The first user must be an admin, otherwise nobody can manage users',
+        'user.added': 'User {user} added as {role}',
+        'user.add_error': 'Error adding user',
+        'user.remove_usage': 'Usage: /removeuser <@username|user_id>',
+        'user.not_found': 'User {user} not found',
+        'user.last_admin_remove': 'Cannot remove the last admin',
+        'user.removed': 'User {user} removed',
+        'user.remove_error': 'Error removing user',
+        'user.setrole_usage': 'Usage: /setrole <@username|user_id> <{roles}>',
+        'user.not_found_add': 'User {user} not found. Add it with /adduser',
+        'user.last_admin_demote': 'Cannot demote the last admin',
+        'user.role_changed': 'User {user} is now {role}',
+        'user.setrole_error': 'Error changing user role'
+    },
+
+    id: {
+        'start.text': `<b>Paniten Bot</b> - Sistem Manajemen Alert
+
+Selamat datang! Saya mengelola alert infrastruktur dengan fitur kolaborasi tim.
+
+<b>Perintah yang tersedia:</b>
+/status - Jumlah alert yang belum dikonfirmasi
+/list - Telusuri alert yang masih terbuka
+/report [periode] - Statistik alert, bawaan 7 hari
+/silences - Daftar silence yang aktif
+/oncall - Siapa yang on-call sekarang dan berikutnya
+/settings - Zona waktu, locale dan bahasa Anda
+/lang - Bahasa chat ini
+/help - Panduan lengkap
+
+<b>Cara kerja:</b>
+• Sistem eksternal mengirim alert lewat webhook
+• Saya memberi tahu grup ini dengan tombol interaktif
+• Anggota tim dapat mengonfirmasi dan menyelesaikan alert
+• Semua tindakan tercatat, siapa dan kapan
+
+<b>Siap memantau infrastruktur Anda!</b>`,
+        'help.text': `<b>Panduan Paniten Bot</b>
+
+<b>Perintah yang tersedia:</b>
+/start - Pesan sambutan dan gambaran sistem
+/status - Jumlah alert yang belum dikonfirmasi
+/list [severity] [source] - Telusuri alert terbuka dengan tombol aksi
+/alert &lt;id&gt; - Tampilkan alert beserta tombolnya
+/search &lt;teks&gt; - Cari judul, pesan dan catatan penyelesaian alert
+/timeline &lt;id&gt; - Semua kejadian yang tercatat untuk sebuah alert
+/comment &lt;id&gt; &lt;teks&gt; - Tambahkan komentar ke timeline alert
+/ack &lt;id&gt; - Konfirmasi alert
+/resolve &lt;id&gt; [cause=&lt;kategori&gt;] [catatan] - Selesaikan alert dengan catatan dan akar masalah
+/ack all [matcher] - Konfirmasi semua alert yang cocok (dengan konfirmasi)
+/resolve all [matcher] [-- catatan] - Selesaikan semua alert terkonfirmasi yang cocok
+/report [24h|7d|30d|YYYY-MM-DD..YYYY-MM-DD] - Statistik, waktu respons dan alert paling sering
+/schedule list - Laporan terjadwal
+/schedule add &lt;weekly|daily&gt; &lt;cron&gt; [zona waktu] - Kirim laporan otomatis ke chat ini
+/schedule remove|pause|resume &lt;id&gt; - Kelola laporan terjadwal
+/silence &lt;durasi&gt; &lt;matcher&gt; [-- komentar] - Bisukan alert yang cocok
+/silences - Daftar silence yang aktif
+/unsilence &lt;id&gt; - Akhiri silence lebih awal
+/oncall - Siapa yang on-call sekarang dan berikutnya
+/rotation add &lt;nama&gt; &lt;YYYY-MM-DD&gt; &lt;HH:MM&gt; &lt;zona waktu&gt; [7d] &lt;pengguna...&gt; - Buat rotasi
+/rotation remove &lt;nama&gt; - Hapus rotasi
+/rotation list - Tampilkan rotasi dan override
+/override &lt;rotasi&gt; &lt;pengguna&gt; &lt;dari|now&gt; &lt;sampai|durasi&gt; - Tukar jadwal on-call
+/override remove &lt;id&gt; - Hapus override
+/settings - Zona waktu, locale dan bahasa Anda
+/settings tz|locale|lang &lt;nilai|reset&gt; - Atur preferensi Anda sendiri
+/settings chat tz|locale|lang &lt;nilai|reset&gt; - Atur bawaan untuk chat ini
+/lang [en|id|reset] - Tampilkan atau ubah bahasa chat ini
+/users - Daftar pengguna dan perannya
+/adduser &lt;@username|id&gt; [peran] - Beri akses ke pengguna
+/removeuser &lt;@username|id&gt; - Cabut akses
+/setrole &lt;@username|id&gt; &lt;peran&gt; - Ubah peran pengguna
+/help - Panduan ini
+
+<b>Matcher Silence:</b>
+source=db-01 severity=critical title=&lt;regex&gt; labels.team=payments
+Contoh: /silence 2h source=db-01 -- maintenance terencana
+
+<b>Alur Alert:</b>
+1. Sistem monitoring eksternal mengirim webhook
+2. Bot membuat alert dan memberi tahu grup ini
+3. Anggota tim menekan tombol "Konfirmasi"
+4. Setelah dikonfirmasi, tekan "Selesaikan" saat masalah sudah beres
+5. Balas prompt dengan catatan penyelesaian dan pilih akar masalah (jika diaktifkan)
+6. Batal konfirmasi, Buka kembali dan Tugaskan ke… untuk memperbaiki kesalahan atau menyerahkan alert
+7. Tunda menunda alert selama 15m, 1h atau 4h
+8. Sistem mencatat semua tindakan beserta waktunya
+
+<b>Format Webhook yang Didukung:</b>
+• Alert Grafana
+• Prometheus Alertmanager
+• Notifikasi Zabbix
+• Webhook generik dengan field message
+• Format asli Paniten
+
+<b>Pengelolaan Grup:</b>
+• Tambahkan bot ke grup monitoring
+• Atur CHAT_ID di environment
+• Isi AUTHORIZED_USERS untuk pengguna pertama
+• Kelola pengguna dengan /adduser, /removeuser, /setrole dan /users
+• Bot memerlukan izin mengirim pesan
+
+<b>Peran:</b>
+• viewer - status, laporan, silence dan jadwal on-call
+• responder - konfirmasi, selesaikan, batalkan konfirmasi, buka kembali, tugaskan, tunda dan komentari alert, override on-call
+• admin - silence, rotasi, jadwal laporan, pengaturan chat dan pengelolaan pengguna
+
+<b>Konfigurasi Webhook:</b>
+POST /api/alert dengan autentikasi Bearer token
+Berbagai format didukung dengan deteksi otomatis
+
+Untuk bantuan teknis, lihat dokumentasi.`,
+
+        'auth.denied': 'Akses ditolak. Hubungi administrator untuk mendapatkan akses.',
+        'auth.role_required': 'Akses ditolak. {command} memerlukan peran {role}.',
+        'auth.callback_denied': 'Anda tidak berwenang mengelola alert',
+        'auth.callback_role_required': 'Anda memerlukan peran {role} untuk {action} alert',
+
+        'action.acknowledge': 'mengonfirmasi',
+        'action.resolve': 'menyelesaikan',
+        'action.unacknowledge': 'membatalkan konfirmasi',
+        'action.reopen': 'membuka kembali',
+        'action.assign': 'menugaskan',
+        'action.snooze': 'menunda',
+        'action.unsnooze': 'membatalkan penundaan',
+        'action.silence': 'membisukan',
+        'action.view': 'melihat',
+        'action.details': 'melihat',
+
+        'severity.critical': 'KRITIS',
+        'severity.warning': 'PERINGATAN',
+        'severity.info': 'INFO',
+        'severity.unknown': 'ALERT',
+        'severity.name.critical': 'Kritis',
+        'severity.name.warning': 'Peringatan',
+        'severity.name.info': 'Info',
+
+        'status.healthy': '<b>Status:</b> Semua alert sudah dikonfirmasi - sistem sehat',
+        'status.unacknowledged': '<b>Status:</b> {count} alert belum dikonfirmasi dan perlu perhatian',
+        'status.snoozed': '{count} alert yang ditunda tidak dihitung',
+        'status.error': 'Gagal mengambil status sistem',
+
+        'common.unknown': 'Tidak diketahui',
+        'common.unknown_user': 'Pengguna tidak dikenal',
+        'common.error': 'Gagal memproses permintaan',
+        'common.invalid_callback': 'Data callback tidak valid',
+        'common.cancel': 'Batal',
+        'common.skip': 'Lewati',
+        'common.back': '« Kembali',
+        'common.current_time': 'Waktu sekarang: {time}',
+        'common.truncated': '<i>… pesan dipersingkat</i>',
+
+        'report.usage': 'Penggunaan: /report [24h|7d|30d|YYYY-MM-DD..YYYY-MM-DD]',
+        'report.error': 'Gagal membuat laporan',
+        'report.title': '<b>Laporan Alert</b> ({period})',
+        'report.comparison': '<i>Perubahan dibandingkan dengan periode sebelumnya yang sama panjang</i>',
+        'report.summary': '<b>Ringkasan Alert:</b>',
+        'report.total': '• Total Alert: {count}',
+        'report.deliveries': ' ({count} pengiriman)',
+        'report.acknowledged': '• Dikonfirmasi: {count}',
+        'report.resolved': '• Diselesaikan: {count}',
+        'report.unacknowledged': '• Belum dikonfirmasi: {count}',
+        'report.by_severity': '<b>Menurut Severity:</b>',
+        'report.severity': '• {severity}: {count}',
+        'report.response_times': '<b>Waktu Respons</b> (rata-rata / p90):',
+        'report.mtta': '• MTTA: {summary}',
+        'report.mttr': '• MTTR: {summary}',
+        'report.not_available': 't/a',
+        'report.was': ' (sebelumnya {duration})',
+        'report.noisiest_sources': '<b>Sumber Paling Ramai:</b>',
+        'report.noisiest_alerts': '<b>Alert Paling Sering:</b>',
+        'report.top_contributors': '<b>Kontributor Teratas:</b>',
+        'report.contributor': '{rank}. {name}: {acked} dikonfirmasi, {resolved} diselesaikan',
+        'report.top_resolvers': '<b>Penyelesai Teratas:</b>',
+        'report.resolver': '{rank}. {name}: {count} diselesaikan',
+        'report.root_causes': '<b>Akar Masalah:</b>',
+
+        'period.last.h': '{count} jam terakhir',
+        'period.last.d': '{count} hari terakhir',
+        'period.last.w': '{count} minggu terakhir',
+
+        'digest.title': '<b>Ringkasan Harian</b> (24 jam terakhir)',
+        'digest.activity': '<b>Aktivitas:</b>',
+        'digest.created': '• Alert Baru: {count}',
+        'digest.new_by_severity': '<b>Alert Baru Menurut Severity:</b>',
+        'digest.still_open': '<b>Masih Terbuka:</b>',
+        'digest.in_progress': '• Dikonfirmasi, belum selesai: {count}',
+        'digest.top_sources': '<b>Sumber Teratas:</b>',
+
+        'schedule.usage': 'Penggunaan:\n/schedule add <weekly|daily> <cron> [zona waktu] [chat=<id>] [topic=<id>]\n/schedule remove|pause|resume <id>\n/schedule list\nContoh: /schedule add weekly 0 9 * * 1 {timezone}',
+        'schedule.error': 'Gagal mengelola jadwal laporan',
+        'schedule.invalid_report': 'Laporan harus weekly atau daily',
+        'schedule.unknown_option': 'Opsi atau zona waktu tidak dikenal: {option}',
+        'schedule.never_runs': 'Ekspresi cron {cron} tidak pernah berjalan',
+        'schedule.created': 'Jadwal #{id} dibuat: laporan {report} pada <code>{cron}</code> ({timezone})\nBerikutnya: {next}',
+        'schedule.not_found': 'Jadwal #{id} tidak ditemukan',
+        'schedule.deleted': 'Jadwal #{id} dihapus',
+        'schedule.resumed': 'Jadwal #{id} dilanjutkan, berikutnya {next}',
+        'schedule.paused': 'Jadwal #{id} dijeda',
+        'schedule.list_empty': '<b>Jadwal Laporan:</b> Belum ada. Tambahkan dengan /schedule add',
+        'schedule.list_title': '<b>Jadwal Laporan ({count}):</b>',
+        'schedule.list_paused': ' - dijeda',
+        'schedule.list_chat': '  Chat: {chat}',
+        'schedule.list_topic': '{chat} topik {topic}',
+        'schedule.list_next': '  Berikutnya: {time}',
+        'schedule.list_last': '  Terakhir: {time}',
+
+        'settings.usage': 'Penggunaan:\n/settings - Tampilkan zona waktu, locale dan bahasa Anda\n/settings tz|locale|lang <nilai|reset> - Atur preferensi Anda sendiri\n' +
+            '/settings chat tz|locale|lang <nilai|reset> - Atur bawaan untuk chat ini (admin)\nContoh: /settings tz Asia/Makassar',
+        'settings.error': 'Gagal memperbarui pengaturan',
+        'settings.title': '<b>Pengaturan</b>',
+        'settings.line': '{setting}: {value}',
+        'settings.source.user': '{value} (preferensi Anda)',
+        'settings.source.chat': '{value} (chat ini)',
+        'settings.source.default': '{value} (bawaan)',
+        'settings.user_updated': 'Pengaturan {setting} Anda sekarang {value}',
+        'settings.chat_updated': 'Pengaturan {setting} chat ini sekarang {value}',
+        'settings.user_reset': 'Pengaturan {setting} Anda dikembalikan ke bawaan',
+        'settings.chat_reset': 'Pengaturan {setting} chat ini dikembalikan ke bawaan',
+        'settings.invalid': 'Nilai {setting} "{value}" tidak dikenal, contoh: {example}',
+        'setting.timezone': 'zona waktu',
+        'setting.locale': 'locale',
+        'setting.language': 'bahasa',
+
+        'lang.current': 'Bahasa chat ini: {language}\nTersedia: {languages}\nUbah dengan /lang <kode>',
+        'lang.updated': 'Chat ini sekarang menggunakan {language}',
+        'lang.reset': 'Bahasa chat ini dikembalikan ke {language}',
+        'lang.invalid': 'Bahasa "{value}" tidak dikenal. Tersedia: {languages}',
+        'lang.error': 'Gagal mengubah bahasa',
+
+        'silence.usage': 'Penggunaan: /silence <durasi> <matcher> [-- komentar]\nContoh: /silence 2h source=db-01 severity=warning -- deploy',
+        'silence.created': 'Silence #{id} dibuat untuk {duration}\nMatcher: {matchers}',
+        'silence.create_error': 'Gagal membuat silence',
+        'silence.list_error': 'Gagal mengambil daftar silence',
+        'silence.unsilence_usage': 'Penggunaan: /unsilence <id>',
+        'silence.expired': 'Silence #{id} diakhiri',
+        'silence.not_found': 'Silence #{id} tidak ditemukan atau sudah berakhir',
+        'silence.expire_error': 'Gagal mengakhiri silence',
+        'silence.answer': 'Dibisukan selama 1h (silence #{id})',
+        'silence.from_alert': 'Silence #{id} dibuat oleh {user} selama 1h\nMatcher: {matchers}\nHapus dengan /unsilence {id}',
+        'silence.list_empty': '<b>Silence:</b> Tidak ada silence yang aktif',
+        'silence.list_title': '<b>Silence Aktif ({count}):</b>',
+        'silence.until': '#{id} sampai {time}',
+        'silence.matchers': '  Matcher: {matchers}',
+        'silence.by': '  Oleh: {user}',
+        'silence.comment': '  Komentar: {comment}',
+
+        'oncall.error': 'Gagal mengambil jadwal on-call',
+        'oncall.empty': '<b>On-call:</b> Belum ada rotasi. Tambahkan dengan /rotation add',
+        'oncall.title': '<b>Jadwal On-call:</b>',
+        'oncall.now': 'Sekarang: {user}{override} sampai {time}',
+        'oncall.next': 'Berikutnya: {user}{override} sampai {time}',
+        'oncall.override': ' (override)',
+
+        'rotation.usage': 'Penggunaan:\n/rotation add <nama> <YYYY-MM-DD> <HH:MM> <zona waktu> [7d] <pengguna...>\n/rotation remove <nama>\n/rotation list',
+        'rotation.not_found': 'Rotasi {name} tidak ditemukan',
+        'rotation.deleted': 'Rotasi {name} dihapus',
+        'rotation.exists': 'Rotasi {name} sudah ada',
+        'rotation.created': 'Rotasi {name} dibuat',
+        'rotation.error': 'Gagal mengelola rotasi',
+        'rotation.list_empty': '<b>Rotasi:</b> Belum ada',
+        'rotation.list_title': '<b>Rotasi:</b>',
+        'rotation.summary': '<b>{name}</b> - setiap {days} hari mulai {start} {time} {timezone}',
+        'rotation.users': 'Pengguna: {users}',
+        'rotation.override': 'Override #{id}: {user} {from} - {to}',
+
+        'override.usage': 'Penggunaan:\n/override <rotasi> <pengguna> <dari|now> <sampai|durasi>\n/override remove <id>\nWaktu memakai format YYYY-MM-DDTHH:MM dalam zona waktu rotasi, contoh /override ops @bob now 2d',
+        'override.deleted': 'Override #{id} dihapus',
+        'override.not_found': 'Override #{id} tidak ditemukan',
+        'override.invalid': 'Periode override tidak valid',
+        'override.created': 'Override #{id} dibuat',
+        'override.error': 'Gagal mengelola override',
+
+        'alert.usage': 'Penggunaan: /alert <id>',
+        'alert.not_found': 'Alert #{id} tidak ditemukan',
+        'alert.not_found_db': 'Alert tidak ditemukan di database',
+        'alert.error': 'Gagal mengambil alert',
+        'alert.source': 'Sumber: {source}',
+        'alert.time': 'Waktu: {time}',
+        'alert.value': 'Nilai: {values}',
+        'alert.labels': 'Label:',
+        'alert.annotations': 'Anotasi:',
+        'alert.seen': 'Terlihat {count} kali, terakhir {time}',
+        'alert.oncall': 'On-call: {users}',
+        'alert.assigned_to': 'Ditugaskan ke: {user}',
+        'alert.acknowledged_by': 'Dikonfirmasi oleh <b>{user}</b> pada {time}',
+        'alert.resolved_by': 'Diselesaikan oleh <b>{user}</b> pada {time}',
+        'alert.resolved_by_source': 'sumber ({source})',
+        'alert.root_cause': 'Akar masalah: {cause}',
+        'alert.note': 'Catatan: {note}',
+        'alert.snoozed_until': 'Ditunda sampai {time}',
+        'alert.snoozed_until_by': 'Ditunda sampai {time} oleh <b>{user}</b>',
+        'alert.escalations': 'Eskalasi:',
+        'alert.escalation_step': ' - Langkah {step}: {action}{target} pada {time}',
+        'alert.url.silence': 'Silence: {url}',
+        'alert.url.dashboard': 'Dashboard: {url}',
+        'alert.url.panel': 'Panel: {url}',
+        'alert.url.source': 'Sumber: {url}',
+        'alert.url.runbook': 'Runbook: {url}',
+        'alert.more': '… dan {count} lainnya',
+        'alert.truncated': '<i>Dipersingkat agar muat di Telegram, tekan Detail untuk alert lengkap</i>',
+        'details.title': 'Detail lengkap alert #{id}',
+
+        'button.acknowledge': 'Konfirmasi',
+        'button.resolve': 'Selesaikan',
+        'button.unack': 'Batal konfirmasi',
+        'button.reopen': 'Buka kembali',
+        'button.assign': 'Tugaskan ke…',
+        'button.unassign': 'Hapus penugasan',
+        'button.snooze': 'Tunda',
+        'button.cancel_snooze': 'Batalkan penundaan',
+        'button.silence': 'Bisukan 1h',
+        'button.details': 'Detail',
+        'button.url.silence': 'Silence',
+        'button.url.dashboard': 'Dasbor',
+        'button.url.panel': 'Panel',
+        'button.url.source': 'Sumber',
+        'button.url.runbook': 'Runbook',
+
+        'ack.usage': 'Penggunaan: /ack <id>\n/ack all [matcher]',
+        'ack.done': 'Alert #{id} dikonfirmasi',
+        'ack.already_acknowledged': 'Alert #{id} sudah dikonfirmasi oleh {user}',
+        'ack.already_by': 'Sudah dikonfirmasi oleh {user}',
+        'ack.success': 'Alert berhasil dikonfirmasi',
+        'ack.failed': 'Gagal mengonfirmasi alert',
+        'ack.error': 'Gagal mengonfirmasi alert',
+
+        'resolve.usage': 'Penggunaan: /resolve <id> [cause=<kategori>] [catatan]\n/resolve all [matcher] [-- catatan]',
+        'resolve.done': 'Alert #{id} diselesaikan',
+        'resolve.done_with_cause': 'Alert #{id} diselesaikan (akar masalah: {cause})',
+        'resolve.already_resolved': 'Alert #{id} sudah diselesaikan',
+        'resolve.already_by': 'Sudah diselesaikan oleh {user}',
+        'resolve.is_resolved': 'Alert sudah diselesaikan',
+        'resolve.note_required': 'Catatan penyelesaian wajib untuk alert {severity}',
+        'resolve.unknown_cause': 'Akar masalah "{cause}" tidak dikenal. Tersedia: {categories}',
+        'resolve.ack_first': 'Alert harus dikonfirmasi sebelum diselesaikan',
+        'resolve.success': 'Alert berhasil diselesaikan',
+        'resolve.failed': 'Gagal menyelesaikan alert',
+        'resolve.error': 'Gagal menyelesaikan alert',
+        'resolve.prompt': 'menyelesaikan alert #{id}: {title}',
+        'resolve.prompt_required': 'catatan penyelesaian wajib untuk alert {severity}.',
+        'resolve.reply_required': 'Balas pesan ini dengan catatan penyelesaian (wajib).',
+        'resolve.reply_optional': 'Balas pesan ini dengan catatan penyelesaian, atau "skip" untuk menyelesaikan tanpa catatan.',
+        'resolve.answer_required': 'Catatan penyelesaian wajib diisi',
+        'resolve.answer_optional': 'Balas dengan catatan penyelesaian',
+        'resolve.prompt_expired': 'Permintaan ini sudah kedaluwarsa, tekan Selesaikan pada alert #{id} lagi',
+        'resolve.root_cause_question': 'Apa akar masalah alert #{id}?',
+        'resolve.root_cause_expired': 'Permintaan ini sudah kedaluwarsa, tekan Selesaikan lagi',
+        'resolve.root_cause_owner': 'Hanya pengguna yang menyelesaikan alert ini yang dapat memilih akar masalah',
+
+        'unack.resolved': 'Alert sudah diselesaikan, buka kembali terlebih dahulu',
+        'unack.not_acknowledged': 'Alert belum dikonfirmasi',
+        'unack.success': 'Konfirmasi dibatalkan',
+        'unack.failed': 'Gagal membatalkan konfirmasi alert',
+
+        'reopen.not_resolved': 'Alert belum diselesaikan',
+        'reopen.success': 'Alert dibuka kembali',
+        'reopen.failed': 'Gagal membuka kembali alert',
+
+        'assign.no_responders': 'Belum ada responder, tambahkan dengan /adduser',
+        'assign.pick': 'Pilih responder',
+        'assign.not_responder': 'Pengguna ini bukan responder lagi',
+        'assign.failed': 'Gagal menugaskan alert',
+        'assign.assigned': 'Ditugaskan ke {user}',
+        'assign.unassigned': 'Penugasan alert dihapus',
+        'assign.notify': '{mention} Anda ditugaskan ke alert #{id} oleh {user}',
+
+        'snooze.not_open': 'Hanya alert yang belum dikonfirmasi yang dapat ditunda',
+        'snooze.pick': 'Tunda berapa lama?',
+        'snooze.invalid': 'Durasi penundaan tidak valid',
+        'snooze.success': 'Ditunda selama {duration}',
+        'snooze.failed': 'Gagal menunda alert',
+        'snooze.cancelled': 'Penundaan dibatalkan',
+        'snooze.not_snoozed': 'Alert tidak sedang ditunda',
+
+        'renotify.snooze_expired': 'Penundaan berakhir',
+        'escalation.header': '<b>Eskalasi {level}:</b> alert #{id} belum dikonfirmasi selama {elapsed}',
+
+        'timeline.usage': 'Penggunaan: /timeline <id>',
+        'timeline.error': 'Gagal mengambil timeline alert',
+        'timeline.title': '<b>Timeline alert #{id}</b>',
+        'timeline.empty': 'Belum ada kejadian yang tercatat untuk alert ini',
+        'timeline.truncated': '<i>{count} kejadian sebelumnya tidak ditampilkan</i>',
+        'timeline.by': ' oleh {actor}',
+        'event.created': 'dibuat',
+        'event.notified': 'dikirim',
+        'event.delivery_failed': 'gagal terkirim',
+        'event.silenced': 'dibisukan',
+        'event.repeated': 'berulang',
+        'event.escalated': 'dieskalasi',
+        'event.acknowledged': 'dikonfirmasi',
+        'event.unacknowledged': 'konfirmasi dibatalkan',
+        'event.resolved': 'diselesaikan',
+        'event.reopened': 'dibuka kembali',
+        'event.assigned': 'ditugaskan',
+        'event.unassigned': 'penugasan dihapus',
+        'event.reminded': 'diingatkan',
+        'event.snoozed': 'ditunda',
+        'event.unsnoozed': 'penundaan dibatalkan',
+        'event.snooze_expired': 'penundaan berakhir',
+        'event.comment': 'komentar',
+        'event.details.created': 'alert {severity} dari {source}',
+        'event.details.chat': 'chat {chat}',
+        'event.details.chat_topic': 'chat {chat} topik {topic}',
+        'event.details.delivery_failed': 'chat {chat} setelah {attempts} percobaan ({error})',
+        'event.details.silence': 'silence #{id}',
+        'event.details.repeated': 'terlihat {count} kali',
+        'event.details.escalated': 'langkah {step} {action}{target}',
+        'event.details.escalation_failed': 'langkah {step} {action}{target} gagal ({error})',
+        'event.details.root_cause': 'akar masalah {cause}',
+        'event.details.previously_acknowledged': 'sebelumnya dikonfirmasi oleh {user}',
+        'event.details.previously_resolved': 'sebelumnya diselesaikan oleh {user}',
+        'event.details.reminded': 'lewat {via}',
+        'event.details.snoozed': 'sampai {time}',
+
+        'comment.usage': 'Penggunaan: /comment <id> <teks>',
+        'comment.added': 'Komentar ditambahkan ke alert #{id}, lihat /timeline {id}',
+        'comment.error': 'Gagal menambahkan komentar',
+
+        'bulk.usage': 'Penggunaan: /{action} all [source=.. severity=.. title=.. labels.key=..]',
+        'bulk.scope_matching': 'yang cocok dengan {matchers}',
+        'bulk.scope.ack': 'yang sedang terbuka',
+        'bulk.scope.resolve': 'yang sedang dikonfirmasi',
+        'bulk.none.ack': 'Tidak ada alert {scope} untuk dikonfirmasi',
+        'bulk.none.resolve': 'Tidak ada alert {scope} untuk diselesaikan',
+        'bulk.note_required': 'Catatan penyelesaian wajib untuk alert {severity}\nPenggunaan: /resolve all [matcher] -- <catatan>',
+        'bulk.confirm.ack': 'Konfirmasi {count} alert {scope}?',
+        'bulk.confirm.resolve': 'Selesaikan {count} alert {scope}?',
+        'bulk.alerts': 'Alert: {ids}',
+        'bulk.button.ack': 'Konfirmasi {count}',
+        'bulk.button.resolve': 'Selesaikan {count}',
+        'bulk.expired': 'Permintaan ini sudah kedaluwarsa, jalankan perintahnya lagi',
+        'bulk.owner': 'Hanya pengguna yang meminta tindakan ini yang dapat mengonfirmasinya',
+        'bulk.cancelled': 'Dibatalkan',
+        'bulk.cancelled_message': 'Tindakan massal dibatalkan',
+        'bulk.applying': 'Memproses...',
+        'bulk.done.ack': '{count} alert dikonfirmasi oleh {user}',
+        'bulk.done.resolve': '{count} alert diselesaikan oleh {user}',
+        'bulk.skipped': ' ({count} dilewati)',
+
+        'list.error': 'Gagal mengambil daftar alert',
+        'list.expired': 'Daftar ini sudah kedaluwarsa, jalankan /list lagi',
+        'list.back': '« Kembali ke daftar',
+        'list.title.open': '<b>Alert belum dikonfirmasi</b>',
+        'list.title.acked': '<b>Alert sudah dikonfirmasi</b>',
+        'list.view.open': 'Belum dikonfirmasi',
+        'list.view.acked': 'Dikonfirmasi',
+        'list.empty': 'Tidak ada alert untuk ditampilkan',
+        'list.page': 'Halaman {page}/{pages} - {count} alert',
+        'list.age': '{source} - {age} yang lalu',
+        'list.acked_by': ' - dikonfirmasi oleh {user}',
+        'list.snoozed_until': ' - ditunda sampai {time}',
+        'list.button.ack': 'Konfirmasi #{id}',
+        'list.button.resolve': 'Selesaikan #{id}',
+        'list.button.details': 'Detail #{id}',
+        'list.button.prev': '« Sebelumnya',
+        'list.button.next': 'Berikutnya »',
+
+        'search.usage': 'Penggunaan: /search <teks>\nMencari judul, pesan dan catatan penyelesaian alert',
+        'search.error': 'Gagal mencari alert',
+        'search.empty': 'Tidak ada alert yang cocok dengan "{query}"',
+        'search.title': '<b>Hasil pencarian "{query}"</b> ({count})',
+        'search.root_cause': '   Akar masalah: {cause}',
+        'search.note': '   Catatan: {note}',
+        'status.open': 'terbuka',
+        'status.acked': 'dikonfirmasi',
+        'status.resolved': 'selesai',
+
+        'reminder.text': '<b>Pengingat:</b> alert #{id} <b>{title}</b> ({severity}) dikonfirmasi oleh {user} {age} yang lalu dan belum diselesaikan',
+        'reminder.link': '<a href="{link}">Buka alert</a>',
+        'stale.title': '<b>Alert terbengkalai</b> - {count} dikonfirmasi tetapi belum diselesaikan',
+        'stale.acked_by': ' - dikonfirmasi oleh {user} {age} yang lalu',
+        'stale.more': '<i>dan {count} lainnya, lihat /list</i>',
+
+        'users.error': 'Gagal mengambil daftar pengguna',
+        'users.empty': '<b>Pengguna:</b> Belum ada - perintah bot terbuka untuk umum. Tambahkan admin dengan /adduser',
+        'users.title': '<b>Pengguna ({count}):</b>',
+        'user.add_usage': 'Penggunaan: /adduser <@username|user_id> [{roles}]',
+        'user.exists': 'Pengguna {user} sudah ada. Gunakan /setrole untuk mengubah perannya',
+        'user.first_admin': 'Pengguna pertama harus admin, jika tidak, tidak ada yang bisa mengelola pengguna',
+        'user.added': 'Pengguna {user} ditambahkan sebagai {role}',
+        'user.add_error': 'Gagal menambahkan pengguna',
+        'user.remove_usage': 'Penggunaan: /removeuser <@username|user_id>',
+        'user.not_found': 'Pengguna {user} tidak ditemukan',
+        'user.last_admin_remove': 'Admin terakhir tidak dapat dihapus',
+        'user.removed': 'Pengguna {user} dihapus',
+        'user.remove_error': 'Gagal menghapus pengguna',
+        'user.setrole_usage': 'Penggunaan: /setrole <@username|user_id> <{roles}>',
+        'user.not_found_add': 'Pengguna {user} tidak ditemukan. Tambahkan dengan /adduser',
+        'user.last_admin_demote': 'Peran admin terakhir tidak dapat diturunkan',
+        'user.role_changed': 'Pengguna {user} sekarang {role}',
+        'user.setrole_error': 'Gagal mengubah peran pengguna'
+    }
+};
+
+function isValidLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(MESSAGES, language);
+}
+
+function getLanguageName(language) {
+    return LANGUAGES[language] || language;
+}
+
+function lookup(catalog, key, count) {
+    const entry = catalog ? catalog[key] : undefined;
+
+    if (entry && typeof entry === 'object') {
+        return count === 1 ? entry.one : entry.other;
+    }
+
+    return entry;
+}
+
+function translate(language, key, params = {}) {
+    const template = lookup(MESSAGES[language], key, params.count) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key, params.count);
+
+    if (template === undefined) {
+        return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    MESSAGES,
+    isValidLanguage,
+    getLanguageName,
+    translate
+};
@@ -0,0 +1,144 @@
+const VALID_SEVERITIES = ['critical', 'warning', 'info'];
+
+function matchesAlert(alert, matchers) {
+    if (!matchers) return false;
+
+    if (matchers.source && !equalsIgnoreCase(alert.source, matchers.source)) {
+        return false;
+    }
+
+    if (matchers.provider && !equalsIgnoreCase(alert.provider, matchers.provider)) {
+        return false;
+    }
+
+    if (matchers.severity) {
+        const severities = Array.isArray(matchers.severity) ? matchers.severity : [matchers.severity];
+        if (!severities.some(severity => equalsIgnoreCase(alert.severity, severity))) {
+            return false;
+        }
+    }
+
+    if (matchers.title) {
+        try {
+            if (!new RegExp(matchers.title, 'i').test(alert.title || '')) {
+                return false;
+            }
+        } catch (error) {
+            console.warn(`Invalid title matcher "${matchers.title}": ${error.message}`);
+            return false;
+        }
+    }
+
+    if (matchers.labels) {
+        const labels = alert.metadata?.labels || {};
+        const matchesLabels = Object.entries(matchers.labels).every(([key, value]) =>
+            labels[key] !== undefined && String(labels[key]) === String(value)
+        );
+        if (!matchesLabels) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+function equalsIgnoreCase(a, b) {
+    return String(a || '').toLowerCase() === String(b || '').toLowerCase();
+}
+
+function parseMatcherArgs(args) {
+    const matchers = {};
+    const tokens = Array.isArray(args) ? args : String(args || '').trim().split(/\s+/).filter(Boolean);
+
+    for (const token of tokens) {
+        const separator = token.indexOf('=');
+        if (separator <= 0) {
+            return { matchers: null, error: `Invalid matcher "${token}", expected key=value` };
+        }
+
+        const key = token.substring(0, separator).toLowerCase();
+        const value = token.substring(separator + 1);
+
+        if (!value) {
+            return { matchers: null, error: `Missing value for matcher "${key}"` };
+        }
+
+        if (key === 'source' || key === 'title' || key === 'provider') {
+            matchers[key] = value;
+        } else if (key === 'severity') {
+            matchers.severity = value.toLowerCase();
+        } else {
+            const labelKey = token.substring(0, separator).replace(/^labels?\./, '');
+            matchers.labels = matchers.labels || {};
+            matchers.labels[labelKey] = value;
+        }
+    }
+
+    return { matchers, error: null };
+}
+
+function validateMatchers(matchers) {
+    if (!matchers || typeof matchers !== 'object') {
+        return 'Matchers must be an object';
+    }
+
+    const hasMatcher = matchers.source || matchers.provider || matchers.severity || matchers.title ||
+        (matchers.labels && Object.keys(matchers.labels).length > 0);
+
+    if (!hasMatcher) {
+        return 'At least one matcher is required (source, provider, severity, title or labels)';
+    }
+
+    if (matchers.severity) {
+        const severities = Array.isArray(matchers.severity) ? matchers.severity : [matchers.severity];
+        const invalid = severities.find(severity => !VALID_SEVERITIES.includes(String(severity).toLowerCase()));
+        if (invalid) {
+            return `Invalid severity "${invalid}". Must be one of: ${VALID_SEVERITIES.join(', ')}`;
+        }
+    }
+
+    if (matchers.title) {
+        try {
+            new RegExp(matchers.title, 'i');
+        } catch (error) {
+            return `Invalid title regex: ${error.message}`;
+        }
+    }
+
+    if (matchers.labels && typeof matchers.labels !== 'object') {
+        return 'Label matchers must be an object';
+    }
+
+    return null;
+}
+
+function describeMatchers(matchers) {
+    if (!matchers) return 'none';
+
+    const parts = [];
+
+    if (matchers.source) parts.push(`source=${matchers.source}`);
+    if (matchers.provider) parts.push(`provider=${matchers.provider}`);
+    if (matchers.severity) {
+        const severities = Array.isArray(matchers.severity) ? matchers.severity.join('|') : matchers.severity;
+        parts.push(`severity=${severities}`);
+    }
+    if (matchers.title) parts.push(`title=${matchers.title}`);
+    if (matchers.labels) {
+        Object.entries(matchers.labels).forEach(([key, value]) => parts.push(`labels.${key}=${value}`));
+    }
+
+    return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    matchesAlert,
+    parseMatcherArgs,
+    validateMatchers,
+    describeMatchers,
+    escapeRegex
+};
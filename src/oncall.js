@@ -0,0 +1,106 @@
+const { getWallClockTime, zonedWallTimeToUtc, isValidTimeZone } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRotationShift(rotation, at) {
+    const [year, month, day] = rotation.start_date.split('-').map(Number);
+    const [hour, minute] = rotation.handoff_time.split(':').map(Number);
+    const anchorWall = Date.UTC(year, month - 1, day, hour, minute);
+    const shiftMs = (rotation.shift_days || 7) * DAY_MS;
+
+    const nowWall = getWallClockTime(at, rotation.timezone);
+    const index = Math.floor((nowWall - anchorWall) / shiftMs);
+    const userIndex = ((index % rotation.users.length) + rotation.users.length) % rotation.users.length;
+
+    return {
+        user: rotation.users[userIndex],
+        startsAt: zonedWallTimeToUtc(anchorWall + index * shiftMs, rotation.timezone),
+        endsAt: zonedWallTimeToUtc(anchorWall + (index + 1) * shiftMs, rotation.timezone)
+    };
+}
+
+function getOnCallAt(rotation, overrides, at) {
+    const shift = getRotationShift(rotation, at);
+    const atSeconds = Math.floor(at / 1000);
+
+    const activeOverride = overrides
+        .filter(override => override.starts_at <= atSeconds && override.ends_at > atSeconds)
+        .sort((a, b) => b.id - a.id)[0];
+
+    const nextOverrideStart = overrides
+        .filter(override => override.starts_at > atSeconds)
+        .map(override => override.starts_at * 1000)
+        .sort((a, b) => a - b)[0];
+
+    const boundaries = [shift.endsAt];
+    if (activeOverride) boundaries.push(activeOverride.ends_at * 1000);
+    if (nextOverrideStart) boundaries.push(nextOverrideStart);
+
+    return {
+        user: activeOverride ? activeOverride.user : shift.user,
+        override: !!activeOverride,
+        until: Math.min(...boundaries)
+    };
+}
+
+async function getOnCallSummary(db, at = Date.now()) {
+    const rotations = await db.getRotations();
+    const summary = [];
+
+    for (const rotation of rotations) {
+        if (!rotation.users.length) continue;
+
+        const overrides = await db.getOverrides(rotation.id);
+        const current = getOnCallAt(rotation, overrides, at);
+        const next = getOnCallAt(rotation, overrides, current.until);
+
+        summary.push({ rotation, current, next, overrides });
+    }
+
+    return summary;
+}
+
+async function getCurrentOnCallUsers(db) {
+    const summary = await getOnCallSummary(db);
+    return [...new Set(summary.map(entry => entry.current.user))];
+}
+
+function validateRotation(rotation) {
+    if (!rotation.name || !/^[A-Za-z0-9-]+$/.test(rotation.name)) {
+        return 'Rotation name is required (letters, digits or "-")';
+    }
+
+    if (rotation.users !== undefined && !Array.isArray(rotation.users)) {
+        return 'users must be a list of @usernames or Telegram user IDs';
+    }
+
+    if (!rotation.users || rotation.users.length === 0) {
+        return 'At least one user is required';
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rotation.start_date || '') || isNaN(Date.parse(rotation.start_date))) {
+        return 'start_date must be in YYYY-MM-DD format';
+    }
+
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(rotation.handoff_time || '')) {
+        return 'handoff_time must be in HH:MM format';
+    }
+
+    if (!rotation.timezone || !isValidTimeZone(rotation.timezone)) {
+        return `Unknown timezone: ${rotation.timezone}`;
+    }
+
+    if (rotation.shift_days !== undefined && (!Number.isInteger(rotation.shift_days) || rotation.shift_days < 1)) {
+        return 'shift_days must be a positive integer';
+    }
+
+    return null;
+}
+
+module.exports = {
+    getRotationShift,
+    getOnCallAt,
+    getOnCallSummary,
+    getCurrentOnCallUsers,
+    validateRotation
+};
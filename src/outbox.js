@@ -0,0 +1,172 @@
+const config = require('./env');
+
+const DELIVERY_LEASE_SECONDS = 300;
+
+class OutboxWorker {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.pollInterval = config.OUTBOX_POLL_INTERVAL;
+        this.maxAttempts = config.OUTBOX_MAX_ATTEMPTS;
+        this.baseDelay = config.OUTBOX_RETRY_BASE_DELAY;
+        this.maxDelay = config.OUTBOX_RETRY_MAX_DELAY;
+        this.inlineTimeout = config.OUTBOX_INLINE_TIMEOUT;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        
+        console.log(`Outbox worker started (poll every ${this.pollInterval}ms, max ${this.maxAttempts} attempts)`);
+        this.timer = setInterval(() => this.tick(), this.pollInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Outbox worker stopped');
+        }
+    }
+
+    async enqueue(alert, chatId, threadId = null) {
+        const deliveryId = await this.db.enqueueDelivery(alert.id, chatId, threadId);
+        const destination = threadId ? `chat ${chatId} topic ${threadId}` : `chat ${chatId}`;
+        console.log(`Alert ${alert.id} queued for delivery to ${destination} (delivery ${deliveryId})`);
+        
+        if (!this.bot) {
+            return 'queued';
+        }
+        
+        const delivery = await this.db.getDeliveryById(deliveryId);
+        const attempt = this.deliver(delivery).catch(error => {
+            console.error(`Delivery ${deliveryId} attempt error:`, error.message);
+            return 'queued';
+        });
+        
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve('queued'), this.inlineTimeout);
+        });
+        
+        const status = await Promise.race([attempt, timeout]);
+        clearTimeout(timer);
+        return status;
+    }
+
+    async tick() {
+        if (this.processing || !this.bot) return;
+        this.processing = true;
+        
+        try {
+            const deliveries = await this.db.getDueDeliveries();
+            for (const delivery of deliveries) {
+                await this.deliver(delivery);
+            }
+        } catch (error) {
+            console.error('Outbox worker error:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async deliver(delivery) {
+        if (!await this.db.claimDelivery(delivery, DELIVERY_LEASE_SECONDS)) {
+            return 'queued';
+        }
+        
+        let sentMessage;
+        
+        try {
+            const alert = await this.db.getAlertById(delivery.alert_id);
+            if (!alert) {
+                await this.db.markDeliveryFailed(delivery.id, 'Alert not found');
+                console.error(`Delivery ${delivery.id} failed: alert ${delivery.alert_id} not found`);
+                return 'failed';
+            }
+            
+            const posted = (await this.db.getAlertMessages(alert.id)).find(copy =>
+                String(copy.chat_id) === String(delivery.chat_id) &&
+                (copy.message_thread_id || null) === (delivery.message_thread_id || null)
+            );
+            if (posted) {
+                await this.db.markDeliverySent(delivery.id, posted.telegram_message_id);
+                console.log(`Delivery ${delivery.id} was already posted as message ${posted.telegram_message_id}`);
+                return 'sent';
+            }
+            
+            sentMessage = await this.bot.sendAlert(alert, delivery.chat_id, delivery.message_thread_id);
+        } catch (error) {
+            return this.handleFailure(delivery, error);
+        }
+        
+        if (!sentMessage) {
+            await this.db.markDeliverySilenced(delivery.id);
+            return 'silenced';
+        }
+        
+        try {
+            await this.db.markDeliverySent(delivery.id, sentMessage.message_id);
+        } catch (error) {
+            console.error(`Delivery ${delivery.id} sent as message ${sentMessage.message_id} but not marked sent:`, error.message);
+        }
+        
+        return 'sent';
+    }
+
+    async handleFailure(delivery, error) {
+        const attempts = delivery.attempts + 1;
+        const errorMessage = error.message || String(error);
+        
+        if (!this.isRetryable(error) || attempts >= this.maxAttempts) {
+            await this.db.markDeliveryFailed(delivery.id, errorMessage);
+            console.error(`Delivery ${delivery.id} for alert ${delivery.alert_id} moved to dead-letter after ${attempts} attempt${attempts > 1 ? 's' : ''}: ${errorMessage}`);
+            await this.db.recordAlertEvent(delivery.alert_id, 'delivery_failed', {
+                payload: { chat_id: delivery.chat_id, thread_id: delivery.message_thread_id, attempts, error: errorMessage }
+            }).catch(eventError => {
+                console.error(`Failed to record delivery_failed event for alert ${delivery.alert_id}:`, eventError.message);
+            });
+            return 'failed';
+        }
+        
+        const delaySeconds = this.getRetryDelay(error, attempts);
+        await this.db.markDeliveryRetry(delivery.id, errorMessage, delaySeconds);
+        console.warn(`Delivery ${delivery.id} for alert ${delivery.alert_id} failed (attempt ${attempts}/${this.maxAttempts}), retrying in ${delaySeconds}s`);
+        return 'queued';
+    }
+
+    isRetryable(error) {
+        const statusCode = error.response?.body?.error_code || error.response?.statusCode;
+        
+        if (!statusCode) {
+            return true;
+        }
+        
+        return statusCode === 429 || statusCode >= 500;
+    }
+
+    getRetryDelay(error, attempts) {
+        const retryAfter = error.response?.body?.parameters?.retry_after;
+        if (retryAfter) {
+            return Math.ceil(retryAfter);
+        }
+        
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempts - 1), this.maxDelay);
+        return Math.ceil(delay / 1000);
+    }
+
+    async replay(deliveryId) {
+        const requeued = await this.db.requeueDelivery(deliveryId);
+        
+        if (requeued) {
+            console.log(`Delivery ${deliveryId} requeued from dead-letter`);
+            this.tick();
+        }
+        
+        return requeued;
+    }
+}
+
+module.exports = OutboxWorker;
@@ -0,0 +1,123 @@
+const config = require('./env');
+const { parseDuration, getWallClockTime } = require('./utils');
+
+const STALE_SUMMARY_KEY = 'stale_summary_date';
+const DEFAULT_STALE_AGE = 24 * 60 * 60;
+
+class ReminderWorker {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.checkInterval = config.REMINDER_CHECK_INTERVAL;
+        this.intervals = normalizeIntervals(config.REMINDER_INTERVALS);
+        this.mode = config.REMINDER_MODE;
+        this.summaryTime = config.STALE_SUMMARY_TIME;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    isEnabled() {
+        return Object.keys(this.intervals).length > 0 || !!this.summaryTime;
+    }
+
+    start() {
+        if (this.timer || !this.isEnabled()) return;
+        
+        const intervals = Object.entries(this.intervals)
+            .map(([severity, seconds]) => `${severity}: every ${seconds / 3600}h`)
+            .join(', ');
+        console.log(`Reminder worker started (${intervals || 'no reminders'} via ${this.mode}, stale summary ${this.summaryTime || 'off'})`);
+        
+        this.timer = setInterval(() => this.tick(), this.checkInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Reminder worker stopped');
+        }
+    }
+
+    async tick() {
+        if (this.processing) return;
+        this.processing = true;
+        
+        try {
+            await this.sendReminders();
+            await this.sendStaleSummary();
+        } catch (error) {
+            console.error('Reminder worker error:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async sendReminders() {
+        for (const [severity, interval] of Object.entries(this.intervals)) {
+            const alerts = await this.db.getAlertsPendingReminder(severity, interval);
+            
+            for (const alert of alerts) {
+                const claimed = await this.db.markReminded(alert.id, interval);
+                if (!claimed) continue;
+                
+                try {
+                    const via = await this.bot.sendReminder(alert, this.mode);
+                    await this.db.recordAlertEvent(alert.id, 'reminded', {
+                        payload: { via, to: alert.acknowledged_by }
+                    });
+                    console.log(`Reminder for alert ${alert.id} sent via ${via}`);
+                } catch (error) {
+                    console.error(`Failed to send reminder for alert ${alert.id}:`, error.message);
+                }
+            }
+        }
+    }
+
+    async sendStaleSummary(now = Date.now()) {
+        if (!this.summaryTime) return;
+        
+        const wallClock = new Date(getWallClockTime(now, config.TIMEZONE));
+        const today = wallClock.toISOString().substring(0, 10);
+        const [hour, minute] = this.summaryTime.split(':').map(Number);
+        
+        if (wallClock.getUTCHours() * 60 + wallClock.getUTCMinutes() < hour * 60 + minute) {
+            return;
+        }
+        
+        if (await this.db.getSchedulerState(STALE_SUMMARY_KEY) === today) {
+            return;
+        }
+        
+        const staleAlerts = await this.db.getStaleAlerts(this.intervals, DEFAULT_STALE_AGE);
+        if (staleAlerts.length === 0) {
+            await this.db.setSchedulerState(STALE_SUMMARY_KEY, today);
+            console.log('No stale alerts - daily summary skipped');
+            return;
+        }
+        
+        await this.bot.sendStaleSummary(staleAlerts);
+        await this.db.setSchedulerState(STALE_SUMMARY_KEY, today);
+        console.log(`Stale alerts summary sent (${staleAlerts.length} alert${staleAlerts.length > 1 ? 's' : ''})`);
+    }
+}
+
+function normalizeIntervals(intervals) {
+    const normalized = {};
+
+    Object.entries(intervals || {}).forEach(([severity, value]) => {
+        const seconds = parseDuration(value);
+        
+        if (!seconds || seconds < 60) {
+            console.warn(`Warning: ignoring reminder interval "${value}" for ${severity} - must be at least 1m`);
+            return;
+        }
+        
+        normalized[severity] = seconds;
+    });
+
+    return normalized;
+}
+
+module.exports = ReminderWorker;
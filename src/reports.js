@@ -0,0 +1,155 @@
+const config = require('./env');
+const { parseDuration, parseZonedDateTime } = require('./utils');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const MAX_PERIOD_DAYS = 366;
+const DEFAULT_PERIOD = '7d';
+const REPORT_SEVERITIES = ['critical', 'warning', 'info'];
+
+function parseReportPeriod(text, now = Date.now(), timeZone = config.TIMEZONE) {
+    const input = String(text || DEFAULT_PERIOD).trim();
+    const endOfNow = Math.floor(now / 1000) + 1;
+    const range = input.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/);
+    let period;
+
+    if (range) {
+        const from = parseZonedDateTime(range[1], timeZone);
+        const to = parseZonedDateTime(range[2], timeZone);
+
+        if (!from || !to) {
+            return { period: null, error: `Invalid date range "${input}"` };
+        }
+
+        period = {
+            from: Math.floor(from / 1000),
+            to: Math.floor(to / 1000) + DAY_SECONDS,
+            label: `${range[1]} - ${range[2]}`
+        };
+    } else {
+        const duration = /^\d+[hdw]$/i.test(input) ? parseDuration(input) : null;
+
+        if (!duration) {
+            return { period: null, error: `Invalid period "${input}". Use 24h, 7d, 30d or YYYY-MM-DD..YYYY-MM-DD` };
+        }
+
+        const relative = { amount: parseInt(input), unit: input.slice(-1).toLowerCase() };
+        period = {
+            from: endOfNow - duration,
+            to: endOfNow,
+            label: translate(DEFAULT_LANGUAGE, `period.last.${relative.unit}`, { count: relative.amount }),
+            relative
+        };
+    }
+
+    const error = validatePeriod(period);
+    return error ? { period: null, error } : { period, error: null };
+}
+
+function validatePeriod(period) {
+    if (!period.from || !period.to || period.from >= period.to) {
+        return 'The start of the period must be before its end';
+    }
+
+    if (period.to - period.from > MAX_PERIOD_DAYS * DAY_SECONDS) {
+        return `Periods are limited to ${MAX_PERIOD_DAYS} days`;
+    }
+
+    return null;
+}
+
+function getPreviousPeriod(period) {
+    return {
+        from: period.from - (period.to - period.from),
+        to: period.from
+    };
+}
+
+function summarizeDurations(durations) {
+    const values = durations.filter(value => value !== null && value !== undefined && value >= 0).sort((a, b) => a - b);
+
+    if (values.length === 0) {
+        return { count: 0, mean: null, p90: null };
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const p90 = values[Math.ceil(values.length * 0.9) - 1];
+
+    return { count: values.length, mean: Math.round(mean), p90 };
+}
+
+function summarizeResponseTimes(rows) {
+    const summary = {};
+
+    ['all', ...REPORT_SEVERITIES].forEach(severity => {
+        const matching = severity === 'all' ? rows : rows.filter(row => row.severity === severity);
+
+        summary[severity] = {
+            mtta: summarizeDurations(matching.map(row => row.time_to_ack)),
+            mttr: summarizeDurations(matching.map(row => row.time_to_resolve))
+        };
+    });
+
+    return summary;
+}
+
+async function buildReport(db, period) {
+    const previousPeriod = getPreviousPeriod(period);
+
+    const [
+        stats,
+        responseTimes,
+        topSources,
+        topTitles,
+        topAcknowledgers,
+        topResolvers,
+        rootCauses,
+        previousStats,
+        previousResponseTimes
+    ] = await Promise.all([
+        db.getReportStats(period.from, period.to),
+        db.getResponseTimes(period.from, period.to),
+        db.getNoisiestAlerts('source', period.from, period.to),
+        db.getNoisiestAlerts('title', period.from, period.to),
+        db.getTopAcknowledgers(period.from, period.to),
+        db.getTopResolvers(period.from, period.to),
+        db.getRootCauseBreakdown(period.from, period.to),
+        db.getReportStats(previousPeriod.from, previousPeriod.to),
+        db.getResponseTimes(previousPeriod.from, previousPeriod.to)
+    ]);
+
+    return {
+        period,
+        previous_period: previousPeriod,
+        stats: normalizeStats(stats),
+        response_times: summarizeResponseTimes(responseTimes),
+        top_sources: topSources,
+        top_titles: topTitles,
+        top_acknowledgers: topAcknowledgers,
+        top_resolvers: topResolvers,
+        root_causes: rootCauses,
+        previous: {
+            stats: normalizeStats(previousStats),
+            response_times: summarizeResponseTimes(previousResponseTimes)
+        }
+    };
+}
+
+function normalizeStats(stats) {
+    const normalized = {};
+
+    Object.entries(stats || {}).forEach(([key, value]) => {
+        normalized[key] = value || 0;
+    });
+
+    return normalized;
+}
+
+module.exports = {
+    REPORT_SEVERITIES,
+    parseReportPeriod,
+    validatePeriod,
+    getPreviousPeriod,
+    summarizeDurations,
+    buildReport
+};
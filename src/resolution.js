@@ -0,0 +1,34 @@
+const config = require('./env');
+
+function getNoteMode(severity) {
+    return config.RESOLUTION_NOTES[severity] || 'off';
+}
+
+function isNoteRequired(severity) {
+    return getNoteMode(severity) === 'required';
+}
+
+function getRootCauseCategories() {
+    return config.ROOT_CAUSE_CATEGORIES;
+}
+
+function isValidRootCause(category) {
+    return getRootCauseCategories().includes(category);
+}
+
+function getResolutionPayload(note, rootCause) {
+    if (!note && !rootCause) return null;
+    
+    return {
+        note: note || null,
+        root_cause: rootCause || null
+    };
+}
+
+module.exports = {
+    getNoteMode,
+    isNoteRequired,
+    getRootCauseCategories,
+    isValidRootCause,
+    getResolutionPayload
+};
@@ -0,0 +1,51 @@
+const ROLES = ['viewer', 'responder', 'admin'];
+const DEFAULT_ROLE = 'responder';
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(userRole, requiredRole) {
+    if (!isValidRole(userRole)) return false;
+    return ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
+}
+
+function parseUserReference(text) {
+    const value = String(text || '').trim();
+    
+    if (/^\d+$/.test(value)) {
+        return { telegramId: value, username: null };
+    }
+    
+    const username = value.replace(/^@/, '');
+    if (/^\w{3,32}$/.test(username)) {
+        return { telegramId: null, username };
+    }
+    
+    return null;
+}
+
+function describeUser(user) {
+    if (user.username && user.telegram_id) {
+        return `@${user.username} (${user.telegram_id})`;
+    }
+    
+    return user.username ? `@${user.username}` : user.telegram_id;
+}
+
+async function isLastAdmin(db, user) {
+    if (user.role !== 'admin') return false;
+    
+    const users = await db.getUsers();
+    return users.filter(entry => entry.role === 'admin').length <= 1;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    hasRole,
+    parseUserReference,
+    describeUser,
+    isLastAdmin
+};
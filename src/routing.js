@@ -0,0 +1,69 @@
+const config = require('./env');
+const { matchesAlert, validateMatchers } = require('./matchers');
+
+const rules = normalizeRules(config.ROUTING_RULES);
+
+function normalizeRules(rawRules) {
+    if (!Array.isArray(rawRules)) {
+        console.warn('Warning: ROUTING_RULES must be a JSON array - routing rules ignored');
+        return [];
+    }
+    
+    return rawRules.map((rule, index) => {
+        const name = rule.name || `rule-${index + 1}`;
+        const matcherError = validateMatchers(rule.match);
+        
+        if (matcherError) {
+            console.warn(`Warning: ignoring routing rule ${name}: ${matcherError}`);
+            return null;
+        }
+        
+        const destinations = (rule.chats || [])
+            .map(chat => typeof chat === 'object'
+                ? { chatId: chat.chat_id, threadId: chat.thread_id || null }
+                : { chatId: chat, threadId: null })
+            .filter(destination => destination.chatId);
+        
+        if (destinations.length === 0) {
+            console.warn(`Warning: ignoring routing rule ${name}: no chats configured`);
+            return null;
+        }
+        
+        return {
+            name,
+            match: rule.match,
+            destinations,
+            continue: !!rule.continue
+        };
+    }).filter(Boolean);
+}
+
+function getDefaultRoute() {
+    return config.CHAT_ID ? [{ chatId: config.CHAT_ID, threadId: config.DEFAULT_THREAD_ID }] : [];
+}
+
+function resolveRoutes(alert) {
+    const destinations = [];
+    
+    for (const rule of rules) {
+        if (!matchesAlert(alert, rule.match)) continue;
+        
+        destinations.push(...rule.destinations);
+        if (!rule.continue) break;
+    }
+    
+    const routes = destinations.length > 0 ? destinations : getDefaultRoute();
+    
+    return routes.filter((route, index) => routes.findIndex(other =>
+        String(other.chatId) === String(route.chatId) && other.threadId === route.threadId
+    ) === index);
+}
+
+function getRoutingRules() {
+    return rules;
+}
+
+module.exports = {
+    resolveRoutes,
+    getRoutingRules
+};
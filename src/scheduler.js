@@ -0,0 +1,63 @@
+const config = require('./env');
+const { getNextRun } = require('./cron');
+
+class ReportScheduler {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.checkInterval = config.REPORT_CHECK_INTERVAL;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        
+        console.log(`Report scheduler started (check every ${this.checkInterval}ms)`);
+        this.timer = setInterval(() => this.tick(), this.checkInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Report scheduler stopped');
+        }
+    }
+
+    async tick() {
+        if (this.processing) return;
+        this.processing = true;
+        
+        try {
+            const schedules = await this.db.getDueReportSchedules();
+            for (const schedule of schedules) {
+                await this.run(schedule);
+            }
+        } catch (error) {
+            console.error('Report scheduler error:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async run(schedule) {
+        const nextRun = getNextRun(schedule.cron, Date.now(), schedule.timezone);
+        const nextRunAt = nextRun ? Math.floor(nextRun / 1000) : null;
+        
+        const claimed = await this.db.markReportScheduleRun(schedule.id, schedule.next_run_at, nextRunAt);
+        if (!claimed) {
+            return;
+        }
+        
+        try {
+            await this.bot.sendScheduledReport(schedule);
+            console.log(`Scheduled ${schedule.report} report #${schedule.id} sent to chat ${schedule.chat_id}`);
+        } catch (error) {
+            console.error(`Failed to send scheduled report #${schedule.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = ReportScheduler;
@@ -0,0 +1,59 @@
+const config = require('./env');
+const { isValidTimeZone, isValidLocale } = require('./utils');
+const { isValidLanguage } = require('./i18n');
+
+const SETTINGS = {
+    tz: {
+        key: 'timezone',
+        label: 'Timezone',
+        isValid: isValidTimeZone,
+        example: 'Europe/Berlin'
+    },
+    locale: {
+        key: 'locale',
+        label: 'Locale',
+        isValid: isValidLocale,
+        example: 'en-GB'
+    },
+    lang: {
+        key: 'language',
+        label: 'Language',
+        isValid: isValidLanguage,
+        example: 'id'
+    }
+};
+
+function getSettingDefinition(name) {
+    const normalized = String(name || '').toLowerCase();
+    return SETTINGS[normalized] || Object.values(SETTINGS).find(setting => setting.key === normalized) || null;
+}
+
+async function getPreferences(db, { chatId, userId } = {}) {
+    const [chat, user] = await Promise.all([
+        chatId ? db.getSettings('chat', chatId) : {},
+        userId ? db.getSettings('user', userId) : {}
+    ]);
+
+    return {
+        global: { timezone: config.TIMEZONE, locale: config.LOCALE, language: config.LANGUAGE },
+        chat,
+        user
+    };
+}
+
+async function getRenderContext(db, scope = {}) {
+    const { chat, user } = await getPreferences(db, scope);
+
+    return {
+        timeZone: user.timezone || chat.timezone || config.TIMEZONE,
+        locale: user.locale || chat.locale || config.LOCALE,
+        language: user.language || chat.language || config.LANGUAGE
+    };
+}
+
+module.exports = {
+    SETTINGS,
+    getSettingDefinition,
+    getPreferences,
+    getRenderContext
+};
@@ -0,0 +1,69 @@
+const config = require('./env');
+
+class SnoozeWorker {
+    constructor(db, bot) {
+        this.db = db;
+        this.bot = bot;
+        this.checkInterval = config.SNOOZE_CHECK_INTERVAL;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        
+        console.log(`Snooze worker started (check every ${this.checkInterval}ms)`);
+        this.timer = setInterval(() => this.tick(), this.checkInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Snooze worker stopped');
+        }
+    }
+
+    async tick() {
+        if (this.processing) return;
+        this.processing = true;
+        
+        try {
+            const alerts = await this.db.getExpiredSnoozes();
+            for (const alert of alerts) {
+                await this.wake(alert);
+            }
+        } catch (error) {
+            console.error('Snooze worker error:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async wake(alert) {
+        const expired = await this.db.expireSnooze(alert.id);
+        if (!expired) {
+            return;
+        }
+        
+        await this.db.recordAlertEvent(alert.id, 'snooze_expired', {
+            payload: { snoozed_by: alert.snoozed_by, snoozed_until: alert.snoozed_until }
+        }).catch(error => {
+            console.error(`Failed to record snooze_expired event for alert ${alert.id}:`, error.message);
+        });
+        
+        if (alert.acknowledged || alert.resolved) {
+            return;
+        }
+        
+        try {
+            const sent = await this.bot.renotifyAlert(alert, 'snooze_expired');
+            console.log(`Snooze expired for alert ${alert.id} - re-posted to ${sent} chat${sent === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error(`Failed to re-post alert ${alert.id} after snooze:`, error.message);
+        }
+    }
+}
+
+module.exports = SnoozeWorker;
@@ -0,0 +1,228 @@
+const { matchesAlert, validateMatchers } = require('./matchers');
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+const ALLOWED_TAGS = ['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'code', 'pre', 'a', 'blockquote', 'tg-spoiler', 'span'];
+const MAX_TEMPLATE_LENGTH = 4000;
+
+const SAMPLE_ALERT = {
+    title: 'High memory usage',
+    source: 'prometheus',
+    severity: 'warning',
+    message: 'Pod checkout-7d9f uses 93% of its memory limit',
+    timestamp: Date.UTC(2025, 7, 18, 9, 30),
+    metadata: {
+        status: 'firing',
+        labels: { alertname: 'HighMemoryUsage', namespace: 'shop', pod: 'checkout-7d9f', team: 'payments' },
+        annotations: { summary: 'Memory above 90% for 10 minutes', runbook_url: 'https://runbooks.example.com/memory' },
+        values: { A: 93.4 }
+    }
+};
+
+let templates = [];
+
+function compileTemplate(source) {
+    const root = { type: 'root', children: [], branch: 'children' };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        const [tag, marker, expression] = match;
+
+        if (match.index > lastIndex) {
+            current[current.branch].push({ type: 'text', value: source.substring(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (marker === '#') {
+            const [helper, path] = expression.split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper) || !path) {
+                throw new Error(`Unknown block "${tag}", use {{#if path}}, {{#unless path}} or {{#each path}}`);
+            }
+
+            const block = { type: helper, path, children: [], inverse: [], branch: 'children' };
+            current[current.branch].push(block);
+            stack.push(block);
+        } else if (marker === '/') {
+            if (current.type !== expression) {
+                throw new Error(`Unexpected "${tag}"${current.type === 'root' ? '' : `, {{#${current.type} ${current.path}}} is still open`}`);
+            }
+            stack.pop();
+        } else if (expression === 'else') {
+            if (current.type === 'root' || current.branch === 'inverse') {
+                throw new Error('{{else}} is only allowed once inside {{#if}}, {{#unless}} or {{#each}}');
+            }
+            current.branch = 'inverse';
+        } else if (!expression) {
+            throw new Error('Empty placeholder "{{}}"');
+        } else {
+            current[current.branch].push({ type: 'value', path: expression });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`{{#${open.type} ${open.path}}} is never closed`);
+    }
+
+    if (lastIndex < source.length) {
+        root.children.push({ type: 'text', value: source.substring(lastIndex) });
+    }
+
+    return root;
+}
+
+function renderTemplate(source, data, options = {}) {
+    const escape = options.escape || (value => value);
+    const output = renderNodes(compileTemplate(source).children, [{ value: data }], { escape, limit: options.limit || null });
+
+    return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function renderNodes(nodes, frames, options) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const value = resolvePath(node.path, frames);
+
+        if (node.type === 'value') {
+            return isEmpty(value) && value !== 0 ? '' : options.escape(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+
+        if (node.type === 'if' || node.type === 'unless') {
+            const truthy = !isEmpty(value) && value !== false && value !== 0;
+            return renderNodes(truthy === (node.type === 'if') ? node.children : node.inverse, frames, options);
+        }
+
+        const entries = Array.isArray(value)
+            ? value.map((item, index) => [index, item])
+            : Object.entries(value && typeof value === 'object' ? value : {});
+
+        if (entries.length === 0) {
+            return renderNodes(node.inverse, frames, options);
+        }
+
+        return entries
+            .slice(0, options.limit || entries.length)
+            .map(([key, item], index) => renderNodes(node.children, [{ value: item, key, index }, ...frames], options))
+            .join('');
+    }).join('');
+}
+
+function resolvePath(path, frames) {
+    if (path === 'this') return frames[0].value;
+    if (path === '@key') return frames[0].key;
+    if (path === '@index') return frames[0].index;
+
+    const parts = path.replace(/^this\./, '').split('.');
+    const scopes = path.startsWith('this.') ? [frames[0]] : frames;
+
+    for (const frame of scopes) {
+        let value = frame.value;
+
+        for (const part of parts) {
+            value = value !== null && typeof value === 'object' ? value[part] : undefined;
+        }
+
+        if (value !== undefined) {
+            return value;
+        }
+    }
+
+    return undefined;
+}
+
+function isEmpty(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+function validateTemplate(template) {
+    if (!template.name || !/^[A-Za-z0-9_-]+$/.test(template.name)) {
+        return 'Template name is required (letters, digits, "_" or "-")';
+    }
+
+    if (template.matchers) {
+        const matcherError = validateMatchers(template.matchers);
+        if (matcherError) {
+            return matcherError;
+        }
+    }
+
+    if (template.priority !== undefined && !Number.isInteger(template.priority)) {
+        return 'priority must be an integer';
+    }
+
+    return validateTemplateBody(template.body);
+}
+
+function validateTemplateBody(body) {
+    if (!body || typeof body !== 'string') {
+        return 'Template body is required';
+    }
+
+    if (body.length > MAX_TEMPLATE_LENGTH) {
+        return `Template body is limited to ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+
+    try {
+        compileTemplate(body);
+    } catch (error) {
+        return `Invalid template: ${error.message}`;
+    }
+
+    return validateTemplateHtml(body.replace(TAG_PATTERN, ''));
+}
+
+function validateTemplateHtml(html) {
+    const open = [];
+    const tags = html.match(/<\/?[^<>]*>/g) || [];
+    const text = html.replace(/<\/?[^<>]*>/g, '');
+
+    if (/[<>]|&(?!#?\w+;)/.test(text)) {
+        return 'Use &lt;, &gt; and &amp; for literal <, > and & in templates';
+    }
+
+    for (const tag of tags) {
+        const match = tag.match(/^<(\/?)([a-z-]+)(\s[^>]*)?>$/i);
+        const name = match ? match[2].toLowerCase() : null;
+
+        if (!name || !ALLOWED_TAGS.includes(name)) {
+            return `Unsupported HTML tag ${tag}. Telegram allows: ${ALLOWED_TAGS.join(', ')}`;
+        }
+
+        if (!match[1]) {
+            open.push(name);
+        } else if (open.pop() !== name) {
+            return `Unbalanced HTML tag ${tag}`;
+        }
+    }
+
+    return open.length > 0 ? `Unclosed HTML tag <${open[open.length - 1]}>` : null;
+}
+
+async function loadTemplates(db) {
+    templates = await db.getTemplates();
+    return templates;
+}
+
+function selectTemplate(alert) {
+    return templates.find(template => !template.matchers || matchesAlert(alert, template.matchers)) || null;
+}
+
+module.exports = {
+    SAMPLE_ALERT,
+    compileTemplate,
+    renderTemplate,
+    validateTemplate,
+    validateTemplateBody,
+    loadTemplates,
+    selectTemplate
+};
@@ -1,3 +1,9 @@
+const crypto = require('crypto');
+const config = require('./env');
+const { describeMatchers } = require('./matchers');
+const { translate, getLanguageName } = require('./i18n');
+const { renderTemplate, selectTemplate } = require('./templates');
+
 const SEVERITY_EMOJI = {
     critical: 'CRITICAL',
     warning: 'WARNING', 
@@ -10,46 +16,192 @@ const SEVERITY_TEXT = {
     info: 'INFO'
 };
 
-function formatAlertMessage(alert) {
-    const severityText = SEVERITY_TEXT[alert.severity] || 'ALERT';
-    const timestamp = formatTimestamp(alert.timestamp);
+const MESSAGE_LIMIT = 4096;
+const ALERT_BODY_LIMIT = 3072;
+const LABEL_PREVIEW_LIMIT = 10;
+const ANNOTATION_PREVIEW_LIMIT = 5;
+const FIELD_PREVIEW_LENGTH = 200;
+const NOTE_PREVIEW_LENGTH = 500;
+const ESCALATION_PREVIEW_LIMIT = 5;
+const ALERT_PREFIX_RESERVE = 128;
+const TEMPLATE_PREVIEW_STEPS = [
+    { length: FIELD_PREVIEW_LENGTH, limit: LABEL_PREVIEW_LIMIT },
+    { length: 50, limit: 3 }
+];
+const BODY_PREVIEW_STEPS = [
+    { length: FIELD_PREVIEW_LENGTH, labels: LABEL_PREVIEW_LIMIT, annotations: ANNOTATION_PREVIEW_LIMIT },
+    { length: 80, labels: 5, annotations: 3 },
+    { length: 40, labels: 1, annotations: 1 }
+];
+const BODY_PREVIEW_MIN_MESSAGE = 512;
+const URL_TYPES = ['silence', 'dashboard', 'panel', 'source', 'runbook'];
+const URL_BUTTONS_PER_ROW = 3;
+
+function formatAlertMessage(alert, options = {}) {
+    const template = options.template !== undefined ? options.template : selectTemplate(alert);
+    let message = renderAlertBody(alert, options.context, false, template);
+    
+    if (message.length > ALERT_BODY_LIMIT) {
+        message = renderAlertBody(alert, options.context, true, template);
+    }
+
+    let footer = '';
+    if (options.oncall && options.oncall.length > 0 && ['critical', 'warning'].includes(alert.severity)) {
+        footer += `\n\n${t(options.context, 'alert.oncall', { users: options.oncall.map(formatMention).join(' ') })}`;
+    }
 
-    if (alert.metadata) {
-        return formatVerboseAlert(alert, severityText, timestamp);
+    if (alert.assigned_to || alert.assigned_to_id) {
+        footer += `\n\n${t(options.context, 'alert.assigned_to', { user: formatMention(alert.assigned_to || alert.assigned_to_id) })}`;
     }
+    
+    footer += options.footer || '';
+
+    return `${message}${limitMessage(footer, options.context, MESSAGE_LIMIT - ALERT_PREFIX_RESERVE - message.length)}`;
+}
 
-    return formatBasicAlert(alert, severityText, timestamp);
+function isAlertTruncated(alert, context, template = selectTemplate(alert)) {
+    return renderAlertBody(alert, context, false, template).length > ALERT_BODY_LIMIT;
 }
 
-function formatBasicAlert(alert, severityText, timestamp) {
-    return `*${severityText}*
-*${alert.title}*
-Source: ${alert.source}
-Time: ${timestamp}
+function renderAlertBody(alert, context, collapsed, template) {
+    if (template) {
+        return renderTemplatedBody(alert, context, collapsed, template);
+    }
+    
+    if (!collapsed) {
+        return renderDefaultBody(alert, context);
+    }
+    
+    const notice = `\n\n${t(context, 'alert.truncated')}`;
+    
+    for (const [index, preview] of BODY_PREVIEW_STEPS.entries()) {
+        const { header, urls } = renderDefaultSections(alert, context, preview);
+        const budget = ALERT_BODY_LIMIT - header.length - urls.length - notice.length - 1;
+        
+        if (budget >= BODY_PREVIEW_MIN_MESSAGE || index === BODY_PREVIEW_STEPS.length - 1) {
+            return `${header}\n${truncateHtml(alert.message, Math.max(budget, 0))}${urls}${notice}`;
+        }
+    }
+}
 
-${alert.message}`;
+function renderDefaultBody(alert, context) {
+    const { header, urls } = renderDefaultSections(alert, context, null);
+    return `${header}\n${escapeHtml(alert.message)}${urls}`;
 }
 
-function formatVerboseAlert(alert, severityText, timestamp) {
-    let message = `*${severityText}*\n`;
-    message += `*${alert.title}*\n`;
-    message += `Source: ${alert.source}\n`;
-    message += `Time: ${timestamp}\n`;
+function renderDefaultSections(alert, context, preview) {
+    const severityText = formatSeverity(alert.severity, context);
+    const timestamp = formatTimestamp(alert.timestamp, context);
+    const fit = text => preview ? truncateHtml(text, preview.length) : escapeHtml(text);
+    
+    let header = `<b>${severityText}</b>\n`;
+    header += `<b>${fit(alert.title)}</b>\n`;
+    header += `${t(context, 'alert.source', { source: fit(alert.source) })}\n`;
+    header += `${t(context, 'alert.time', { time: timestamp })}\n`;
+    header += formatOccurrences(alert, context);
     
     if (alert.metadata?.status) {
-        message += `${alert.metadata.status}\n`;
+        header += `${fit(alert.metadata.status)}\n`;
     }
     
-    message += formatMetadataValues(alert.metadata);
-    message += formatMetadataLabels(alert.metadata);
-    message += formatMetadataAnnotations(alert.metadata);
-    message += `\n${alert.message}`;
-    message += formatMetadataUrls(alert.metadata);
+    header += formatMetadataValues(alert.metadata, context, preview);
+    header += formatMetadataLabels(alert.metadata, context, preview);
+    header += formatMetadataAnnotations(alert.metadata, context, preview);
     
-    return message;
+    return { header, urls: formatMetadataUrls(alert.metadata, context, preview) };
+}
+
+function formatAlertDetails(alert, context) {
+    const metadata = alert.metadata || {};
+    const lines = [
+        t(context, 'details.title', { id: alert.id }),
+        alert.title,
+        t(context, 'alert.source', { source: alert.source }),
+        t(context, 'alert.time', { time: formatTimestamp(alert.timestamp, context) })
+    ];
+    
+    if (metadata.status) {
+        lines.push(String(metadata.status));
+    }
+    
+    if (metadata.values && Object.keys(metadata.values).length > 0) {
+        const values = Object.entries(metadata.values).map(([key, value]) => `${key}=${value}`).join(', ');
+        lines.push(t(context, 'alert.value', { values }));
+    }
+    
+    [['alert.labels', metadata.labels], ['alert.annotations', metadata.annotations]].forEach(([key, entries]) => {
+        const items = Object.entries(entries || {});
+        if (items.length === 0) return;
+        
+        lines.push(t(context, key));
+        items.forEach(([name, value]) => {
+            lines.push(` - ${name} = ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        });
+    });
+    
+    lines.push('', alert.message);
+    
+    getAlertUrls(metadata).forEach(([type, url]) => {
+        lines.push(t(context, `alert.url.${type}`, { url }));
+    });
+    
+    return lines.join('\n');
+}
+
+function renderTemplatedBody(alert, context, collapsed, template) {
+    const data = getTemplateData(alert, context);
+    
+    if (!collapsed) {
+        return renderTemplate(template.body, data, { escape: escapeHtml });
+    }
+    
+    const notice = `\n\n${t(context, 'alert.truncated')}`;
+    
+    for (const preview of TEMPLATE_PREVIEW_STEPS) {
+        const body = renderTemplate(template.body, data, {
+            escape: value => truncateHtml(value, preview.length),
+            limit: preview.limit
+        });
+        
+        if (body.length + notice.length <= ALERT_BODY_LIMIT) {
+            return `${body}${notice}`;
+        }
+    }
+    
+    return renderAlertBody(alert, context, true, null);
 }
 
-function formatMetadataValues(metadata) {
+function getTemplateData(alert, context) {
+    const metadata = alert.metadata || {};
+    
+    return {
+        id: alert.id,
+        title: alert.title,
+        source: alert.source,
+        severity: alert.severity,
+        severity_label: formatSeverity(alert.severity, context),
+        time: formatTimestamp(alert.timestamp, context),
+        message: alert.message,
+        status: metadata.status,
+        occurrences: alert.occurrence_count || 1,
+        last_seen: alert.last_seen_at ? formatTimestamp(alert.last_seen_at * 1000, context) : null,
+        labels: metadata.labels || {},
+        annotations: metadata.annotations || {},
+        values: metadata.values || {},
+        urls: metadata.urls || {}
+    };
+}
+
+function formatOccurrences(alert, context) {
+    if (!alert.occurrence_count || alert.occurrence_count <= 1) {
+        return '';
+    }
+    
+    const lastSeen = alert.last_seen_at ? formatTimestamp(alert.last_seen_at * 1000, context) : t(context, 'common.unknown');
+    return `${t(context, 'alert.seen', { count: alert.occurrence_count, time: lastSeen })}\n`;
+}
+
+function formatMetadataValues(metadata, context, preview) {
     if (!metadata?.values || Object.keys(metadata.values).length === 0) {
         return '';
     }
@@ -57,83 +209,304 @@ function formatMetadataValues(metadata) {
     const values = Object.entries(metadata.values)
         .map(([key, value]) => `${key}=${value}`)
         .join(', ');
-    return `Value: ${values}\n`;
+    return `${t(context, 'alert.value', { values: preview ? truncateHtml(values, preview.length) : escapeHtml(values) })}\n`;
+}
+
+function formatMetadataLabels(metadata, context, preview) {
+    return formatMetadataSection(metadata?.labels, t(context, 'alert.labels'), preview && { length: preview.length, limit: preview.labels }, context);
 }
 
-function formatMetadataLabels(metadata) {
-    if (!metadata?.labels || Object.keys(metadata.labels).length === 0) {
+function formatMetadataAnnotations(metadata, context, preview) {
+    return formatMetadataSection(metadata?.annotations, t(context, 'alert.annotations'), preview && { length: preview.length, limit: preview.annotations }, context);
+}
+
+function formatMetadataSection(entries, title, preview, context) {
+    const items = Object.entries(entries || {});
+    if (items.length === 0) {
         return '';
     }
     
-    let result = 'Labels:\n';
-    Object.entries(metadata.labels).forEach(([key, value]) => {
-        result += ` - ${key} = ${value}\n`;
+    const shown = preview ? items.slice(0, preview.limit) : items;
+    const format = value => {
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return preview ? truncateHtml(text, preview.length) : escapeHtml(text);
+    };
+    
+    let result = `${title}\n`;
+    shown.forEach(([key, value]) => {
+        result += ` - ${format(key)} = ${format(value)}\n`;
     });
+    
+    if (items.length > shown.length) {
+        result += ` ${t(context, 'alert.more', { count: items.length - shown.length })}\n`;
+    }
     return result;
 }
 
-function formatMetadataAnnotations(metadata) {
-    if (!metadata?.annotations || Object.keys(metadata.annotations).length === 0) {
-        return '';
-    }
+function formatMetadataUrls(metadata, context, preview) {
+    let result = '';
+    
+    getAlertUrls(metadata)
+        .filter(([, url]) => !hasLinkButtons(context) || !isButtonUrl(url))
+        .forEach(([type, url]) => {
+            result += `\n${t(context, `alert.url.${type}`, { url: preview ? truncateHtml(url, preview.length) : escapeHtml(url) })}`;
+        });
     
-    let result = 'Annotations:\n';
-    Object.entries(metadata.annotations).forEach(([key, value]) => {
-        result += ` - ${key} = ${value}\n`;
-    });
     return result;
 }
 
-function formatMetadataUrls(metadata) {
-    if (!metadata?.urls) {
-        return '';
+function getAlertUrls(metadata) {
+    return URL_TYPES
+        .filter(type => metadata?.urls?.[type])
+        .map(type => [type, String(metadata.urls[type])]);
+}
+
+function isButtonUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return ['http:', 'https:'].includes(protocol) && hostname.includes('.') && !/^127\./.test(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function hasLinkButtons(context) {
+    return context?.linkButtons !== false;
+}
+
+function getRenderContext(context) {
+    if (typeof context === 'string') {
+        return { timeZone: context, locale: config.LOCALE, language: config.LANGUAGE };
     }
     
-    let result = '';
+    return {
+        timeZone: context?.timeZone || config.TIMEZONE,
+        locale: context?.locale || config.LOCALE,
+        language: context?.language || config.LANGUAGE
+    };
+}
+
+function t(context, key, params) {
+    return translate(getRenderContext(context).language, key, params);
+}
+
+function formatSeverity(severity, context) {
+    return t(context, SEVERITY_TEXT[severity] ? `severity.${severity}` : 'severity.unknown');
+}
+
+function formatTimestamp(timestamp, context) {
+    const { timeZone, locale } = getRenderContext(context);
     
-    if (metadata.urls.silence) {
-        result += `\nSilence: ${metadata.urls.silence}`;
-    }
-    if (metadata.urls.dashboard) {
-        result += `\nDashboard: ${metadata.urls.dashboard}`;
-    }
-    if (metadata.urls.panel) {
-        result += `\nPanel: ${metadata.urls.panel}`;
+    return new Date(timestamp).toLocaleString(locale, {
+        timeZone,
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
     }
-    if (metadata.urls.source) {
-        result += `\nSource: ${metadata.urls.source}`;
+}
+
+function isValidLocale(locale) {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false;
     }
-    
-    return result;
 }
 
-function formatTimestamp(timestamp) {
-    return new Date(timestamp).toLocaleString('id-ID', {
-        timeZone: 'Asia/Jakarta',
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
         day: '2-digit',
-        month: '2-digit', 
-        year: '2-digit',
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    }).formatToParts(new Date(date));
+    
+    const values = {};
+    parts.forEach(part => {
+        values[part.type] = part.value;
     });
+    
+    return {
+        year: parseInt(values.year),
+        month: parseInt(values.month),
+        day: parseInt(values.day),
+        hour: parseInt(values.hour),
+        minute: parseInt(values.minute),
+        second: parseInt(values.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday)
+    };
+}
+
+function getWallClockTime(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+function zonedWallTimeToUtc(wallTime, timeZone) {
+    const firstOffset = getWallClockTime(wallTime, timeZone) - wallTime;
+    const guess = wallTime - firstOffset;
+    const secondOffset = getWallClockTime(guess, timeZone) - guess;
+    return wallTime - secondOffset;
+}
+
+function parseZonedDateTime(text, timeZone) {
+    const match = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+    if (!match) return null;
+    
+    const [, year, month, day, hour = '00', minute = '00'] = match;
+    const wallTime = Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute));
+    return zonedWallTimeToUtc(wallTime, timeZone);
 }
 
-function formatAcknowledgedMessage(alert, userInfo) {
-    const originalMessage = formatAlertMessage(alert);
+function formatAcknowledgedMessage(alert, userInfo, escalations = [], context, oncall = []) {
     const ackBy = extractUserDisplayName(userInfo, 'acknowledged');
-    const ackTime = formatCurrentTime();
+    const ackTime = userInfo.acknowledged_at ? formatAckTime(userInfo.acknowledged_at, context) : formatCurrentTime(context);
+    const footer = `\n${formatEscalationHistory(escalations, context)}\n${t(context, 'alert.acknowledged_by', { user: escapeHtml(ackBy), time: ackTime })}`;
+
+    return formatAlertMessage(alert, { context, oncall, footer });
+}
+
+function formatResolvedMessage(alert, ackUserInfo, resolveUserInfo, escalations = [], context, oncall = []) {
+    const resolveBy = extractResolveUserDisplayName(resolveUserInfo, context);
+    const resolveTime = resolveUserInfo.resolved_at ? formatAckTime(resolveUserInfo.resolved_at, context) : formatCurrentTime(context);
+
+    let footer = `\n${formatEscalationHistory(escalations, context)}`;
+    
+    if (ackUserInfo.acknowledged_at) {
+        const ackBy = extractAckUserDisplayName(ackUserInfo);
+        const ackTime = formatAckTime(ackUserInfo.acknowledged_at, context);
+        footer += `\n${t(context, 'alert.acknowledged_by', { user: escapeHtml(ackBy), time: ackTime })}`;
+    }
+    
+    footer += `\n${t(context, 'alert.resolved_by', { user: escapeHtml(resolveBy), time: resolveTime })}`;
+    
+    if (resolveUserInfo.root_cause) {
+        footer += `\n${t(context, 'alert.root_cause', { cause: truncateHtml(resolveUserInfo.root_cause, NOTE_PREVIEW_LENGTH) })}`;
+    }
+    
+    if (resolveUserInfo.resolution_note) {
+        footer += `\n${t(context, 'alert.note', { note: truncateHtml(resolveUserInfo.resolution_note, NOTE_PREVIEW_LENGTH) })}`;
+    }
+    
+    return formatAlertMessage(alert, { context, oncall, footer });
+}
+
+function formatSnoozedMessage(alert, context, oncall = []) {
+    const until = formatAckTime(alert.snoozed_until, context);
+    const snoozed = alert.snoozed_by
+        ? t(context, 'alert.snoozed_until_by', { time: until, user: escapeHtml(alert.snoozed_by) })
+        : t(context, 'alert.snoozed_until', { time: until });
+    
+    return formatAlertMessage(alert, { context, oncall, footer: `\n\n${snoozed}` });
+}
+
+function formatEscalationHistory(escalations, context) {
+    if (!escalations || escalations.length === 0) {
+        return '';
+    }
+    
+    let result = `\n${t(context, 'alert.escalations')}`;
+    if (escalations.length > ESCALATION_PREVIEW_LIMIT) {
+        result += `\n ${t(context, 'alert.more', { count: escalations.length - ESCALATION_PREVIEW_LIMIT })}`;
+    }
+    
+    escalations.slice(-ESCALATION_PREVIEW_LIMIT).forEach(escalation => {
+        const target = escalation.target ? ` ${truncateHtml(escalation.target, FIELD_PREVIEW_LENGTH)}` : '';
+        result += `\n${t(context, 'alert.escalation_step', {
+            step: escalation.step + 1,
+            action: escalation.action,
+            target,
+            time: formatAckTime(escalation.created_at, context)
+        })}`;
+    });
+    
+    return result + '\n';
+}
 
-    return `${originalMessage}\n\nAcknowledged by *${ackBy}* at ${ackTime}`;
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
-function formatResolvedMessage(alert, ackUserInfo, resolveUserInfo) {
-    const originalMessage = formatAlertMessage(alert);
-    const ackBy = extractAckUserDisplayName(ackUserInfo);
-    const resolveBy = extractResolveUserDisplayName(resolveUserInfo);
-    const ackTime = formatAckTime(ackUserInfo.acknowledged_at);
-    const resolveTime = formatCurrentTime();
+function truncateHtml(text, maxLength) {
+    let value = String(text ?? '');
+    let escaped = escapeHtml(value);
+    
+    while (escaped.length > maxLength && value.length > 0) {
+        value = value.substring(0, value.length - Math.max(1, Math.floor((escaped.length - maxLength + 1) / 6)));
+        escaped = `${escapeHtml(value)}…`;
+    }
+    
+    return escaped;
+}
 
-    return `${originalMessage}\n\nAcknowledged by *${ackBy}* at ${ackTime}\nResolved by *${resolveBy}* at ${resolveTime}`;
+function limitMessage(message, context, limit = MESSAGE_LIMIT) {
+    if (message.length <= limit) {
+        return message;
+    }
+    
+    const notice = `\n${t(context, 'common.truncated')}`;
+    const cut = message.lastIndexOf('\n', limit - notice.length);
+    return `${message.substring(0, cut > 0 ? cut : 0)}${notice}`;
+}
+
+function splitMessage(text, limit = MESSAGE_LIMIT) {
+    const chunks = [];
+    let current = '';
+    
+    String(text).split('\n').forEach(line => {
+        while (line.length > limit) {
+            if (current) {
+                chunks.push(current);
+                current = '';
+            }
+            chunks.push(line.substring(0, limit));
+            line = line.substring(limit);
+        }
+        
+        if (current && current.length + line.length + 1 > limit) {
+            chunks.push(current);
+            current = line;
+        } else {
+            current = current ? `${current}\n${line}` : line;
+        }
+    });
+    
+    if (current) {
+        chunks.push(current);
+    }
+    
+    return chunks;
+}
+
+function formatMention(user) {
+    const value = String(user).trim();
+    
+    if (/^-?\d+$/.test(value)) {
+        return `<a href="tg://user?id=${value}">user ${value}</a>`;
+    }
+    
+    return escapeHtml(value.startsWith('@') ? value : `@${value}`);
 }
 
 function extractUserDisplayName(userInfo, type) {
@@ -174,7 +547,11 @@ function extractAckUserDisplayName(ackUserInfo) {
     return 'Unknown User';
 }
 
-function extractResolveUserDisplayName(resolveUserInfo) {
+function extractResolveUserDisplayName(resolveUserInfo, context) {
+    if (resolveUserInfo.resolved_by_source) {
+        return t(context, 'alert.resolved_by_source', { source: resolveUserInfo.resolved_by_source });
+    }
+    
     if (resolveUserInfo.resolved_by_name && resolveUserInfo.resolved_by_name.trim()) {
         return resolveUserInfo.resolved_by_name.trim();
     }
@@ -196,89 +573,656 @@ function extractResolveUserDisplayName(resolveUserInfo) {
     return `User ${resolveUserInfo.id || resolveUserInfo.resolved_by_id || ''}`;
 }
 
-function formatCurrentTime() {
-    return new Date().toLocaleString('id-ID', {
-        timeZone: 'Asia/Jakarta',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+function formatCurrentTime(context) {
+    return formatTimestamp(Date.now(), context);
 }
 
-function formatAckTime(acknowledgedAt) {
-    if (!acknowledgedAt) return 'Unknown';
+function formatAckTime(acknowledgedAt, context) {
+    if (!acknowledgedAt) return t(context, 'common.unknown');
     
-    return new Date(acknowledgedAt * 1000).toLocaleString('id-ID', {
-        timeZone: 'Asia/Jakarta',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+    return formatTimestamp(acknowledgedAt * 1000, context);
 }
 
-function formatWeeklyReport(stats, topAcknowledgers, topResolvers) {
-    let report = `*Weekly Report* (Last 7 days)
+function formatReport(report, context) {
+    const { stats, previous } = report;
+    const change = (key) => formatCountChange(stats[key], previous.stats[key]);
+    const deliveries = stats.deliveries > stats.total ? t(context, 'report.deliveries', { count: stats.deliveries }) : '';
+    
+    let message = `${t(context, 'report.title', { period: formatPeriodLabel(report.period, context) })}
+${t(context, 'report.comparison')}
+
+${t(context, 'report.summary')}
+${t(context, 'report.total', { count: stats.total })}${deliveries}${change('total')}
+${t(context, 'report.acknowledged', { count: stats.acknowledged })}${change('acknowledged')}
+${t(context, 'report.resolved', { count: stats.resolved })}${change('resolved')}
+${t(context, 'report.unacknowledged', { count: stats.unacknowledged })}${change('unacknowledged')}
+
+${t(context, 'report.by_severity')}`;
 
-*Alert Summary:*
-• Total Alerts: ${stats.total}
-• Acknowledged: ${stats.acknowledged}
-• Resolved: ${stats.resolved}
-• Unacknowledged: ${stats.unacknowledged}
+    ['critical', 'warning', 'info'].forEach(severity => {
+        message += `\n${t(context, 'report.severity', { severity: t(context, `severity.name.${severity}`), count: stats[severity] })}${change(severity)}`;
+    });
 
-*By Severity:*
-• Critical: ${stats.critical}
-• Warning: ${stats.warning}
-• Info: ${stats.info}`;
+    const severities = ['critical', 'warning', 'info'].filter(severity => {
+        const times = report.response_times[severity];
+        return times.mtta.count > 0 || times.mttr.count > 0;
+    });
+    
+    if (severities.length > 0) {
+        message += `\n\n${t(context, 'report.response_times')}`;
+        severities.forEach(severity => {
+            const current = report.response_times[severity];
+            const before = previous.response_times[severity];
+            
+            message += `\n<b>${t(context, `severity.name.${severity}`)}</b>`;
+            message += `\n${t(context, 'report.mtta', { summary: formatDurationSummary(current.mtta, context) })}${formatDurationChange(current.mtta, before.mtta, context)}`;
+            message += `\n${t(context, 'report.mttr', { summary: formatDurationSummary(current.mttr, context) })}${formatDurationChange(current.mttr, before.mttr, context)}`;
+        });
+    }
 
-    if (topAcknowledgers && topAcknowledgers.length > 0) {
-        report += '\n\n*Top Contributors:*\n';
-        topAcknowledgers.forEach((user, index) => {
-            const rank = index + 1;
-            const name = user.acknowledged_by_name || user.acknowledged_by || 'Unknown';
-            report += `${rank}. ${name}: ${user.ack_count} acked, ${user.resolved_count} resolved\n`;
+    if (report.top_sources && report.top_sources.length > 0) {
+        message += `\n\n${t(context, 'report.noisiest_sources')}\n`;
+        report.top_sources.forEach((entry, index) => {
+            const deliveries = entry.deliveries > entry.count ? t(context, 'report.deliveries', { count: entry.deliveries }) : '';
+            message += `${index + 1}. ${escapeHtml(entry.source)}: ${entry.count}${deliveries}\n`;
         });
     }
 
-    if (topResolvers && topResolvers.length > 0) {
-        report += '\n*Top Resolvers:*\n';
-        topResolvers.forEach((user, index) => {
-            const rank = index + 1;
-            const name = user.resolved_by_name || user.resolved_by || 'Unknown';
-            report += `${rank}. ${name}: ${user.count} resolved\n`;
+    if (report.top_titles && report.top_titles.length > 0) {
+        message += `\n${t(context, 'report.noisiest_alerts')}\n`;
+        report.top_titles.forEach((entry, index) => {
+            const deliveries = entry.deliveries > entry.count ? t(context, 'report.deliveries', { count: entry.deliveries }) : '';
+            message += `${index + 1}. ${escapeHtml(entry.title)}: ${entry.count}${deliveries}\n`;
+        });
+    }
+
+    if (report.top_acknowledgers && report.top_acknowledgers.length > 0) {
+        message += `\n${t(context, 'report.top_contributors')}\n`;
+        report.top_acknowledgers.forEach((user, index) => {
+            const name = user.acknowledged_by_name || user.acknowledged_by || t(context, 'common.unknown');
+            message += `${t(context, 'report.contributor', {
+                rank: index + 1,
+                name: escapeHtml(name),
+                acked: user.ack_count,
+                resolved: user.resolved_count
+            })}\n`;
+        });
+    }
+
+    if (report.top_resolvers && report.top_resolvers.length > 0) {
+        message += `\n${t(context, 'report.top_resolvers')}\n`;
+        report.top_resolvers.forEach((user, index) => {
+            const name = user.resolved_by_name || user.resolved_by || t(context, 'common.unknown');
+            message += `${t(context, 'report.resolver', { rank: index + 1, name: escapeHtml(name), count: user.count })}\n`;
+        });
+    }
+
+    if (report.root_causes && report.root_causes.length > 0) {
+        message += `\n${t(context, 'report.root_causes')}\n`;
+        report.root_causes.forEach(entry => {
+            message += `• ${escapeHtml(entry.root_cause)}: ${entry.count}\n`;
+        });
+    }
+
+    return message;
+}
+
+function formatPeriodLabel(period, context) {
+    if (period.relative) {
+        return t(context, `period.last.${period.relative.unit}`, { count: period.relative.amount });
+    }
+    
+    return period.label ? escapeHtml(period.label) : formatPeriod(period, context);
+}
+
+function formatPeriod(period, context) {
+    return `${formatTimestamp(period.from * 1000, context)} - ${formatTimestamp(period.to * 1000, context)}`;
+}
+
+function formatCountChange(current, previous) {
+    const delta = (current || 0) - (previous || 0);
+    
+    if (delta === 0) return '';
+    if (!previous) return ` (+${delta})`;
+    
+    const percent = Math.round(delta / previous * 100);
+    return ` (${delta > 0 ? '+' : ''}${delta}, ${percent > 0 ? '+' : ''}${percent}%)`;
+}
+
+function formatDurationSummary(summary, context) {
+    if (!summary.count) return t(context, 'report.not_available');
+    return `${formatDuration(summary.mean)} / ${formatDuration(summary.p90)}`;
+}
+
+function formatDurationChange(current, previous, context) {
+    if (!current.count || !previous.count) return '';
+    return t(context, 'report.was', { duration: formatDuration(previous.mean) });
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatDailyDigest(digest, context) {
+    let report = `${t(context, 'digest.title')}
+
+${t(context, 'digest.activity')}
+${t(context, 'digest.created', { count: digest.created || 0 })}
+${t(context, 'report.acknowledged', { count: digest.acknowledged || 0 })}
+${t(context, 'report.resolved', { count: digest.resolved || 0 })}
+
+${t(context, 'digest.new_by_severity')}`;
+
+    ['critical', 'warning', 'info'].forEach(severity => {
+        report += `\n${t(context, 'report.severity', { severity: t(context, `severity.name.${severity}`), count: digest[severity] || 0 })}`;
+    });
+
+    report += `
+
+${t(context, 'digest.still_open')}
+${t(context, 'report.unacknowledged', { count: digest.open || 0 })}
+${t(context, 'digest.in_progress', { count: digest.in_progress || 0 })}`;
+
+    if (digest.sources && digest.sources.length > 0) {
+        report += `\n\n${t(context, 'digest.top_sources')}\n`;
+        digest.sources.forEach((entry, index) => {
+            report += `${index + 1}. ${escapeHtml(entry.source)}: ${entry.count}\n`;
         });
     }
 
     return report;
 }
 
-function createAcknowledgeKeyboard(alertId) {
+function formatScheduleList(schedules, context) {
+    if (!schedules || schedules.length === 0) {
+        return t(context, 'schedule.list_empty');
+    }
+    
+    let message = `${t(context, 'schedule.list_title', { count: schedules.length })}\n`;
+    
+    schedules.forEach(schedule => {
+        const target = schedule.message_thread_id
+            ? t(context, 'schedule.list_topic', { chat: schedule.chat_id, topic: schedule.message_thread_id })
+            : `${schedule.chat_id}`;
+        const scheduleContext = { ...getRenderContext(context), timeZone: schedule.timezone };
+        
+        message += `\n#${schedule.id} <b>${schedule.report}</b> <code>${escapeHtml(schedule.cron)}</code> (${escapeHtml(schedule.timezone)})${schedule.enabled ? '' : t(context, 'schedule.list_paused')}\n`;
+        message += `${t(context, 'schedule.list_chat', { chat: target })}\n`;
+        if (schedule.enabled && schedule.next_run_at) {
+            message += `${t(context, 'schedule.list_next', { time: formatTimestamp(schedule.next_run_at * 1000, scheduleContext) })}\n`;
+        }
+        if (schedule.last_run_at) {
+            message += `${t(context, 'schedule.list_last', { time: formatTimestamp(schedule.last_run_at * 1000, scheduleContext) })}\n`;
+        }
+    });
+    
+    return message.trim();
+}
+
+function formatSettings(preferences, context) {
+    const describe = (key) => {
+        const display = value => escapeHtml(key === 'language' ? getLanguageName(value) : value);
+        
+        if (preferences.user[key]) return t(context, 'settings.source.user', { value: display(preferences.user[key]) });
+        if (preferences.chat[key]) return t(context, 'settings.source.chat', { value: display(preferences.chat[key]) });
+        return t(context, 'settings.source.default', { value: display(preferences.global[key]) });
+    };
+    
+    const lines = ['timezone', 'locale', 'language'].map(key =>
+        t(context, 'settings.line', { setting: capitalize(t(context, `setting.${key}`)), value: describe(key) }));
+    
+    return `${t(context, 'settings.title')}
+${lines.join('\n')}
+${t(context, 'common.current_time', { time: formatCurrentTime(context) })}`;
+}
+
+function getMessageLink(chatId, messageId) {
+    const match = String(chatId || '').match(/^-100(\d+)$/);
+    if (!match || !messageId) return null;
+    
+    return `https://t.me/c/${match[1]}/${messageId}`;
+}
+
+function formatReminderMessage(alert, link = null, context) {
+    const age = formatDuration(Math.floor(Date.now() / 1000) - alert.acknowledged_at);
+    const ackBy = extractAckUserDisplayName(alert);
+    
+    let message = t(context, 'reminder.text', {
+        id: alert.id,
+        title: escapeHtml(alert.title),
+        severity: alert.severity,
+        user: escapeHtml(ackBy),
+        age
+    });
+    
+    if (link) {
+        message += `\n${t(context, 'reminder.link', { link: escapeHtml(link) })}`;
+    }
+    
+    return message;
+}
+
+function formatStaleSummary(alerts, context, limit = 30) {
+    let message = `${t(context, 'stale.title', { count: alerts.length })}\n`;
+    const now = Math.floor(Date.now() / 1000);
+    
+    alerts.slice(0, limit).forEach(alert => {
+        const title = escapeHtml(alert.title);
+        const link = getMessageLink(alert.chat_id, alert.telegram_message_id);
+        const age = formatDuration(now - alert.acknowledged_at);
+        
+        message += `\n#${alert.id} <b>${formatSeverity(alert.severity, context)}</b> ${link ? `<a href="${link}">${title}</a>` : title}`;
+        message += t(context, 'stale.acked_by', { user: escapeHtml(extractAckUserDisplayName(alert)), age });
+    });
+    
+    if (alerts.length > limit) {
+        message += `\n\n${t(context, 'stale.more', { count: alerts.length - limit })}`;
+    }
+    
+    return limitMessage(message, context);
+}
+
+function formatAlertTimeline(alert, events, context, limit = 50) {
+    let message = `${t(context, 'timeline.title', { id: alert.id })}\n${escapeHtml(alert.title)}\n`;
+    
+    if (events.length === 0) {
+        return `${message}\n${t(context, 'timeline.empty')}`;
+    }
+    
+    if (events.length > limit) {
+        message += `\n${t(context, 'timeline.truncated', { count: events.length - limit })}`;
+        events = events.slice(-limit);
+    }
+    
+    events.forEach(event => {
+        const actor = event.actor ? t(context, 'timeline.by', { actor: escapeHtml(event.actor) }) : '';
+        const details = describeAlertEvent(event, context);
+        message += `\n${formatTimestamp(event.created_at * 1000, context)} - <b>${t(context, `event.${event.event_type}`)}</b>${actor}${details ? `: ${truncateHtml(details, NOTE_PREVIEW_LENGTH)}` : ''}`;
+    });
+    
+    return limitMessage(message, context);
+}
+
+function describeAlertEvent(event, context) {
+    const payload = event.payload || {};
+    
+    switch (event.event_type) {
+        case 'created':
+            return t(context, 'event.details.created', { severity: payload.severity, source: payload.source });
+        case 'notified':
+            return payload.thread_id
+                ? t(context, 'event.details.chat_topic', { chat: payload.chat_id, topic: payload.thread_id })
+                : t(context, 'event.details.chat', { chat: payload.chat_id });
+        case 'delivery_failed':
+            return t(context, 'event.details.delivery_failed', { chat: payload.chat_id, attempts: payload.attempts, error: payload.error });
+        case 'silenced':
+            return t(context, 'event.details.silence', { id: payload.silence_id });
+        case 'repeated':
+            return t(context, 'event.details.repeated', { count: payload.occurrence_count });
+        case 'escalated':
+            return t(context, payload.error ? 'event.details.escalation_failed' : 'event.details.escalated', {
+                step: payload.step,
+                action: payload.action,
+                target: payload.target ? ` ${payload.target}` : '',
+                error: payload.error
+            });
+        case 'resolved':
+            return [payload.root_cause && t(context, 'event.details.root_cause', { cause: payload.root_cause }), payload.note].filter(Boolean).join(' - ');
+        case 'unacknowledged':
+            return payload.previously_acknowledged_by ? t(context, 'event.details.previously_acknowledged', { user: payload.previously_acknowledged_by }) : '';
+        case 'reopened':
+            return payload.previously_resolved_by ? t(context, 'event.details.previously_resolved', { user: payload.previously_resolved_by }) : '';
+        case 'assigned':
+            return payload.username ? `@${payload.username}` : String(payload.telegram_id);
+        case 'reminded':
+            return t(context, 'event.details.reminded', { via: payload.via });
+        case 'snoozed':
+            return t(context, 'event.details.snoozed', { time: formatTimestamp(payload.snoozed_until * 1000, context) });
+        case 'comment':
+            return payload.text;
+        default:
+            return '';
+    }
+}
+
+function formatSearchResults(alerts, query, hasMore = false, context) {
+    if (alerts.length === 0) {
+        return t(context, 'search.empty', { query: escapeHtml(query) });
+    }
+    
+    let message = `${t(context, 'search.title', { query: escapeHtml(query), count: `${alerts.length}${hasMore ? '+' : ''}` })}\n`;
+    
+    alerts.forEach(alert => {
+        const status = t(context, `status.${getAlertStatus(alert)}`);
+        message += `\n#${alert.id} <b>${formatSeverity(alert.severity, context)}</b> ${escapeHtml(alert.title)} - ${status}`;
+        
+        if (alert.root_cause) {
+            message += `\n${t(context, 'search.root_cause', { cause: escapeHtml(alert.root_cause) })}`;
+        }
+        
+        if (alert.resolution_note) {
+            const note = alert.resolution_note.length > 100
+                ? `${alert.resolution_note.substring(0, 97)}...`
+                : alert.resolution_note;
+            message += `\n${t(context, 'search.note', { note: escapeHtml(note) })}`;
+        }
+    });
+    
+    return message;
+}
+
+function createAcknowledgeKeyboard(alertId, context) {
     return {
         inline_keyboard: [[
             {
-                text: 'Acknowledge',
+                text: t(context, 'button.acknowledge'),
                 callback_data: `ack_${alertId}`
+            },
+            {
+                text: t(context, 'button.silence'),
+                callback_data: `silence_${alertId}`
+            }
+        ], [
+            {
+                text: t(context, 'button.assign'),
+                callback_data: `assign_${alertId}`
+            },
+            {
+                text: t(context, 'button.snooze'),
+                callback_data: `snooze_${alertId}`
             }
         ]]
     };
 }
 
-function createResolveKeyboard(alertId) {
+function createResolveKeyboard(alertId, context) {
     return {
         inline_keyboard: [[
             {
-                text: 'Resolve',
+                text: t(context, 'button.resolve'),
                 callback_data: `resolve_${alertId}`
+            },
+            {
+                text: t(context, 'button.unack'),
+                callback_data: `unack_${alertId}`
+            }
+        ], [
+            {
+                text: t(context, 'button.assign'),
+                callback_data: `assign_${alertId}`
+            },
+            {
+                text: t(context, 'button.silence'),
+                callback_data: `silence_${alertId}`
             }
         ]]
     };
 }
 
-function calculateMTTR(ackTime, resolveTime) {
-    if (!ackTime || !resolveTime) return null;
+const SNOOZE_DURATIONS = ['15m', '1h', '4h'];
+
+function createSnoozeKeyboard(alertId, context) {
+    return {
+        inline_keyboard: [
+            SNOOZE_DURATIONS.map(duration => ({
+                text: duration,
+                callback_data: `snooze_${alertId}_${duration}`
+            })),
+            [{ text: t(context, 'common.back'), callback_data: `snooze_${alertId}_back` }]
+        ]
+    };
+}
+
+function createSnoozedKeyboard(alertId, context) {
+    return {
+        inline_keyboard: [[
+            {
+                text: t(context, 'button.acknowledge'),
+                callback_data: `ack_${alertId}`
+            },
+            {
+                text: t(context, 'button.cancel_snooze'),
+                callback_data: `unsnooze_${alertId}`
+            }
+        ]]
+    };
+}
+
+function addAlertButtons(keyboard, alert, context) {
+    const rows = [...keyboard.inline_keyboard];
+    const links = getAlertUrls(alert.metadata)
+        .filter(([, url]) => hasLinkButtons(context) && isButtonUrl(url))
+        .map(([type, url]) => ({ text: t(context, `button.url.${type}`), url }));
     
-    const ackTimestamp = typeof ackTime === 'number' ? ackTime * 1000 : new Date(ackTime).getTime();
-    const resolveTimestamp = typeof resolveTime === 'number' ? resolveTime * 1000 : new Date(resolveTime).getTime();
+    for (let i = 0; i < links.length; i += URL_BUTTONS_PER_ROW) {
+        rows.push(links.slice(i, i + URL_BUTTONS_PER_ROW));
+    }
     
-    const diffMs = resolveTimestamp - ackTimestamp;
-    const diffMinutes = Math.round(diffMs / (1000 * 60));
+    if (isAlertTruncated(alert, context)) {
+        rows.push([{ text: t(context, 'button.details'), callback_data: `details_${alert.id}` }]);
+    }
+    
+    return { inline_keyboard: rows };
+}
+
+function isSnoozed(alert) {
+    return !!alert.snoozed_until && alert.snoozed_until > Math.floor(Date.now() / 1000);
+}
+
+function createReopenKeyboard(alertId, context) {
+    return {
+        inline_keyboard: [[
+            {
+                text: t(context, 'button.reopen'),
+                callback_data: `reopen_${alertId}`
+            }
+        ]]
+    };
+}
+
+function createAssignKeyboard(alert, users, context) {
+    const isAssignee = (user) =>
+        (user.telegram_id && String(user.telegram_id) === String(alert.assigned_to_id)) ||
+        (user.username && user.username.toLowerCase() === String(alert.assigned_to || '').toLowerCase());
+    
+    const buttons = users.map(user => ({
+        text: `${isAssignee(user) ? '✓ ' : ''}${user.username ? `@${user.username}` : user.telegram_id}`,
+        callback_data: `assign_${alert.id}_${user.id}`
+    }));
+    
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) {
+        rows.push(buttons.slice(i, i + 2));
+    }
+    
+    const controls = [{ text: t(context, 'common.back'), callback_data: `assign_${alert.id}_back` }];
+    if (alert.assigned_to || alert.assigned_to_id) {
+        controls.unshift({ text: t(context, 'button.unassign'), callback_data: `assign_${alert.id}_none` });
+    }
+    rows.push(controls);
+    
+    return { inline_keyboard: rows };
+}
+
+const LIST_VIEWS = ['open', 'acked'];
+
+function formatAlertList(alerts, list, context) {
+    const filters = [list.filters.severity, list.filters.source].filter(Boolean);
+    let message = `${t(context, `list.title.${list.view}`)}${filters.length > 0 ? ` (${escapeHtml(filters.join(', '))})` : ''}\n`;
+    
+    if (list.total === 0) {
+        return `${message}\n${t(context, 'list.empty')}`;
+    }
+    
+    message += `${t(context, 'list.page', { page: list.page + 1, pages: list.totalPages, count: list.total })}\n`;
+    
+    const now = Math.floor(Date.now() / 1000);
+    alerts.forEach(alert => {
+        const age = formatDuration(now - alert.created_at);
+        message += `\n#${alert.id} <b>${formatSeverity(alert.severity, context)}</b> ${escapeHtml(alert.title)}\n`;
+        message += t(context, 'list.age', { source: escapeHtml(alert.source), age });
+        
+        if (alert.acknowledged) {
+            message += t(context, 'list.acked_by', { user: escapeHtml(extractAckUserDisplayName(alert)) });
+        } else if (isSnoozed(alert)) {
+            message += t(context, 'list.snoozed_until', { time: formatAckTime(alert.snoozed_until, context) });
+        }
+        
+        message += '\n';
+    });
+    
+    return message.trim();
+}
+
+function createAlertListKeyboard(alerts, list, context) {
+    const rows = alerts.map(alert => [
+        alert.acknowledged
+            ? { text: t(context, 'list.button.resolve', { id: alert.id }), callback_data: `list:resolve:${alert.id}` }
+            : { text: t(context, 'list.button.ack', { id: alert.id }), callback_data: `list:ack:${alert.id}` },
+        { text: t(context, 'list.button.details', { id: alert.id }), callback_data: `list:details:${alert.id}` }
+    ]);
+    
+    const navigation = [];
+    if (list.page > 0) {
+        navigation.push({ text: t(context, 'list.button.prev'), callback_data: 'list:prev' });
+    }
+    if (list.hasNext) {
+        navigation.push({ text: t(context, 'list.button.next'), callback_data: 'list:next' });
+    }
+    if (navigation.length > 0) {
+        rows.push(navigation);
+    }
+    
+    rows.push(LIST_VIEWS.map(view => {
+        const label = t(context, `list.view.${view}`);
+        return {
+            text: view === list.view ? `[${label}]` : label,
+            callback_data: `list:view:${view}`
+        };
+    }));
+    
+    return { inline_keyboard: rows };
+}
+
+function parseListCallback(callbackData) {
+    const match = (callbackData || '').match(/^list:([a-z]+)(?::(\w+))?$/);
+    return match ? { action: match[1], arg: match[2] || null } : null;
+}
+
+function formatSilence(silence, context) {
+    let result = `${t(context, 'silence.until', { id: silence.id, time: formatTimestamp(silence.ends_at * 1000, context) })}\n`;
+    result += `${t(context, 'silence.matchers', { matchers: escapeHtml(describeMatchers(silence.matchers)) })}\n`;
+    
+    if (silence.created_by) {
+        result += `${t(context, 'silence.by', { user: escapeHtml(silence.created_by) })}\n`;
+    }
+    if (silence.comment) {
+        result += `${t(context, 'silence.comment', { comment: escapeHtml(silence.comment) })}\n`;
+    }
+    
+    return result;
+}
+
+function formatSilenceList(silences, context) {
+    if (!silences || silences.length === 0) {
+        return t(context, 'silence.list_empty');
+    }
+    
+    let message = `${t(context, 'silence.list_title', { count: silences.length })}\n\n`;
+    silences.forEach(silence => {
+        message += formatSilence(silence, context) + '\n';
+    });
+    
+    return limitMessage(message.trim(), context);
+}
+
+function formatUserList(users, context) {
+    if (!users || users.length === 0) {
+        return t(context, 'users.empty');
+    }
+    
+    let message = `${t(context, 'users.title', { count: users.length })}\n`;
+    
+    ['admin', 'responder', 'viewer'].forEach(role => {
+        const members = users.filter(user => user.role === role);
+        if (members.length === 0) return;
+        
+        message += `\n<b>${role}</b>\n`;
+        members.forEach(user => {
+            const name = user.username ? formatMention(user.username) : `ID ${user.telegram_id}`;
+            const id = user.username && user.telegram_id ? ` (${user.telegram_id})` : '';
+            message += `• ${name}${id}\n`;
+        });
+    });
+    
+    return limitMessage(message.trim(), context);
+}
+
+function formatOnCallSummary(summary, context) {
+    if (!summary || summary.length === 0) {
+        return t(context, 'oncall.empty');
+    }
+    
+    let message = `${t(context, 'oncall.title')}\n`;
+    
+    summary.forEach(({ rotation, current, next }) => {
+        const until = formatTimestamp(current.until, context);
+        const nextUntil = formatTimestamp(next.until, context);
+        
+        message += `\n<b>${escapeHtml(rotation.name)}</b> (${escapeHtml(rotation.timezone)})\n`;
+        message += `${t(context, 'oncall.now', {
+            user: formatMention(current.user),
+            override: current.override ? t(context, 'oncall.override') : '',
+            time: until
+        })}\n`;
+        message += `${t(context, 'oncall.next', {
+            user: formatMention(next.user),
+            override: next.override ? t(context, 'oncall.override') : '',
+            time: nextUntil
+        })}\n`;
+    });
+    
+    return message.trim();
+}
+
+function formatRotationList(rotations, context) {
+    if (!rotations || rotations.length === 0) {
+        return t(context, 'rotation.list_empty');
+    }
+    
+    let message = `${t(context, 'rotation.list_title')}\n`;
+    
+    rotations.forEach(({ rotation, overrides }) => {
+        message += `\n${t(context, 'rotation.summary', {
+            name: escapeHtml(rotation.name),
+            days: rotation.shift_days,
+            start: escapeHtml(rotation.start_date),
+            time: escapeHtml(rotation.handoff_time),
+            timezone: escapeHtml(rotation.timezone)
+        })}\n`;
+        message += `${t(context, 'rotation.users', { users: rotation.users.map(formatMention).join(', ') })}\n`;
+        
+        (overrides || []).forEach(override => {
+            const rotationContext = { ...getRenderContext(context), timeZone: rotation.timezone };
+            const from = formatTimestamp(override.starts_at * 1000, rotationContext);
+            const to = formatTimestamp(override.ends_at * 1000, rotationContext);
+            message += `${t(context, 'rotation.override', { id: override.id, user: formatMention(override.user), from, to })}\n`;
+        });
+    });
+    
+    return message.trim();
+}
+
+function parseDuration(text) {
+    const match = String(text || '').trim().match(/^(\d+)\s*(s|m|h|d|w)$/i);
+    if (!match) return null;
+    
+    const multipliers = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+    return parseInt(match[1]) * multipliers[match[2].toLowerCase()];
+}
+
+function formatDuration(seconds) {
+    const diffMinutes = Math.round(seconds / 60);
     
     if (diffMinutes < 60) {
         return `${diffMinutes}m`;
@@ -332,26 +1276,116 @@ function formatUptime(uptimeSeconds) {
     }
 }
 
+function createFingerprint(parts) {
+    const normalized = Object.keys(parts || {})
+        .sort()
+        .map(key => `${key}=${parts[key] === undefined || parts[key] === null ? '' : parts[key]}`)
+        .join('\n');
+    
+    return crypto.createHash('sha1').update(normalized).digest('hex').substring(0, 16);
+}
+
+function createAlertFingerprint(alertData) {
+    const parts = {
+        title: alertData.title,
+        source: alertData.source
+    };
+    
+    Object.entries(alertData.metadata?.labels || {}).forEach(([key, value]) => {
+        parts[`labels.${key}`] = typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    
+    return createFingerprint(parts);
+}
+
+function isResolvedNotification(alertData) {
+    const status = (alertData.metadata?.status || '').toString().toLowerCase();
+    return ['resolved', 'ok'].includes(status);
+}
+
+function getAlertStatus(alert) {
+    if (alert.resolved) return 'resolved';
+    if (alert.acknowledged) return 'acked';
+    return 'open';
+}
+
+const CALLBACK_ACTIONS = {
+    ack: 'acknowledge',
+    resolve: 'resolve',
+    silence: 'silence',
+    unack: 'unacknowledge',
+    snooze: 'snooze',
+    unsnooze: 'unsnooze',
+    reopen: 'reopen',
+    assign: 'assign',
+    details: 'details'
+};
+
 function extractAlertIdFromCallback(callbackData) {
-    const ackMatch = callbackData.match(/^ack_(\d+)$/);
-    const resolveMatch = callbackData.match(/^resolve_(\d+)$/);
+    const match = (callbackData || '').match(/^([a-z]+)_(\d+)(?:_([a-z0-9]+))?$/);
     
-    if (ackMatch) return { id: parseInt(ackMatch[1]), action: 'acknowledge' };
-    if (resolveMatch) return { id: parseInt(resolveMatch[1]), action: 'resolve' };
+    if (match && CALLBACK_ACTIONS[match[1]]) {
+        return { id: parseInt(match[2]), action: CALLBACK_ACTIONS[match[1]], arg: match[3] || null };
+    }
     
     return null;
 }
 
 module.exports = {
+    MESSAGE_LIMIT,
     formatAlertMessage,
+    formatAlertDetails,
+    isAlertTruncated,
     formatAcknowledgedMessage,
+    formatSnoozedMessage,
     formatResolvedMessage,
-    formatWeeklyReport,
+    formatReport,
+    formatDailyDigest,
+    formatScheduleList,
+    formatSettings,
+    formatSearchResults,
+    formatAlertTimeline,
+    formatReminderMessage,
+    formatStaleSummary,
+    getMessageLink,
     createAcknowledgeKeyboard,
     createResolveKeyboard,
+    createReopenKeyboard,
+    createSnoozeKeyboard,
+    createSnoozedKeyboard,
+    addAlertButtons,
+    isSnoozed,
+    SNOOZE_DURATIONS,
+    createAssignKeyboard,
+    formatAlertList,
+    createAlertListKeyboard,
+    parseListCallback,
+    formatSilence,
+    formatSilenceList,
+    formatUserList,
+    formatOnCallSummary,
+    formatRotationList,
+    parseDuration,
     validateAlertPayload,
     formatUptime,
     extractAlertIdFromCallback,
-    calculateMTTR,
+    formatDuration,
+    formatMention,
+    escapeHtml,
+    truncateHtml,
+    splitMessage,
+    formatTimestamp,
+    getRenderContext,
+    t,
+    isValidTimeZone,
+    isValidLocale,
+    getZonedParts,
+    getWallClockTime,
+    zonedWallTimeToUtc,
+    parseZonedDateTime,
+    createFingerprint,
+    createAlertFingerprint,
+    isResolvedNotification,
+    getAlertStatus,
     SEVERITY_EMOJI
 };
\ No newline at end of file